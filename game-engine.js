@@ -1,305 +1,780 @@
 /**
  * @fileoverview This file contains the server-side logic for the game.
  * It contains a simplified game engine for replay validation and all backend API handlers.
+ * The engine's rules live in public/js/shared/rulesCore.js, which must be added to the
+ * Apps Script project alongside this file (it defines the RulesCore global), as must
+ * game-storage.js, which holds the storage layer the handlers read and write through, and
+ * public/js/shared/replayFormat.js, which defines the versioned envelope replays are stored in,
+ * and public/js/shared/rulesConfig.js, which holds the rule tables the client's CONFIG shares.
  */
 
-const SCRIPT_VERSION = "1.1.0"; // Increment this with significant backend changes.
+const SCRIPT_VERSION = "1.16.0"; // Increment this with significant backend changes.
 
 /**
- * Generates a UUID-like string using a provided seeded pseudo-random number generator.
- * This is the server-side equivalent of the client's function in utils.js.
- * @param {function(): number} rng - The seeded PRNG function.
- * @returns {string} A new deterministically generated UUID.
+ * Thrown by the GameEngine when a replayed action could not have been performed legally
+ * by the client. playGame() turns it into a failed verification report.
  */
-function generateDeterministicUUID(rng) {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        const r = (rng() % 16) | 0;
-        const v = c === 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
-    });
+class ReplayValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplayValidationError';
+    }
 }
+
 /**
  * A server-side helper to create a plain JavaScript object representing an entity.
- * It uses the game configuration to build an entity from a blueprint, similar to the client's EntityFactory.
+ * It has the same shape as a client Entity (`hex`, `components` keyed by name, ...), built from
+ * the same blueprint and argument rules, but only rule-relevant components carry data.
  * @param {string} type - The type of entity (e.g., 'player', 'goblinScout').
  * @param {object} properties - Properties from the map file or character data.
  * @param {object} gameConfig - The full game configuration object.
+ * @param {function(): number} rng - The session's seeded RNG, used for entity IDs.
  * @returns {object|null} A plain object representing the entity, or null.
  */
 function createServerEntity(type, properties, gameConfig, rng) {
-    const blueprintType = gameConfig.entityBlueprints[type] ? type : 'enemy';
-    const blueprint = gameConfig.entityBlueprints[blueprintType];
+    const blueprint = RulesCore.getBlueprint(gameConfig, type);
     if (!blueprint) return null;
 
+    const entityProperties = { ...blueprint.entityProperties, ...properties };
     const entity = {
         // Use the deterministic UUID generator if an ID isn't provided in the properties.
-        id: properties.id || (rng ? generateDeterministicUUID(rng) : ('server-gen-' + Math.random())),
+        id: properties.id || RulesCore.generateDeterministicUUID(rng),
         type: type,
         name: properties.name || type,
-        q: properties.q,
-        r: properties.r,
-        ...blueprint.entityProperties,
-        ...properties
+        hex: properties.q !== undefined && properties.r !== undefined ? { q: properties.q, r: properties.r } : null,
+        blocksMovement: entityProperties.blocksMovement ?? false,
+        isConcealed: entityProperties.isConcealed ?? false,
+        zIndex: entityProperties.zIndex ?? 0,
+        components: {}
     };
 
-    // Extract stats from the blueprint and properties
-    const statsConfig = blueprint.components.find(c => c.class === 'StatsComponent');
-    if (statsConfig) {
-        let statsArgs = {};
-        if (statsConfig.argsSource === 'entityProperties' && statsConfig.dataSourceKey) {
-            statsArgs = properties[statsConfig.dataSourceKey] || {};
-        } else if (statsConfig.argsSource === 'archetypeBaseStats') {
-            statsArgs = properties.baseStats || {};
-        } else {
-            statsArgs = statsConfig.args || {};
-        }
-        entity.stats = { ...statsArgs };
-    } else {
-        entity.stats = {};
-    }
-
-    // Ensure player has XP property
-    if (type === 'player') {
-        entity.stats.xp = 0;
+    for (const compConfig of blueprint.components) {
+        const args = RulesCore.resolveComponentArgs(compConfig, properties);
+        const data = RulesCore.createComponentData(compConfig, args, gameConfig);
+        if (data) entity.components[data.name] = data;
     }
-
     return entity;
 }
 
 
 /**
  * A stateful, server-side game engine for validating replays.
- * It's a simplified version of the client's engine but understands entities,
- * interactions, and map transitions.
+ * All rule decisions come from the shared RulesCore (public/js/shared/rulesCore.js, which must be
+ * part of the Apps Script project), exactly as in the client's Game class; this engine only keeps
+ * the state and applies the plans, throwing a ReplayValidationError whenever the rules refuse one.
  */
 class GameEngine {
     constructor(seed, mapTemplate, characterData, gameConfig) {
         this.seed = seed;
         this.mapTemplate = mapTemplate;
         this.gameConfig = gameConfig;
-        this.rng = this.createSeededRNG(this.seed);
+        this.rng = RulesCore.createSeededRNG(this.seed);
         this.gameState = {
             player: null,
-            entities: new Map() // Use a map for quick lookups by ID
+            entities: new Map(),       // Use a map for quick lookups by ID
+            tiles: new Map(),          // Keyed by "q,r"
+            exploredTiles: new Set(),  // "q,r" keys uncovered from the fog of war
+            pendingTransition: null,   // A portal entered during the current action
+            currentMapId: mapTemplate.id || null,
+            turnNumber: 1,
+            isGameOver: false,
+            gameOverReason: null
         };
         this.initializeGameState(characterData);
     }
 
-    createSeededRNG(seed) {
-        if (!seed) seed = "default_seed";
-        let h = 1779033703 ^ seed.length;
-        for (let i = 0; i < seed.length; i++) {
-            h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
-            h = h << 13 | h >>> 19;
-        }
-        return function() {
-            h = Math.imul(h ^ h >>> 16, 2246822507);
-            h = Math.imul(h ^ h >>> 13, 3266489909);
-            return (h ^= h >>> 16) >>> 0;
-        };
-    }
-
     initializeGameState(characterData) {
         // Create player
         const player = createServerEntity('player', characterData, this.gameConfig, this.rng);
         this.gameState.player = player;
         this.gameState.entities.set(player.id, player);
+        this.recalculateDerivedStats(player);
 
         // Initialize entities for the first map
         this.initializeEntitiesForNewMap();
     }
 
     initializeEntitiesForNewMap() {
+        this.buildTiles();
+        this.gameState.exploredTiles.clear();
+
+        // Create other entities from map config, in the same category order as the client.
+        for (const category of RulesCore.SPAWN_ORDER) {
+            for (const entityConfig of this.mapTemplate.entities?.[category] || []) {
+                const entity = createServerEntity(entityConfig.type, entityConfig, this.gameConfig, this.rng);
+                if (entity) {
+                    this.gameState.entities.set(entity.id, entity);
+                    this.recalculateDerivedStats(entity);
+                }
+            }
+        }
+
         // Place player at new start position
         const playerStart = this.mapTemplate.playerStart;
         if (playerStart) {
-            this.gameState.player.q = playerStart.q;
-            this.gameState.player.r = playerStart.r;
+            this.gameState.player.hex = { q: playerStart.q, r: playerStart.r };
         }
 
-        // Create other entities from map config
-        if (!this.mapTemplate.entities) return;
-        for (const category in this.mapTemplate.entities) {
-            for (const entityConfig of this.mapTemplate.entities[category]) {
-                const entity = createServerEntity(entityConfig.type, entityConfig, this.gameConfig, this.rng);
-                if (entity) {
-                    this.gameState.entities.set(entity.id, entity);
+        // Like the client, every map starts with a visibility pass, the enemies' first intents and a fresh player turn.
+        this.revealAroundPlayer();
+        this.declareEnemyIntents();
+        this.startPlayerTurn();
+    }
+
+    /**
+     * Builds the tile index for the current map template, mirroring GameMap._createGrid
+     * and GameMap._applyTileProperties on the client.
+     */
+    buildTiles() {
+        const tiles = this.gameState.tiles;
+        tiles.clear();
+        const gridSize = this.mapTemplate.gridSize || { x: 0, y: 0 };
+        for (let q = 0; q < gridSize.x; q++) {
+            for (let r = 0; r < gridSize.y; r++) {
+                if (RulesCore.isInGrid(q, r, gridSize)) {
+                    tiles.set(`${q},${r}`, { q, r, isObstacle: false });
                 }
             }
         }
+        for (const obstacle of this.mapTemplate.entities?.obstacles || []) {
+            const tile = this.getTile(obstacle.q, obstacle.r);
+            if (tile) tile.isObstacle = true;
+        }
+    }
+
+    // --- RulesCore world interface ---
+
+    getConfig() {
+        return this.gameConfig;
     }
 
-    executeMove(targetCoords) {
+    getTile(q, r) {
+        return this.gameState.tiles.get(`${q},${r}`) || null;
+    }
+
+    getEntitiesAt(q, r) {
+        return [...this.gameState.entities.values()]
+            .filter(entity => entity.hex && entity.hex.q === q && entity.hex.r === r)
+            .sort((a, b) => a.zIndex - b.zIndex);
+    }
+
+    getPlayer() {
+        return this.gameState.player;
+    }
+
+    isTileExplored(tile) {
+        return this.gameState.exploredTiles.has(`${tile.q},${tile.r}`);
+    }
+
+    /** Mirrors VisibilitySystem.updateVisibility: only explored tiles can be walked on. */
+    revealAroundPlayer() {
         const player = this.gameState.player;
-        if (player) {
-            player.q = targetCoords.q;
-            player.r = targetCoords.r;
+        const visibility = RulesCore.getComponent(player, 'visibility');
+        if (!player.hex || !visibility) return;
+        for (const { tile } of RulesCore.getVisibleTiles(this, player.hex, visibility.sightRangeFull, visibility.sightRangePartial)) {
+            this.gameState.exploredTiles.add(`${tile.q},${tile.r}`);
         }
-        // After any move, check if the player landed on a tile that triggers an interaction.
-        this.checkAutoInteractions(targetCoords);
     }
 
-    executePlayerInput(targetCoords) {
-        // Find if there's an entity at the target coordinates.
-        let targetEntity = null;
-        for (const entity of this.gameState.entities.values()) {
-            if (entity.q === targetCoords.q && entity.r === targetCoords.r && entity.id !== this.gameState.player.id) {
-                targetEntity = entity;
-                break;
+    // --- Plan execution ---
+
+    /**
+     * Applies a plan from the rules core for the player, step by step.
+     * @param {{ok: boolean, steps?: object[], reason?: string}} plan
+     */
+    executePlan(plan) {
+        if (!plan.ok) {
+            throw new ReplayValidationError(plan.reason);
+        }
+        this.performSteps(this.gameState.player, plan.steps);
+    }
+
+    performSteps(actor, steps) {
+        for (const step of steps) {
+            // A trap on the way may end the game before a follow-up attack.
+            if (this.gameState.isGameOver) break;
+            const target = step.targetId ? this.gameState.entities.get(step.targetId) : null;
+            switch (step.type) {
+                case 'move':
+                    this.performMove(actor, step);
+                    break;
+                case 'attack':
+                    this.performAttack(actor, target, step);
+                    break;
+                case 'interact':
+                    this.performInteract(actor, target);
+                    break;
+                case 'enterPortal':
+                    this.enterPortal(target);
+                    break;
             }
         }
+    }
 
-        // If the target is an attackable enemy, it's a direct interaction (attack).
-        // Otherwise (empty tile or non-attackable entity like a portal), it's a move.
-        // The move itself will trigger any automatic interactions (like portals).
-        if (targetEntity && targetEntity.stats && targetEntity.stats.hp > 0) {
-            this.executeInteraction(targetEntity.id);
-        } else {
-            this.executeMove(targetCoords);
+    spendActionPoints(actor, amount) {
+        const stats = RulesCore.getComponent(actor, 'stats');
+        if (stats.actionPoints < amount) {
+            throw new ReplayValidationError(`Not enough AP: needs ${amount}, has ${stats.actionPoints}.`);
         }
+        stats.actionPoints -= amount;
     }
 
-    checkAutoInteractions(coords) {
-        // Find entities at the new coordinates, other than the player.
-        for (const entity of this.gameState.entities.values()) {
-            if (entity.id === this.gameState.player.id) continue;
-
-            if (entity.q === coords.q && entity.r === coords.r) {
-                // If we find a portal, interact with it.
-                if (entity.type === 'portal') {
-                    this.executeInteraction(entity.id);
-                    // Important: break because a portal transition changes the entity list,
-                    // which would invalidate the iterator for this loop.
-                    break;
-                }
-                // Future logic for traps could be added here.
+    performMove(actor, step) {
+        const finalTile = step.path[step.path.length - 1];
+        if (step.apCost > 0) this.spendActionPoints(actor, step.apCost);
+        actor.hex = { q: finalTile.q, r: finalTile.r };
+        if (actor === this.gameState.player) this.revealAroundPlayer();
+        // After any move, check if the entity landed on a tile that triggers an interaction.
+        this.checkAutoInteractions(actor, finalTile);
+    }
+
+    performAttack(actor, target, step) {
+        if (!target) return;
+        if (step.apCost > 0) this.spendActionPoints(actor, step.apCost);
+        this.performHit(actor, target, RulesCore.getBasicAttack(this, actor));
+    }
+
+    /** Mirrors Game.resolveHit: rolls the attack, breaks the attacker's statuses that end on attack and applies its damage if it lands. */
+    performHit(attacker, target, attack) {
+        const result = RulesCore.resolveCombat(this, attacker, target, attack);
+        this.breakStatuses(attacker, 'attack');
+        if (result.hit) this.applyDamage(target, result.damage, attack.damageType);
+    }
+
+    /** Mirrors InteractableComponent.interact. */
+    performInteract(actor, target) {
+        const effect = RulesCore.getComponent(target, 'interactable').interactEffect;
+        const stats = RulesCore.getComponent(actor, 'stats');
+        if (effect.type === 'rest' && stats && stats.life > 0) {
+            stats.life = Math.min(stats.maxLife, stats.life + Math.max(0, effect.healAmount || 0));
+            stats.manaPoints = Math.min(stats.maxManaPoints, stats.manaPoints + Math.max(0, effect.restoreMP || 0));
+            if (effect.cleanse) this.removeStatusesByTag(actor, { type: 'cleanse', tags: effect.cleanse });
+        }
+    }
+
+    checkAutoInteractions(entity, tile) {
+        for (const interaction of RulesCore.getAutoInteractions(this, entity, tile)) {
+            if (interaction.type === 'trap') {
+                this.activateTrap(interaction.entity, entity);
+            } else if (interaction.type === 'portal') {
+                this.enterPortal(interaction.entity);
             }
         }
     }
 
-    executeInteraction(targetId) {
-        const player = this.gameState.player;
-        const target = this.gameState.entities.get(targetId);
+    /** Mirrors TrapComponent.activate. */
+    activateTrap(trapEntity, target) {
+        const trap = RulesCore.getComponent(trapEntity, 'trap');
+        if (!RulesCore.canTrapTrigger(trap)) return;
+        trap.triggered = true;
+        trapEntity.isConcealed = false;
+
+        const trapEffect = trap.trapEffect;
+        if (trapEffect.type === 'damage' && RulesCore.getComponent(target, 'stats')) {
+            this.applyDamage(target, trapEffect.amount || 0, trapEffect.damageType);
+        }
+        if ((trapEffect.type === 'damage' || trapEffect.type === 'status') && trapEffect.statusId && RulesCore.isAlive(target)) {
+            this.applyStatus(target, trapEffect.statusId, trapEffect.duration);
+        }
+        if (!trap.reusable) {
+            this.gameState.entities.delete(trapEntity.id);
+        }
+    }
+
+    /** Mirrors StatsComponent.takeDamage and the Game's 'entityDied' handling. */
+    applyDamage(target, amount, damageType) {
+        const stats = RulesCore.getComponent(target, 'stats');
+        if (!stats || stats.life <= 0) return;
+        stats.life = Math.max(0, stats.life - RulesCore.getResistedDamage(this, target, amount, damageType));
+        if (stats.life > 0) return;
 
-        if (!target) {
-            Logger.log(`[GameEngine] Could not find target entity with ID ${targetId}. It might be on a subsequent map.`);
+        if (target === this.gameState.player) {
+            this.endGame('Player has been defeated!');
             return;
         }
+        const playerStats = RulesCore.getComponent(this.gameState.player, 'stats');
+        const xpGained = RulesCore.getKillReward(target);
+        playerStats.xp += xpGained;
+        this.gameState.entities.delete(target.id);
+        Logger.log(`[GameEngine] Player defeated ${target.name} and gained ${xpGained} XP. Total XP: ${playerStats.xp}`);
+    }
 
-        // If it's an enemy, attack it
-        if (target.stats && target.stats.hp > 0) {
-            target.stats.hp -= player.stats.attackPower || 10;
-            if (target.stats.hp <= 0) {
-                player.stats.xp += target.stats.xp || 10;
-                this.gameState.entities.delete(target.id);
-                Logger.log(`[GameEngine] Player defeated ${target.name} and gained ${target.stats.xp || 10} XP. Total XP: ${player.stats.xp}`);
-            }
+    /**
+     * Mirrors PortalComponent.interact and Game.handleMapTransition. The final portal ends the run at once;
+     * a real transition runs after the action completes, as the client defers it with setTimeout.
+     */
+    enterPortal(portalEntity) {
+        const nextMapId = RulesCore.getComponent(portalEntity, 'portal').nextMapId;
+        if (!nextMapId) {
+            Logger.log(`[GameEngine] Player interacted with final portal. Dungeon complete.`);
+            this.endGame('Dungeon Completed!');
             return;
         }
+        this.gameState.pendingTransition = nextMapId;
+    }
 
-        // If it's a portal, handle map transition
-        if (target.type === 'portal') {
-            const nextMapId = target.nextMapId;
-            if (nextMapId) {
-                Logger.log(`[GameEngine] Player interacted with portal ${target.name}. Transitioning to map ${nextMapId}.`);
-                const newMapTemplate = this.gameConfig.maps[nextMapId]?.maptemplate;
+    transitionToMap(nextMapId) {
+        Logger.log(`[GameEngine] Transitioning to map ${nextMapId}.`);
+        const newMapTemplate = this.gameConfig.maps[nextMapId]?.maptemplate;
+        if (!newMapTemplate) {
+            throw new ReplayValidationError(`Could not find map template for ${nextMapId}.`);
+        }
 
-                if (!newMapTemplate) {
-                    Logger.log(`[GameEngine] ERROR - Could not find map template for ${nextMapId}. Halting transition.`);
-                    return;
-                }
+        this.mapTemplate = newMapTemplate;
+        this.gameState.currentMapId = nextMapId;
+        const playerEntity = this.gameState.player;
+        // Mirrors SkillsComponent.init on the carried-over player: skills limited to a use per map are usable again.
+        for (const skill of RulesCore.getComponent(playerEntity, 'skills')?.skills || []) {
+            Object.assign(skill, RulesCore.getSkillStateOnNewMap(skill, RulesCore.getSkillConfig(this, playerEntity, skill.id, skill.rank)));
+        }
+        this.gameState.entities.clear();
+        this.gameState.entities.set(playerEntity.id, playerEntity);
+        this.initializeEntitiesForNewMap();
+    }
 
-                this.mapTemplate = newMapTemplate;
-                const playerEntity = this.gameState.entities.get(this.gameState.player.id);
-                this.gameState.entities.clear();
-                this.gameState.entities.set(playerEntity.id, playerEntity);
-                this.initializeEntitiesForNewMap();
+    /**
+     * Mirrors Game.resolveSkillAction. The cast must pass the same checks as on the client (known skill,
+     * off cooldown, affordable, a legal target); it is then paid for, put on cooldown and its effects
+     * are resolved in order. Using an active stance ends it instead.
+     * @param {{skillId: string, targetCoords: ?{q: number, r: number}}} details
+     */
+    executeSkill(details) {
+        const { skillId, targetCoords } = details;
+        const player = this.gameState.player;
 
-            } else {
-                Logger.log(`[GameEngine] Player interacted with final portal. Dungeon complete.`);
+        const check = RulesCore.checkSkillUse(this, player, skillId);
+        const targeting = check.ok ? RulesCore.checkSkillTarget(this, player, check.skillConfig, targetCoords) : check;
+        if (!targeting.ok) {
+            throw new ReplayValidationError(targeting.reason);
+        }
+        const statusData = RulesCore.getComponent(player, 'statusEffects');
+        if (check.toggleOff) {
+            delete statusData.activeStatuses[RulesCore.getSkillField(check.skillConfig, 'statusToApply')];
+            this.recalculateDerivedStats(player);
+            Logger.log(`[GameEngine] Player leaves stance: ${check.skillConfig.name || skillId}`);
+            return;
+        }
+
+        const stats = RulesCore.getComponent(player, 'stats');
+        stats.actionPoints -= check.cost.ap;
+        stats.manaPoints -= check.cost.mp;
+        Object.assign(check.skill, RulesCore.getSkillStateAfterUse(this, player, check.skill, check.skillConfig));
+        Logger.log(`[GameEngine] Player uses skill: ${check.skillConfig.name || skillId}`);
+        this.breakStatuses(player, 'skill');
+        if (RulesCore.isStanceSkill(check.skillConfig)) {
+            for (const statusId of RulesCore.getStanceConflicts(this, player, check.skillConfig)) {
+                delete statusData.activeStatuses[statusId];
+                this.recalculateDerivedStats(player);
+            }
+            this.applyStatus(player, RulesCore.getSkillField(check.skillConfig, 'statusToApply'), RulesCore.STANCE_DURATION);
+        }
+
+        for (const effect of check.skillConfig.effects || []) {
+            if (this.gameState.isGameOver) break;
+            if (!RulesCore.checkCasterCondition(this, player, effect.condition)) continue;
+            if (effect.type === 'movement') {
+                this.applyMovementEffect(player, targetCoords, effect);
+                continue;
+            }
+            if (effect.type === 'custom_script') {
+                const scripted = RulesCore.runSkillScript(this, player, targetCoords, effect);
+                if (!scripted) {
+                    Logger.log(`[GameEngine] No skill script is registered as '${effect.scriptId}'.`);
+                    continue;
+                }
+                for (const step of scripted) {
+                    step.targets.forEach(target => this.applyEffectOnTarget(player, target, step.effect));
+                }
+                continue;
+            }
+            for (const target of RulesCore.getEffectTargets(this, player, targetCoords, effect)) {
+                this.applyEffectOnTarget(player, target, effect);
             }
         }
+        RulesCore.getComponent(player, 'skills').lastSkillId = skillId;
     }
 
-    executeSkill(details) {
-        // Find if there's an entity at the target coordinates.
-        // Note: This is a simplified lookup. A real implementation might need a spatial hash.
-        let targetEntity = null;
-        for (const entity of this.gameState.entities.values()) {
-            if (entity.q === targetCoords.q && entity.r === targetCoords.r && entity.id !== this.gameState.player.id) {
-                targetEntity = entity;
+    /** Mirrors Game.resolveEffectOnTarget. */
+    applyEffectOnTarget(source, target, effect) {
+        switch (effect.type) {
+            case 'damage':
+                this.performHit(source, target, RulesCore.getEffectAttack(this, source, effect));
+                break;
+            case 'apply_status':
+                this.applyStatus(target, effect.statusId, effect.duration);
+                break;
+            case 'cleanse':
+            case 'dispel':
+                this.removeStatusesByTag(target, effect);
                 break;
+            default:
+                Logger.log(`[GameEngine] Skill effect '${effect.type}' has no server-side resolution yet.`);
+        }
+    }
+
+    /**
+     * Mirrors Game.resolveMovementEffect: each entity is moved without walking or paying for a path, lands on
+     * whatever waits on its final tile and then takes any collision damage.
+     */
+    applyMovementEffect(actor, targetCoords, effect) {
+        for (const entity of RulesCore.getForcedMoveTargets(this, actor, targetCoords, effect)) {
+            for (const move of RulesCore.planForcedMove(this, actor, entity, targetCoords, effect)) {
+                if (this.gameState.isGameOver) return;
+                const finalTile = move.path[move.path.length - 1];
+                if (move.path.length > 1) {
+                    move.entity.hex = { q: finalTile.q, r: finalTile.r };
+                    if (move.entity === this.gameState.player) this.revealAroundPlayer();
+                    this.checkAutoInteractions(move.entity, finalTile);
+                }
+                if (!move.collision) continue;
+                for (const victim of move.collision.entities) {
+                    this.applyDamage(victim, move.collision.damage, move.collision.damageType);
+                }
             }
         }
+    }
 
-        const { skillId, targetCoords } = details;
-        const player = this.gameState.player;
-        const skillConfig = this.gameConfig.skills[skillId];
+    /** Mirrors StatusEffectSystem.applyStatus. */
+    applyStatus(target, statusId, durationOverride) {
+        const statusData = RulesCore.getComponent(target, 'statusEffects');
+        if (!statusData || RulesCore.isImmuneToStatus(this, target, statusId)) return;
+        const status = RulesCore.stackStatus(this, statusData.activeStatuses[statusId], statusId, durationOverride);
+        if (status) {
+            statusData.activeStatuses[statusId] = status;
+            this.recalculateDerivedStats(target);
+        }
+    }
 
-        if (!skillConfig) {
-            Logger.log(`[GameEngine] Player tried to use unknown skill: ${skillId}`);
-            return;
+    /** Mirrors StatusEffectSystem.removeStatusesByTag. */
+    removeStatusesByTag(entity, effect) {
+        const statusData = RulesCore.getComponent(entity, 'statusEffects');
+        for (const statusId of RulesCore.getStatusesToRemove(this, entity, effect)) {
+            delete statusData.activeStatuses[statusId];
+            this.recalculateDerivedStats(entity);
+        }
+    }
+
+    /** Mirrors StatusEffectSystem.breakStatuses: see RulesCore.getStatusesBrokenBy. */
+    breakStatuses(entity, action) {
+        const statusData = RulesCore.getComponent(entity, 'statusEffects');
+        for (const statusId of RulesCore.getStatusesBrokenBy(this, entity, action)) {
+            delete statusData.activeStatuses[statusId];
+            this.recalculateDerivedStats(entity);
+        }
+    }
+
+    /** Mirrors Game.resolveLevelUpAction: takes a level-up with one of RulesCore.getLevelUpChoices. */
+    levelUp(entity, requestedChoice) {
+        const check = RulesCore.checkLevelUp(this, entity, requestedChoice);
+        if (!check.ok) throw new ReplayValidationError(check.reason);
+        const stats = RulesCore.getComponent(entity, 'stats');
+        const choice = check.choice;
+        if (choice.type === 'skill') {
+            RulesCore.getComponent(entity, 'skills').skills.push({ id: choice.skillId, cooldownTurnsRemaining: 0, rank: 1 });
+            stats.learnedSkills.push(choice.skillId);
+        } else if (choice.type === 'skillRank') {
+            RulesCore.getComponent(entity, 'skills').skills.find(skill => skill.id === choice.skillId).rank = choice.rank;
+        } else {
+            stats.allocatedAttributes[choice.attribute] += choice.points;
+            stats.attributes[choice.attribute] += choice.points;
         }
+        stats.level += 1;
+        this.recalculateDerivedStats(entity);
+    }
+
+    /** Mirrors StatsComponent.recalculateDerivedStats, which the client runs on init and after every status change. */
+    recalculateDerivedStats(entity) {
+        const stats = RulesCore.getComponent(entity, 'stats');
+        if (!stats) return;
+        const derived = RulesCore.getDerivedStats(this, entity);
+        for (const stat of Object.keys(RulesCore.DERIVED_MAXIMUMS)) {
+            const { resource } = RulesCore.DERIVED_MAXIMUMS[stat];
+            stats[resource] = RulesCore.getResourceAfterMaxChange(stats[resource], stats[stat], derived[stat]);
+        }
+        Object.assign(stats, derived);
+    }
 
-        // This is a very simplified simulation. A real one would check AP, MP, cooldowns, etc.
-        Logger.log(`[GameEngine] Player uses skill: ${skillConfig.name}`);
+    /** Mirrors StatusEffectSystem.startTurnForEntity: stance upkeep, start-of-turn ticks, then durations count down. */
+    startEntityTurn(entity) {
+        this.payStanceUpkeep(entity);
+        this.applyTurnTicks(entity, 'turnStart');
+        this.tickStatuses(entity);
+    }
 
-        for (const effect of skillConfig.effects) {
-            switch (effect.type) {
+    /** Mirrors StatusEffectSystem.payStanceUpkeep. */
+    payStanceUpkeep(entity) {
+        const stats = RulesCore.getComponent(entity, 'stats');
+        const statusData = RulesCore.getComponent(entity, 'statusEffects');
+        for (const upkeep of RulesCore.getStanceUpkeep(this, entity)) {
+            if (upkeep.paid) {
+                stats.actionPoints -= upkeep.cost.ap;
+                stats.manaPoints -= upkeep.cost.mp;
+            } else {
+                delete statusData.activeStatuses[upkeep.statusId];
+                this.recalculateDerivedStats(entity);
+            }
+        }
+    }
+
+    /** Mirrors StatusEffectSystem.applyTurnTicks. */
+    applyTurnTicks(entity, timing) {
+        const stats = RulesCore.getComponent(entity, 'stats');
+        if (!stats) return;
+        for (const tick of RulesCore.getStatusTicks(entity, timing)) {
+            if (stats.life <= 0 || this.gameState.isGameOver) break;
+            switch (tick.type) {
                 case 'damage':
-                    // Simplified: find all entities in an area and apply damage.
-                    const radius = effect.splashRadius || 0;
-                    for (const entity of this.gameState.entities.values()) {
-                        if (entity.id === player.id) continue;
-                        
-                        // Axial distance calculation
-                        const dist = (Math.abs(targetCoords.q - entity.q) 
-                                  + Math.abs(targetCoords.q + targetCoords.r - (entity.q + entity.r)) 
-                                  + Math.abs(targetCoords.r - entity.r)) / 2;
-
-                        if (dist <= radius) {
-                            const damage = effect.baseAmount || 10;
-                            if (entity.stats && entity.stats.hp > 0) {
-                                entity.stats.hp -= damage;
-                                Logger.log(`[GameEngine] Skill hits ${entity.name} for ${damage} damage.`);
-                                if (entity.stats.hp <= 0) {
-                                    player.stats.xp += entity.stats.xp || 10;
-                                    this.gameState.entities.delete(entity.id);
-                                    Logger.log(`[GameEngine] Player defeated ${entity.name} with a skill.`);
-                                }
-                            }
-                        }
-                    }
+                    this.applyDamage(entity, tick.amount, tick.damageType);
+                    break;
+                case 'heal':
+                    stats.life = Math.min(stats.maxLife, stats.life + tick.amount);
+                    break;
+                case 'drain':
+                    stats[tick.resource] = Math.max(0, stats[tick.resource] - tick.amount);
+                    break;
+                case 'regen': {
+                    const cap = tick.aboveMaximum ? Infinity : RulesCore.getResourceCap(this, entity, tick.resource);
+                    stats[tick.resource] = Math.max(stats[tick.resource], Math.min(cap, stats[tick.resource] + tick.amount));
                     break;
-                case 'movement':
-                    if (effect.moveType === 'teleport') this.executeMove(targetCoords);
+                }
+                case 'stun':
+                    stats.actionPoints = 0;
+                    if (entity.components.intent) entity.components.intent.currentIntent = null;
                     break;
             }
         }
     }
 
-    playGame(replay) {
-        for (const action of replay) {
-            // Only process actions from the player this engine is tracking
-            if (action.sourceId !== this.gameState.player.id) continue;
+    /** Mirrors StatusEffectComponent.tickDurations: see RulesCore.tickStatus. */
+    tickStatuses(entity) {
+        const statusData = RulesCore.getComponent(entity, 'statusEffects');
+        if (!statusData) return;
+        for (const statusId of Object.keys(statusData.activeStatuses)) {
+            const ticked = RulesCore.tickStatus(statusData.activeStatuses[statusId]);
+            if (ticked) {
+                statusData.activeStatuses[statusId] = ticked;
+            } else {
+                delete statusData.activeStatuses[statusId];
+                this.recalculateDerivedStats(entity);
+            }
+        }
+    }
+
+    /** Mirrors IntentSystem.generateAndDeclareNewIntents: every living enemy decides its next action. */
+    declareEnemyIntents() {
+        for (const enemy of this.getEnemies()) {
+            if (RulesCore.isAlive(enemy) && enemy.components.intent) {
+                enemy.components.intent.currentIntent = RulesCore.declareIntent(this, enemy);
+            }
+        }
+    }
+
+    /**
+     * Mirrors IntentSystem.executeStoredIntents: enemies carry out their stored intents in spawn order.
+     * An intent that is no longer legal (the player moved out of reach, the tile got taken) is skipped, as on the client.
+     */
+    executeEnemyIntents() {
+        for (const enemy of this.getEnemies()) {
+            if (this.gameState.isGameOver) break;
+            const intent = enemy.components.intent?.currentIntent;
+            if (!RulesCore.isAlive(enemy) || !intent || intent.type === 'pass') continue;
+
+            let plan = null;
+            if (intent.type === 'attack') {
+                plan = RulesCore.planAttack(this, enemy, this.gameState.entities.get(intent.targetValue));
+            } else if (intent.type === 'move') {
+                plan = RulesCore.planMove(this, enemy, intent.targetValue);
+            }
+            if (plan && plan.ok) {
+                this.performSteps(enemy, plan.steps);
+            }
+        }
+    }
+
+    getEnemies() {
+        return [...this.gameState.entities.values()].filter(entity => entity.components.behavior);
+    }
+
+    /**
+     * Starts a new player turn: refreshes AP, ticks statuses and then skill cooldowns and charges, and re-checks
+     * visibility, as Game.startNewRound and the 'turnStarted' listeners (StatusEffectSystem before the player's
+     * SkillsComponent) do on the client.
+     */
+    startPlayerTurn() {
+        const player = this.gameState.player;
+        const stats = RulesCore.getComponent(player, 'stats');
+        this.gameState.turnNumber++;
+        stats.actionPoints = RulesCore.getEffectiveStat(this, player, 'maxActionPoints');
+        this.startEntityTurn(player);
+        const skillsData = RulesCore.getComponent(player, 'skills');
+        if (skillsData) skillsData.lastSkillId = null;
+        for (const skill of skillsData?.skills || []) {
+            Object.assign(skill, RulesCore.getSkillStateAtTurnStart(this, player, skill, RulesCore.getSkillConfig(this, player, skill.id, skill.rank)));
+        }
+        this.revealAroundPlayer();
+    }
+
+    /**
+     * Ends the player's turn: the player's end-of-turn ticks, then the enemies' turn (start-of-turn ticks,
+     * their stored intents, end-of-turn ticks), then they declare their next intents and control returns to the player.
+     */
+    endPlayerTurn() {
+        this.applyTurnTicks(this.gameState.player, 'turnEnd');
+        if (this.gameState.isGameOver) return;
+        this.getEnemies().forEach(enemy => this.startEntityTurn(enemy));
+        this.executeEnemyIntents();
+        if (this.gameState.isGameOver) return;
+        this.getEnemies().forEach(enemy => this.applyTurnTicks(enemy, 'turnEnd'));
+        this.declareEnemyIntents();
+        this.startPlayerTurn();
+    }
+
+    endGame(reason) {
+        this.gameState.isGameOver = true;
+        this.gameState.gameOverReason = reason;
+    }
+
+    /**
+     * Applies a single logged action, throwing a ReplayValidationError if it is illegal.
+     * @param {object} action - An entry from the replay log.
+     */
+    applyAction(action) {
+        const player = this.gameState.player;
+        if (this.gameState.isGameOver) {
+            throw new ReplayValidationError(`Action submitted after the game ended (${this.gameState.gameOverReason}).`);
+        }
+        if (!action || action.sourceId !== player.id) {
+            throw new ReplayValidationError(`Action is not attributed to the session's player.`);
+        }
 
-            if (action.type === 'move' && action.details && action.details.targetCoords) {
-                this.executeMove(action.details.targetCoords);
-            } else if (action.type === 'interactWithEntity' && action.details && action.details.targetId) {
-                this.executeInteraction(action.details.targetId);
-            } else if (action.type === 'playerInput' && action.details && action.details.targetCoords) {
-                this.executePlayerInput(action.details.targetCoords);
-            } else if (action.type === 'skill' && action.details && action.details.skillId) {
-                this.executeSkill(action.details);
+        const details = action.details || {};
+        switch (action.type) {
+            case 'playerEndTurn':
+                this.endPlayerTurn();
+                return;
+            case 'move':
+                if (!details.targetCoords) throw new ReplayValidationError(`Move action has no target.`);
+                this.executePlan(RulesCore.planMove(this, player, details.targetCoords));
+                break;
+            case 'interactWithEntity':
+                if (!details.targetId) throw new ReplayValidationError(`Interaction has no target.`);
+                if (!this.gameState.entities.has(details.targetId)) {
+                    throw new ReplayValidationError(`Interaction target ${details.targetId} does not exist on the current map.`);
+                }
+                this.executePlan(RulesCore.planInteraction(this, player, this.gameState.entities.get(details.targetId)));
+                break;
+            case 'playerInput':
+                if (!details.targetCoords) throw new ReplayValidationError(`Player input has no target.`);
+                this.executePlan(RulesCore.planPlayerInput(this, player, details.targetCoords));
+                break;
+            case 'skill':
+                this.executeSkill(details);
+                break;
+            case 'levelUp':
+                this.levelUp(player, details.choice);
+                break;
+            default:
+                throw new ReplayValidationError(`Unknown action type '${action.type}'.`);
+        }
+
+        if (this.gameState.isGameOver) return;
+        // A portal entered during the action takes effect once the action has fully resolved,
+        // and the new map starts with a fresh player turn, so the old one is not handed to the enemies.
+        const nextMapId = this.gameState.pendingTransition;
+        if (nextMapId) {
+            this.gameState.pendingTransition = null;
+            this.transitionToMap(nextMapId);
+        } else if (RulesCore.getComponent(player, 'stats').actionPoints <= 0) {
+            // Mirrors Game.checkPlayerTurnConditions: the turn ends automatically when AP runs out.
+            this.endPlayerTurn();
+        }
+    }
+
+    /**
+     * Replays the log action by action and stops at the first action the client could not legally have made.
+     * @param {object[]} replay - The replay log.
+     * @param {{trace: boolean}} [options] - With `trace`, the report also lists getStepState() before the
+     *   first action and after every action that was applied.
+     * @returns {{verified: boolean, status: string, failedActionIndex: ?number, failedAction: ?object, reason: ?string, actionsProcessed: number, finalState: object, trace: ?object[]}}
+     */
+    playGame(replay, options = {}) {
+        const report = {
+            verified: true,
+            status: 'VERIFIED',
+            failedActionIndex: null,
+            failedAction: null,
+            reason: null,
+            actionsProcessed: 0,
+            finalState: null
+        };
+        if (options.trace) report.trace = [this.getStepState()];
+
+        for (let i = 0; i < replay.length; i++) {
+            try {
+                this.applyAction(replay[i]);
+                report.actionsProcessed++;
+                if (options.trace) report.trace.push(this.getStepState());
+            } catch (error) {
+                // A rules violation means the replay is rejected; anything else is a server bug
+                // and is flagged separately so honest players are not branded as cheaters.
+                const isViolation = error instanceof ReplayValidationError;
+                report.verified = false;
+                report.status = isViolation ? 'REJECTED' : 'ERROR';
+                report.failedActionIndex = i;
+                report.failedAction = replay[i];
+                report.reason = isViolation ? error.message : `Server engine error: ${error.message}`;
+                Logger.log(`[GameEngine] Replay ${report.status} at action ${i}: ${report.reason}`);
+                break;
             }
         }
-        // Return a simplified final state for score calculation
+
+        report.finalState = this.getFinalState();
+        return report;
+    }
+
+    /**
+     * A compact snapshot of the server's view of the game, used for scoring and the verification report.
+     */
+    getFinalState() {
+        const player = this.gameState.player;
+        const stats = RulesCore.getComponent(player, 'stats');
         return {
             player: {
-                xp: this.gameState.player.stats.xp || 0
-            }
+                xp: stats.xp || 0,
+                life: stats.life,
+                actionPoints: stats.actionPoints,
+                manaPoints: stats.manaPoints,
+                q: player.hex ? player.hex.q : null,
+                r: player.hex ? player.hex.r : null
+            },
+            // What the character carries into its next run, saved when the replay is verified.
+            progression: RulesCore.getProgression(player),
+            turnNumber: this.gameState.turnNumber,
+            isGameOver: this.gameState.isGameOver,
+            gameOverReason: this.gameState.gameOverReason
         };
     }
+
+    /**
+     * The state the divergence report compares with the client's after every action (see
+     * public/js/divergenceReport.js, which builds the same shape from a client Game): the map,
+     * and each entity's position, HP, AP and XP, keyed by entity ID.
+     */
+    getStepState() {
+        const entities = {};
+        for (const entity of this.gameState.entities.values()) {
+            const stats = RulesCore.getComponent(entity, 'stats');
+            entities[entity.id] = {
+                type: entity.type,
+                q: entity.hex ? entity.hex.q : null,
+                r: entity.hex ? entity.hex.r : null,
+                life: stats ? stats.life : null,
+                actionPoints: stats ? stats.actionPoints : null,
+                xp: stats ? stats.xp || 0 : null
+            };
+        }
+        return { mapId: this.gameState.currentMapId, entities };
+    }
 }
 
 // --- NEW: SCRIPT-LEVEL CONSTANTS & SETUP ---
@@ -313,6 +788,9 @@ const SCRIPT_PROPERTIES = PropertiesService.getScriptProperties();
 const SHEET_ID = SCRIPT_PROPERTIES.getProperty('SHEET_ID');
 const SPREADSHEET = SHEET_ID ? SpreadsheetApp.openById(SHEET_ID) : null;
 
+// Use a versioned key to easily invalidate the cached config if its structure changes.
+const GAME_CONFIG_CACHE_KEY = 'gameConfig_v21';
+
 // --- APPS SCRIPT DATABASE & LOGGING FUNCTIONS ---
 function getSheet(sheetName) {
   if (!SPREADSHEET) {
@@ -321,6 +799,31 @@ function getSheet(sheetName) {
   return SPREADSHEET.getSheetByName(sheetName);
 }
 
+let activeStorage = null;
+
+/**
+ * Returns the storage the handlers use (see game-storage.js): the spreadsheet, unless
+ * another storage was installed with setStorage.
+ */
+function getStorage() {
+  if (!activeStorage) {
+    if (!SPREADSHEET) {
+      throw new Error("Spreadsheet could not be opened. Ensure the 'SHEET_ID' script property is set correctly in Project Settings > Script Properties.");
+    }
+    activeStorage = createSheetsStorage(SPREADSHEET);
+  }
+  return activeStorage;
+}
+
+/**
+ * Replaces the handlers' storage, e.g. with createMemoryStorage() to run them without a spreadsheet.
+ * The game config cache is not cleared; call CacheService.getScriptCache().remove(GAME_CONFIG_CACHE_KEY) if needed.
+ * @param {Object|null} storage Pass null to go back to the spreadsheet.
+ */
+function setStorage(storage) {
+  activeStorage = storage;
+}
+
 /**
  * Logs a replay from an AI agent to the specified sheet.
  */
@@ -339,101 +842,49 @@ function logAiReplay(sheetName, sessionId, seed, mapTemplate, replayLog, finalSt
 }
 
 /**
- * Logs a replay from a player to the specified sheet, including verification status.
+ * Logs a replay from a player, including the verification status
+ * and the full verification report produced by GameEngine.playGame.
+ * @param {string} sessionId
+ * @param {Object} envelope The replay in a ReplayFormat envelope.
+ * @param {Object} report
  */
-function logPlayerReplay(sheetName, sessionId, replayLog, finalState, isVerified) {
-  const sheet = getSheet(sheetName);
-  if (sheet) {
-    const verificationStatus = isVerified ? 'VERIFIED' : 'MISMATCH';
-    sheet.appendRow([sessionId, JSON.stringify(replayLog), JSON.stringify(finalState), new Date(), verificationStatus]);
-  }
+function logPlayerReplay(sessionId, envelope, report) {
+  getStorage().replays.add({
+    sessionId,
+    replayLog: envelope,
+    finalState: report.finalState,
+    status: report.status,
+    verificationReport: report
+  });
 }
 
 /**
- * Fetches and returns the top 10 high scores from the 'HighScores' sheet.
+ * Fetches and returns the top 10 high scores.
  */
 function handleGetHighScores() {
   Logger.log('Action: handleGetHighScores');
-  const sheet = getSheet('HighScores');
-  if (!sheet) return [];
-  
-  const data = sheet.getDataRange().getValues();
-  // Sheet structure is: sessionId, playerName, score, timestamp
-  const scores = data.slice(1) // Skip header
-    .map(row => ({ 
-        sessionId: row[0], 
-        name: row[1], 
-        score: parseInt(row[2], 10) 
-    }))
-    .filter(item => item.sessionId && item.name && !isNaN(item.score)) // Ensure all parts are valid
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 10);
-  
-  return scores;
+  return getStorage().highScores.top(10)
+    .map(entry => ({ sessionId: entry.sessionId, name: entry.playerName, score: entry.score }));
 }
 
 /**
- * Normalizes a sheet header into a consistent key (lowercase).
- * @param {string} header The original header from the sheet.
- * @returns {string} A normalized, lowercase key.
+ * Converts player records into the config's 'players' table: keyed by player ID, with the
+ * lowercase field names the config sheets have always produced.
+ * @param {Array<Object>} players Records from storage.players.
+ * @returns {Object}
  */
-function normalizeHeader(header) {
-  return header.replace(/_JSON$/, '').toLowerCase();
-}
-/**
- * Converts a sheet's data into an object map, using the first row as headers.
- * The object is keyed by the values in the first column (ID column).
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to process.
- * @returns {Object} An object where keys are the ID from the first column.
- */
-function sheetToObjects(sheet) {
-    if (!sheet) return {};
-    const data = sheet.getDataRange().getValues();
-    if (data.length < 2) return {};
-
-    const headers = data.shift();
-    // --- NEW VALIDATION ---
-    // Check if the headers are valid. If the first header is empty, assume the row is bad.
-    if (!headers || !headers[0]) {
-        Logger.log(`ERROR: Invalid or empty header row found in sheet '${sheet.getName()}'. Please ensure the first row contains valid headers.`);
-        return {}; // Return an empty object to prevent crashes
-    }
-    // --- END VALIDATION ---
-
-    const result = {};
-
-    data.forEach(row => {
-        const id = row[0];
-        if (!id) return;
-
-        const entry = {};
-        for (let i = 1; i < headers.length; i++) {
-            const header = headers[i];
-            if (!header) continue; // Defensively skip empty header columns
-
-            let value = row[i];
-            const key = normalizeHeader(header);
-
-            // Treat any column ending in _JSON (case-insensitive) or whose normalized key is 'maptemplate' as JSON.
-            const isJsonColumn = header.toUpperCase().endsWith('_JSON') || key === 'maptemplate';
-
-            if (isJsonColumn && typeof value === 'string' && value.trim()) {
-                try {
-                    value = JSON.parse(value);
-                } catch (e) {
-                    Logger.log(`Failed to parse JSON for ID '${id}' in column '${header}': ${value}`);
-                    // Smart default: if the header implies a list/array, default to an empty array.
-                    const lowerHeader = header.toLowerCase();
-                    const isArrayLike = lowerHeader.includes("skills") || lowerHeader.includes("traits") || lowerHeader.includes("components");
-                    value = isArrayLike ? [] : {};
-                }
-            }
-            entry[key] = value;
-        }
-        result[id] = entry;
-    });
-
-    return result;
+function playersToConfigTable(players) {
+  const table = {};
+  players.forEach(player => {
+    table[player.playerId] = {
+      name: player.name,
+      archetypeid: player.archetypeId,
+      currentmapid: player.currentMapId,
+      stats: player.stats || {},
+      traits: player.traits || []
+    };
+  });
+  return table;
 }
 
 /**
@@ -442,7 +893,7 @@ function sheetToObjects(sheet) {
 function handleGetGameConfig() {
     Logger.log('Action: handleGetGameConfig');
     const cache = CacheService.getScriptCache();
-    const cacheKey = 'gameConfig_v2'; // Use a versioned key to easily invalidate if structure changes.
+    const cacheKey = GAME_CONFIG_CACHE_KEY;
 
     // 1. Try to get the config from the cache.
     const cachedConfig = cache.get(cacheKey);
@@ -453,42 +904,80 @@ function handleGetGameConfig() {
 
     // 2. If not in cache, fetch from sheets (the slow part).
     Logger.log("DEBUG: Game config cache miss. Fetching from sheets...");
-    const archetypes = sheetToObjects(getSheet('Archetypes'));
-    const skills = sheetToObjects(getSheet('Skills'));
-    const traits = sheetToObjects(getSheet('Traits'));
-    const statusEffects = sheetToObjects(getSheet('StatusEffects'));
-    const maps = sheetToObjects(getSheet('Maps'));
-    const players = sheetToObjects(getSheet('Players'));
+    const storage = getStorage();
+    const archetypes = storage.config.getTable('Archetypes');
+    const skills = storage.config.getTable('Skills');
+    const traits = storage.config.getTable('Traits');
+    const statusEffects = storage.config.getTable('StatusEffects');
+    const maps = storage.config.getTable('Maps');
+    const skillTrees = storage.config.getTable('SkillTrees');
+    const players = playersToConfigTable(storage.players.list());
 
     // --- NEW: Manually define entity blueprints on the server ---
     // This should eventually be moved to its own sheet, but for now,
-    // this mirrors the client-side config and fixes the crash.
+    // this mirrors the rule-relevant parts of the client-side config so the
+    // replay validator builds the same entities the client does.
+    const enemyComponents = (stats) => [
+        { name: 'stats', class: 'StatsComponent', args: stats },
+        { name: 'movement', class: 'MovementComponent', args: { movementRange: stats.movementRange } },
+        { name: 'behavior', class: 'BehaviorComponent', args: { type: 'basicMelee' } },
+        { name: 'intent', class: 'IntentComponent' },
+        { name: 'statusEffects', class: 'StatusEffectComponent' }
+    ];
+    const trapComponents = (trapArgs) => [{ name: 'trap', class: 'TrapComponent', args: trapArgs }];
     const entityBlueprints = {
         player: {
-            entityProperties: { blocksMovement: true },
+            entityProperties: { blocksMovement: true, zIndex: 100 },
             components: [
-                { class: 'StatsComponent', argsSource: 'archetypeBaseStats' },
-                // Other components can be added here if needed for server validation
+                { name: 'stats', class: 'StatsComponent', argsSource: 'archetypeBaseStats' },
+                { name: 'movement', class: 'MovementComponent', argsSource: 'archetypeBaseStats' },
+                { name: 'skills', class: 'SkillsComponent', argsSource: 'archetypeSkills' },
+                { name: 'visibility', class: 'VisibilityComponent', args: { sightRangeFull: 4, sightRangePartial: 6 } },
+                { name: 'statusEffects', class: 'StatusEffectComponent' }
             ]
         },
         enemy: {
-            entityProperties: { blocksMovement: true },
+            entityProperties: { blocksMovement: true, zIndex: 90 },
             components: [
-                { class: 'StatsComponent', argsSource: 'entityProperties', dataSourceKey: 'stats' }
+                { name: 'stats', class: 'StatsComponent', argsSource: 'entityProperties', dataSourceKey: 'stats' },
+                { name: 'movement', class: 'MovementComponent', argsSource: 'entityProperties', dataSourceKey: 'movement' },
+                { name: 'behavior', class: 'BehaviorComponent', argsSource: 'entityProperties', dataSourceKey: 'behavior' },
+                { name: 'intent', class: 'IntentComponent' },
+                { name: 'statusEffects', class: 'StatusEffectComponent' }
             ]
+        },
+        goblinScout: { entityProperties: { blocksMovement: true, zIndex: 90 }, components: enemyComponents({ hp: 35, ap: 4, attackPower: 8, defense: 2, movementRange: 4, xp: 5 }) },
+        goblinBrute: { entityProperties: { blocksMovement: true, zIndex: 90 }, components: enemyComponents({ hp: 80, ap: 3, attackPower: 15, defense: 5, movementRange: 2, xp: 20, resistances: { physical: 15 }, vulnerabilities: { fire: 25 } }) },
+        playerGhost: { entityProperties: { blocksMovement: true, zIndex: 90 }, components: enemyComponents({ hp: 100, ap: 3, attackPower: 12, defense: 8, movementRange: 3, xp: 50, attackDamageType: 'shadow', resistances: { physical: 50 }, vulnerabilities: { magical: 25 } }) },
+        spikeTrap: { entityProperties: { blocksMovement: false, isConcealed: true, zIndex: 10 }, components: trapComponents({ trapEffect: { type: 'damage', amount: 15, damageType: 'physical' }, reusable: true }) },
+        snareTrap: { entityProperties: { blocksMovement: false, isConcealed: true, zIndex: 10 }, components: trapComponents({ trapEffect: { type: 'status', statusId: 'snared', duration: 2 } }) },
+        poisonDartTrap: { entityProperties: { blocksMovement: false, isConcealed: true, zIndex: 10 }, components: trapComponents({ trapEffect: { type: 'damage', amount: 5, damageType: 'poison', statusId: 'poisoned', duration: 3 } }) },
+        campfire: {
+            entityProperties: { blocksMovement: true, zIndex: 20 },
+            components: [{ name: 'interactable', class: 'InteractableComponent', args: { interactEffect: { type: 'rest', healAmount: 50, restoreMP: 10, cleanse: ['debuff'] } } }]
+        },
+        portal: {
+            entityProperties: { blocksMovement: false, zIndex: 30 },
+            components: [{ name: 'portal', class: 'PortalComponent', argsSource: 'entityProperties' }]
         }
-        // Note: Specific enemies like 'goblinScout' will fall back to the 'enemy' blueprint
-        // in createServerEntity, which is sufficient for current validation logic.
     };
 
     const gameConfig = {
         archetypes,
         skills,
+        skillTrees,
         traits,
         statusEffects,
         maps,
         players,
-        entityBlueprints // Add the blueprints to the config
+        entityBlueprints, // Add the blueprints to the config
+        // The rule tables the client plays by, from the shared public/js/shared/rulesConfig.js.
+        aiBehaviors: RulesConfig.aiBehaviors,
+        combatFormulas: RulesConfig.combatFormulas,
+        damageTypes: RulesConfig.damageTypes,
+        progression: RulesConfig.progression,
+        // Recorded with exported replays, so a reproduction says which rules it was played under.
+        version: SCRIPT_VERSION
     };
 
     // 3. Store the newly fetched config in the cache for next time.
@@ -500,7 +989,7 @@ function handleGetGameConfig() {
 }
 
 /**
- * Fetches data for a specific player from the 'Players' sheet.
+ * Fetches data for a specific player.
  * @param {Object} payload The payload from the POST request.
  * @returns {Object} A characterData object ready for the client.
  */
@@ -511,12 +1000,14 @@ function handleGetPlayerData(payload) {
         throw new Error("Parameter 'playerId' is required for action 'getPlayerData'.");
     }
 
-    const gameConfig = handleGetGameConfig(); // Load all config, including players
+    const gameConfig = handleGetGameConfig(); // Archetypes and traits
 
-    const playerData = gameConfig.players ? gameConfig.players[playerId] : null;
-    if (!playerData) {
+    // Read the player itself from storage rather than the cached config, so saved progress shows up immediately.
+    const player = getStorage().players.findById(playerId);
+    if (!player) {
         throw new Error(`Player with ID '${playerId}' not found in 'Players' sheet.`);
     }
+    const playerData = { playerid: playerId, ...playersToConfigTable([player])[playerId] };
 
     const archetype = gameConfig.archetypes[playerData.archetypeid];
     if (!archetype) {
@@ -528,33 +1019,47 @@ function handleGetPlayerData(payload) {
     Logger.log(`DEBUG: Value of archetype.skills: ${JSON.stringify(archetype.skills)}`);
     Logger.log(`DEBUG: Is archetype.skills an array? ${Array.isArray(archetype.skills)}`);
 
-    // Combine data to match the structure from CharacterCreator
-    const finalCharacterData = { ...playerData };
+    // Combine data to match the structure from CharacterCreator, starting from the progress saved from earlier runs.
+    return { ...playerData, ...buildCharacterData(gameConfig, playerData.archetypeid, playerData.stats || {}, playerData.traits) };
+}
 
-    // --- NEW: Prioritize saved stats over archetype defaults ---
-    // If the player has a saved stats object, use it. Otherwise, fall back to the archetype's base stats.
-    // The 'stats' property is created by sheetToObjects from a 'Stats_JSON' column.
-    if (playerData.stats && Object.keys(playerData.stats).length > 0) {
-        Logger.log(`DEBUG: Loading player from saved stats for player '${playerId}'.`);
-        finalCharacterData.baseStats = playerData.stats;
-    } else {
-        Logger.log(`DEBUG: Initializing player from archetype stats for player '${playerId}'.`);
-        finalCharacterData.baseStats = archetype.basestats || {}; // Use normalized key
+/**
+ * Builds a character as the server trusts it: its archetype's base stats and skills, plus saved progress
+ * (see RulesCore.getProgression): level, XP, attribute points, learned skills and skill ranks.
+ * archetypeId picks the skill tree, as it does for a character made by CharacterCreator.
+ * @param {Object} gameConfig
+ * @param {string} archetypeId
+ * @param {Object} saved The saved progression; empty for a new character.
+ * @param {Array<string|Object>} [traitIds] Trait IDs (or trait objects with an id); unknown ones are dropped.
+ * @returns {Object} archetypeId, baseStats, skills, skillRanks and traits, in the shape CharacterCreator produces.
+ */
+function buildCharacterData(gameConfig, archetypeId, saved, traitIds) {
+    const archetype = gameConfig.archetypes[archetypeId];
+    if (!archetype) {
+        throw new Error(`Archetype '${archetypeId}' not found.`);
     }
-    finalCharacterData.skills = Array.isArray(archetype.skills) ? [...archetype.skills] : [];
+    const learnedSkills = Array.isArray(saved.learnedSkills) ? saved.learnedSkills : [];
+    const archetypeSkills = Array.isArray(archetype.skills) ? archetype.skills : [];
 
     // Hydrate trait IDs into full trait objects to match CharacterCreator's output format.
-    // This makes the server's data packet complete and consistent.
-    if (Array.isArray(playerData.traits)) {
-        finalCharacterData.traits = playerData.traits.map(traitId => {
-            const traitData = gameConfig.traits[traitId];
-            // Return the full object, including its ID, which is the key in the config.
-            return traitData ? { id: traitId, ...traitData } : null;
-        }).filter(Boolean); // Filter out any nulls if a trait ID was invalid.
-    } else {
-        finalCharacterData.traits = [];
-    }
-    return finalCharacterData;
+    const ids = (Array.isArray(traitIds) ? traitIds : []).map(trait => (trait && typeof trait === 'object' ? trait.id : trait));
+    const traits = ids
+        .filter((traitId, index) => gameConfig.traits[traitId] && ids.indexOf(traitId) === index)
+        .map(traitId => ({ id: traitId, ...gameConfig.traits[traitId] }));
+
+    return {
+        archetypeId,
+        baseStats: {
+            ...(archetype.basestats || {}), // Use normalized key
+            level: saved.level || 1,
+            xp: saved.xp || 0,
+            allocatedAttributes: saved.allocatedAttributes || {},
+            learnedSkills
+        },
+        skills: [...archetypeSkills, ...learnedSkills.filter(skillId => archetypeSkills.indexOf(skillId) === -1)],
+        skillRanks: saved.skillRanks || {},
+        traits
+    };
 }
 
 // --- DATA ACCESS ---
@@ -616,96 +1121,77 @@ function doGet(e) {
 }
 
 /**
- * Handles a request to fetch a specific replay by its session ID.
- * @param {Object} e The event parameter from doGet.
- * @returns {Object} The full replay data object.
+ * Loads a session's latest replay, migrated to the current ReplayFormat envelope, together with
+ * what is needed to play it again. Replays recorded before the map template was stored with them
+ * fall back to the template the current config has for the session's map.
+ * @param {string} sessionId
+ * @returns {{session: Object, envelope: Object, mapId: string, mapTemplate: Object, gameConfig: Object}}
  */
-function handleGetReplay(payload) {
-    Logger.log(`Action: handleGetReplay, Payload: ${JSON.stringify(payload)}`);
-    const sessionId = payload.sessionId;
-    if (!sessionId) throw new Error("Parameter 'sessionId' is required for action 'getReplay'.");
-
-    // --- Step 1: Find the replay log in PlayerReplays ---
-    const replaySheet = getSheet('PlayerReplays');
-    if (!replaySheet) throw new Error("Sheet 'PlayerReplays' not found.");
-    const replayValues = replaySheet.getDataRange().getValues();
-    let replayLog = null;
-    for (let i = replayValues.length - 1; i >= 0; i--) {
-        if (replayValues[i][0] === sessionId) {
-            // New structure: [sessionId, replayLog_JSON, finalState_JSON, timestamp, status]
-            replayLog = JSON.parse(replayValues[i][1]);
-            break;
-        }
-    }
-    if (!replayLog) throw new Error(`Replay log for sessionId '${sessionId}' not found in PlayerReplays.`);
-
-    // --- Step 2: Find the session start data in GameSessions ---
-    const sessionsSheet = getSheet('GameSessions');
-    if (!sessionsSheet) throw new Error("Sheet 'GameSessions' not found.");
-    const sessionsValues = sessionsSheet.getDataRange().getValues();
-    Logger.log(`Searching for session '${sessionId}' in ${sessionsValues.length} rows.`);
-    let seed = null;
-    let versionedMapId = null;
-    let initialCharacterData = null; // Declare the variable to hold the parsed data.
-    for (let i = sessionsValues.length - 1; i >= 0; i--) {
-        if (sessionsValues[i][0] === sessionId) {
-            // Structure: [sessionId, seed, versionedMapId, timestamp, status, characterData_JSON]
-            seed = sessionsValues[i][1];
-            versionedMapId = sessionsValues[i][2];
-            const initialCharacterDataString = sessionsValues[i][5];
-            if (initialCharacterDataString) {
-                Logger.log(`Found character data string for session '${sessionId}'.`);
-                initialCharacterData = JSON.parse(initialCharacterDataString);
-            } else {
-                Logger.log(`Session '${sessionId}' found, but its character data string is empty.`);
-            }
-            break;
-        }
-    }
+function loadPlayerReplay(sessionId) {
+    const storage = getStorage();
+
+    // --- Step 1: Find the replay log ---
+    const replay = storage.replays.findLatest(sessionId);
+    if (!replay || !replay.replayLog) throw new Error(`Replay log for sessionId '${sessionId}' not found in PlayerReplays.`);
+    const envelope = ReplayFormat.migrate(replay.replayLog);
+
+    // --- Step 2: Find the session start data ---
+    const session = storage.sessions.findById(sessionId);
+    const seed = session ? session.seed : null;
+    const versionedMapId = session ? session.mapId : null;
+    const initialCharacterData = session ? session.characterData : null;
     if (!seed || !versionedMapId || !initialCharacterData) {
         // This detailed log helps distinguish between a missing session and incomplete data.
-        Logger.log(`Incomplete session data for '${sessionId}': seed=${seed}, mapId=${versionedMapId}, charDataExists=${!!initialCharacterData}`);
+        Logger.log(`Incomplete session data for '${sessionId}': sessionFound=${!!session}, seed=${seed}, mapId=${versionedMapId}, charDataExists=${!!initialCharacterData}`);
         throw new Error(`Initial session data (including character) for sessionId '${sessionId}' not found in GameSessions.`);
     }
 
-    // --- Step 3: Get the map template from the game config ---
+    // --- Step 3: Use the recorded map template, or the current config's for older replays ---
     const gameConfig = handleGetGameConfig();
-    const mapData = gameConfig.maps[versionedMapId];
-    if (!mapData) {
-        throw new Error(`Could not find map template for versioned ID '${versionedMapId}' needed for replay '${sessionId}'.`);
+    let mapTemplate = envelope.mapTemplate;
+    if (!mapTemplate) {
+        const mapData = gameConfig.maps[versionedMapId];
+        if (!mapData) {
+            throw new Error(`Could not find map template for versioned ID '${versionedMapId}' needed for replay '${sessionId}'.`);
+        }
+        mapTemplate = mapData.maptemplate;
     }
-    const mapTemplate = mapData.maptemplate;
 
-    // --- Step 4: Assemble and return the complete replay object ---
-    return { sessionId, seed, mapTemplate, replayLog, initialCharacterData };
+    return { session, envelope, mapId: envelope.mapId || versionedMapId, mapTemplate, gameConfig };
+}
+
+/**
+ * Handles a request to fetch a specific replay by its session ID.
+ * @param {Object} e The event parameter from doGet.
+ * @returns {Object} The full replay data object.
+ */
+function handleGetReplay(payload) {
+    Logger.log(`Action: handleGetReplay, Payload: ${JSON.stringify(payload)}`);
+    const sessionId = payload.sessionId;
+    if (!sessionId) throw new Error("Parameter 'sessionId' is required for action 'getReplay'.");
+
+    const { session, envelope, mapId, mapTemplate } = loadPlayerReplay(sessionId);
+    return {
+        sessionId,
+        seed: session.seed,
+        mapId,
+        mapTemplate,
+        replayLog: envelope.actions,
+        initialCharacterData: session.characterData,
+        configVersion: envelope.configVersion
+    };
 }
 
 /**
- * Fetches and returns all players from the 'Players' sheet.
+ * Fetches and returns all players.
  */
 function handleGetPlayers() {
     Logger.log('Action: handleGetPlayers');
-    const sheet = getSheet('Players');
-    if (!sheet) return [];
-    const data = sheet.getDataRange().getValues();
-    if (data.length < 2) return []; // No data besides header
-
-    const headers = data.shift(); // Get and remove header row
-
-    const players = data.map(row => {
-        if (!row[0]) return null; // Skip rows without a PlayerID
-        let obj = {};
-        headers.forEach((header, index) => {
-            obj[header] = row[index];
-        });
-        return obj;
-    }).filter(Boolean); // Remove nulls
-
-    return players;
+    return getStorage().players.list();
 }
 
 /**
- * Adds a new player to the 'Players' sheet.
+ * Adds a new player.
  */
 function handleAddPlayer(payload) {
     Logger.log(`Action: handleAddPlayer, Payload: ${JSON.stringify(payload)}`);
@@ -714,14 +1200,7 @@ function handleAddPlayer(payload) {
         throw new Error("Payload for 'addPlayer' must include 'playerId', 'name', 'archetypeId', and 'currentMapId'.");
     }
 
-    const sheet = getSheet('Players');
-    if (!sheet) throw new Error("Critical Error: Sheet 'Players' not found.");
-
-    const idColumnValues = sheet.getRange(2, 1, sheet.getLastRow(), 1).getValues();
-    if (idColumnValues.flat().some(id => id === playerId)) {
-        throw new Error(`Player with ID '${playerId}' already exists.`);
-    }
-    sheet.appendRow([playerId, name, archetypeId, currentMapId]);
+    getStorage().players.add({ playerId, name, archetypeId, currentMapId });
     return { status: 'success', message: `Player '${name}' added successfully.` };
 }
 /**
@@ -748,10 +1227,15 @@ function handleNewGame(payload) {
         characterData = authoritativeCharacterData;
         mapId = characterData.currentmapid;
     } else {
-        // This is a new character. The server is authoritative for its ID.
-        // We generate it here so it can be returned to the client and used in the replay log.
-        // We can't use the deterministic UUID generator because we don't have the session seed yet.
-        characterData.id = Utilities.getUuid();
+        // This is a new character: only its name, archetype and traits come from the client. Its stats and
+        // skills are the archetype's at level 1, so a replay is never verified against a made-up character.
+        // The server is authoritative for its ID too. We can't use the deterministic UUID generator because
+        // we don't have the session seed yet.
+        characterData = {
+            id: Utilities.getUuid(),
+            name: String(characterData.name || 'Anonymous Hero'),
+            ...buildCharacterData(handleGetGameConfig(), characterData.archetypeId, {}, characterData.traits)
+        };
     }
 
     // --- Direct map lookup ---
@@ -769,55 +1253,10 @@ function handleNewGame(payload) {
     const sessionId = Utilities.getUuid();
     const seed = new Date().getTime().toString();
 
-    const sessionsSheet = getSheet('GameSessions');
     // Store the specific versionedMapId in the session for later validation.
-    if (sessionsSheet) sessionsSheet.appendRow([sessionId, seed, versionedMapId, new Date(), 'STARTED', JSON.stringify(characterData)]);
+    getStorage().sessions.create({ sessionId, seed, mapId: versionedMapId, status: 'STARTED', characterData });
     
-    return { sessionId, seed, mapTemplate, characterData };
-}
-
-/**
- * Handles updating a player's persistent state.
- */
-function handleUpdatePlayerState(payload) {
-    Logger.log(`Action: handleUpdatePlayerState, Payload: ${JSON.stringify(payload)}`);
-    const { playerId, finalState } = payload;
-    if (!playerId || !finalState) {
-        throw new Error("Payload for 'updatePlayerState' must include 'playerId' and 'finalState'.");
-    }
-
-    const playersSheet = getSheet('Players');
-    if (!playersSheet) throw new Error("Critical Error: Sheet 'Players' not found.");
-
-    const data = playersSheet.getDataRange().getValues();
-    const playerRowIndex = data.findIndex(row => row[0] === playerId);
-
-    if (playerRowIndex === -1) {
-        throw new Error(`Player with ID '${playerId}' not found for update.`);
-    }
-
-    // --- Enhanced Update Logic ---
-    // This now updates multiple columns for the player: CurrentMapID and Stats_JSON.
-    // We assume the sheet layout is: A:PlayerID, B:Name, C:ArchetypeID, D:CurrentMapID, E:Stats_JSON
-    const playerSheetRow = playerRowIndex + 1; // Sheet rows are 1-based
-    const statsToSave = finalState.player || null; // The client sends stats under the 'player' key
-
-    if (!statsToSave) {
-        throw new Error(`'finalState' payload for player '${playerId}' is missing the 'player' stats object.`);
-    }
-
-    // Prepare the values to be written to the sheet.
-    const newMapId = finalState.currentMapId || data[playerRowIndex][3]; // Use existing if not provided
-    const statsJson = JSON.stringify(statsToSave);
-
-    // Update the CurrentMapID (column 4) and Stats_JSON (column 5) in a single operation.
-    // This is more efficient than separate 'setValue' calls.
-    const updateRange = playersSheet.getRange(playerSheetRow, 4, 1, 2); // (row, start_col, num_rows, num_cols)
-    updateRange.setValues([[newMapId, statsJson]]);
-
-    Logger.log(`DEBUG: Updated player '${playerId}' with MapID '${newMapId}' and stats: ${statsJson}`);
-
-    return { status: 'success', message: `Player ${playerId} state updated.`};
+    return { sessionId, seed, mapId: versionedMapId, mapTemplate, characterData };
 }
 
 /**
@@ -829,27 +1268,21 @@ function handleSubmitReplay(payload) {
     if (!sessionId || !replayLog || !playerName) {
         throw new Error("Payload for 'submitReplay' must include 'sessionId', 'replayLog', and 'playerName'.");
     }
-
-    const sessionsSheet = getSheet('GameSessions');
-    if (!sessionsSheet) throw new Error("Critical Error: Sheet 'GameSessions' not found.");
-    
-    const sessionsData = sessionsSheet.getDataRange().getValues();
-    // Find the session row and its index
-    let sessionRow, sessionRowIndex = -1;
-    for (let i = 0; i < sessionsData.length; i++) {
-        if (sessionsData[i][0] === sessionId) {
-            sessionRow = sessionsData[i];
-            sessionRowIndex = i;
-            break;
-        }
+    // Clients send an envelope; clients from before replays were versioned send a bare action list.
+    const actions = ReplayFormat.migrate(replayLog).actions;
+
+    const storage = getStorage();
+    const session = storage.sessions.findById(sessionId);
+    if (!session) throw new Error(`Session with ID '${sessionId}' not found. Replay rejected.`);
+    // A session takes one submission: a verified run must not score twice, nor a rejected one be retried with another log.
+    if (session.status !== 'STARTED') {
+        throw new Error(`Session '${sessionId}' has already been submitted (status: ${session.status}). Replay rejected.`);
     }
 
-    if (!sessionRow) throw new Error(`Session with ID '${sessionId}' not found. Replay rejected.`);
-
-    const seed = sessionRow[1];
-    const versionedMapId = sessionRow[2]; // This is now the specific version ID, e.g., 'map_01_v2'
-    const initialCharacterDataString = sessionRow[5]; // characterData JSON
-    const initialCharacterData = JSON.parse(initialCharacterDataString);
+    const seed = session.seed;
+    const versionedMapId = session.mapId; // This is now the specific version ID, e.g., 'map_01_v2'
+    const initialCharacterData = session.characterData;
+    if (!initialCharacterData) throw new Error(`Session '${sessionId}' has no character data. Replay rejected.`);
 
     // Get the full game configuration, which is needed by the new engine.
     const gameConfig = handleGetGameConfig();
@@ -862,26 +1295,88 @@ function handleSubmitReplay(payload) {
     const mapTemplate = mapDataForReplay.maptemplate;
 
     // --- REPLAY VALIDATION ---
-    // The server engine is now more stateful and can process the replay log.
+    // The server engine re-runs the replay and checks every action against the game rules.
     const serverGame = new GameEngine(seed, mapTemplate, initialCharacterData, gameConfig);
-    const finalStateServer = serverGame.playGame(replayLog);
+    const report = serverGame.playGame(actions);
+    const isVerified = report.verified;
 
-    // For now, validation is always considered successful.
-    const isVerified = true;
-    // Log only the essential replay data. Seed and map info will be looked up from GameSessions.
-    logPlayerReplay('PlayerReplays', sessionId, replayLog, finalStateServer, isVerified);
+    // Seed and character are looked up from GameSessions. The map template and version are kept
+    // with the replay, so it can be played again after the map or the rules change.
+    const envelope = ReplayFormat.createEnvelope(actions, { configVersion: SCRIPT_VERSION, mapId: versionedMapId, mapTemplate });
+    logPlayerReplay(sessionId, envelope, report);
+
+    // Update the session status: 'COMPLETED' for verified runs, otherwise the report status.
+    storage.sessions.updateStatus(sessionId, isVerified ? 'COMPLETED' : report.status);
 
     if (isVerified) {
-        // 1. Update the session status to 'COMPLETED'
-        if (sessionRowIndex !== -1) sessionsSheet.getRange(sessionRowIndex + 1, 5).setValue('COMPLETED');
-        // 2. Submit the score to the HighScores sheet
-        const score = finalStateServer.player.xp || 0;
-        const highScoresSheet = getSheet('HighScores');
-        if (highScoresSheet) highScoresSheet.appendRow([sessionId, playerName, score, new Date()]);
+        // Only verified runs reach the leaderboard, with the XP earned during the run.
+        const startingXp = (initialCharacterData.baseStats && initialCharacterData.baseStats.xp) || 0;
+        const score = (report.finalState.player.xp || 0) - startingXp;
+        storage.highScores.add({ sessionId, playerName, score });
+        // A saved character keeps the levels, attributes and skills it earned, as the server played them.
+        if (initialCharacterData.playerid) {
+            storage.players.update(initialCharacterData.playerid, { stats: report.finalState.progression });
+        }
     }
-    
-    const message = isVerified ? 'Replay verified and score submitted.' : 'Replay verification failed.';
-    return { status: 'success', message: message, verified: isVerified };
+
+    const message = isVerified
+        ? 'Replay verified and score submitted.'
+        : `Replay verification failed at action ${report.failedActionIndex}: ${report.reason}`;
+    return { status: 'success', message: message, verified: isVerified, report: report };
+}
+
+/**
+ * Plays a stored replay again with the current engine, e.g. after a rules change, without
+ * changing its recorded status or score.
+ * @param {Object} payload { sessionId }
+ * @returns {Object} The fresh verification report, with the versions it compares.
+ */
+function handleReverifyReplay(payload) {
+    Logger.log(`Action: handleReverifyReplay, Payload: ${JSON.stringify(payload)}`);
+    const sessionId = payload.sessionId;
+    if (!sessionId) throw new Error("Parameter 'sessionId' is required for action 'reverifyReplay'.");
+
+    const { session, envelope, mapTemplate, gameConfig } = loadPlayerReplay(sessionId);
+    const serverGame = new GameEngine(session.seed, mapTemplate, session.characterData, gameConfig);
+    const report = serverGame.playGame(envelope.actions);
+    return {
+        status: 'success',
+        verified: report.verified,
+        recordedConfigVersion: envelope.configVersion,
+        configVersion: SCRIPT_VERSION,
+        report
+    };
+}
+
+/**
+ * Plays a replay with the server engine and returns its state after every action, for comparing
+ * with the client's in the divergence report (divergence.html). The replay is either a stored
+ * session's or one sent along, e.g. from an exported replay file.
+ * @param {Object} payload { sessionId } or { seed, mapTemplate, initialCharacterData, replayLog }
+ * @returns {Object} The verification report, with its trace.
+ */
+function handleTraceReplay(payload) {
+    Logger.log(`Action: handleTraceReplay, Session: ${payload.sessionId || '(sent replay)'}`);
+    let seed, mapTemplate, characterData, actions, gameConfig;
+    if (payload.sessionId) {
+        const replay = loadPlayerReplay(payload.sessionId);
+        ({ mapTemplate, gameConfig } = replay);
+        seed = replay.session.seed;
+        characterData = replay.session.characterData;
+        actions = replay.envelope.actions;
+    } else {
+        if (!payload.seed || !payload.mapTemplate || !payload.initialCharacterData || !payload.replayLog) {
+            throw new Error("Payload for 'traceReplay' must include 'sessionId', or 'seed', 'mapTemplate', 'initialCharacterData' and 'replayLog'.");
+        }
+        ({ seed, mapTemplate } = payload);
+        characterData = payload.initialCharacterData;
+        actions = ReplayFormat.migrate(payload.replayLog).actions;
+        gameConfig = handleGetGameConfig();
+    }
+
+    const serverGame = new GameEngine(seed, mapTemplate, characterData, gameConfig);
+    const report = serverGame.playGame(actions, { trace: true });
+    return { status: 'success', configVersion: SCRIPT_VERSION, report };
 }
 
 function doOptions(e) {
@@ -913,19 +1408,16 @@ function testSubmitReplay() {
 
     // 2. Create a mock replay log
     // This log simulates the player moving and then interacting with something.
-    // The server-side engine will process these actions.
+    // The server-side engine will process these actions and reject any move that is
+    // out of reach, so each input is followed by an explicit end of turn.
     Logger.log("Step 2: Creating a mock replay log...");
     const playerId = sessionData.characterData.id;
-    const replayLog = [
-      { type: "playerInput", sourceId: playerId, details: { targetCoords: { q: 5, r: 8 } } },
-      { type: "playerInput", sourceId: playerId, details: { targetCoords: { q: 6, r: 5 } } },
-      { type: "playerInput", sourceId: playerId, details: { targetCoords: { q: 6, r: 2 } } },
-      { type: "playerInput", sourceId: playerId, details: { targetCoords: { q: 5, r: 1 } } },
-      { type: "playerInput", sourceId: playerId, details: { targetCoords: { q: 4, r: 9 } } },
-      { type: "playerInput", sourceId: playerId, details: { targetCoords: { q: 4, r: 6 } } },
-      { type: "playerInput", sourceId: playerId, details: { targetCoords: { q: 4, r: 3 } } },
-      { type: "playerInput", sourceId: playerId, details: { targetCoords: { q: 5, r: 1 } } }
-    ];
+    const targets = [{ q: 5, r: 8 }, { q: 6, r: 5 }, { q: 6, r: 2 }, { q: 5, r: 1 }, { q: 4, r: 9 }, { q: 4, r: 6 }, { q: 4, r: 3 }, { q: 5, r: 1 }];
+    const replayLog = [];
+    targets.forEach(targetCoords => {
+      replayLog.push({ type: "playerInput", sourceId: playerId, details: { targetCoords } });
+      replayLog.push({ type: "playerEndTurn", sourceId: playerId, details: {} });
+    });
     Logger.log(`Replay log created with ${replayLog.length} actions.`);
 
     // 3. Construct the payload for handleSubmitReplay
@@ -993,10 +1485,12 @@ function doPost(e) {
         return createJsonResponse(handleTestPost());
       case 'newGame':
         return createJsonResponse(handleNewGame(payload));
-      case 'updatePlayerState':
-        return createJsonResponse(handleUpdatePlayerState(payload));
       case 'submitReplay':
         return createJsonResponse(handleSubmitReplay(payload));
+      case 'reverifyReplay':
+        return createJsonResponse(handleReverifyReplay(payload));
+      case 'traceReplay':
+        return createJsonResponse(handleTraceReplay(payload));
       case undefined:
       case null:
         // Default ping action if no action is specified
@@ -1101,7 +1595,7 @@ function testHandleGetReplay() {
 function primeGameConfigCache() {
   try {
     const cache = CacheService.getScriptCache();
-    const cacheKey = 'gameConfig_v2';
+    const cacheKey = GAME_CONFIG_CACHE_KEY;
     Logger.log(`Clearing existing cache for key: ${cacheKey}`);
     cache.remove(cacheKey);
 
@@ -0,0 +1,441 @@
+/**
+ * @file game-storage.js
+ * @description The storage layer behind the backend handlers in game-engine.js.
+ *
+ * Handlers never touch sheet rows directly. They go through a storage object with one repository
+ * per kind of record:
+ *
+ *   storage.sessions    { sessionId, seed, mapId, timestamp, status, characterData }
+ *   storage.replays     { sessionId, replayLog, finalState, timestamp, status, verificationReport }
+ *   storage.players     { playerId, name, archetypeId, currentMapId, stats, traits }
+ *   storage.highScores  { sessionId, playerName, score, timestamp }
+ *   storage.config      read-only config tables (Archetypes, Skills, SkillTrees, Traits, StatusEffects, Maps)
+ *
+ * A replay's replayLog is stored as written: a ReplayFormat envelope, or a bare action list in rows
+ * from before replays were versioned. Readers pass it through ReplayFormat.migrate().
+ *
+ * Two implementations share that interface:
+ * - createSheetsStorage(spreadsheet) reads and writes the Google Sheet. Columns are found by their
+ *   header, not their position, so reordering or inserting columns is safe; a sheet missing one of
+ *   its columns fails loudly instead of writing into the wrong cell.
+ * - createMemoryStorage(data) keeps plain records in memory. Its data is JSON-serializable, so it can
+ *   be loaded from and saved to a JSON file, and handlers can be exercised without a spreadsheet.
+ *
+ * Like game-engine.js, this is a plain Apps Script file: add it to the same project.
+ */
+
+/**
+ * The record sheets, their columns and the record field each column holds.
+ * The first column is the record's ID. Headers are matched loosely (see normalizeColumnName), so
+ * 'SessionID', 'Session ID' and 'session_id' all name the same column.
+ */
+const STORAGE_TABLES = {
+  sessions: {
+    sheetName: 'GameSessions',
+    columns: [
+      { field: 'sessionId', header: 'SessionID' },
+      { field: 'seed', header: 'Seed' },
+      { field: 'mapId', header: 'MapID' },
+      { field: 'timestamp', header: 'Timestamp' },
+      { field: 'status', header: 'Status' },
+      { field: 'characterData', header: 'CharacterData_JSON', json: true }
+    ]
+  },
+  replays: {
+    sheetName: 'PlayerReplays',
+    columns: [
+      { field: 'sessionId', header: 'SessionID' },
+      { field: 'replayLog', header: 'ReplayLog_JSON', json: true },
+      { field: 'finalState', header: 'FinalState_JSON', json: true },
+      { field: 'timestamp', header: 'Timestamp' },
+      { field: 'status', header: 'Status' },
+      { field: 'verificationReport', header: 'VerificationReport_JSON', json: true }
+    ]
+  },
+  players: {
+    sheetName: 'Players',
+    columns: [
+      { field: 'playerId', header: 'PlayerID' },
+      { field: 'name', header: 'Name' },
+      { field: 'archetypeId', header: 'ArchetypeID' },
+      { field: 'currentMapId', header: 'CurrentMapID' },
+      { field: 'stats', header: 'Stats_JSON', json: true },
+      { field: 'traits', header: 'Traits_JSON', json: true }
+    ]
+  },
+  highScores: {
+    sheetName: 'HighScores',
+    columns: [
+      { field: 'sessionId', header: 'SessionID' },
+      { field: 'playerName', header: 'PlayerName' },
+      { field: 'score', header: 'Score' },
+      { field: 'timestamp', header: 'Timestamp' }
+    ]
+  }
+};
+
+/** The config sheets read by handleGetGameConfig. */
+const CONFIG_TABLES = ['Archetypes', 'Skills', 'SkillTrees', 'Traits', 'StatusEffects', 'Maps'];
+
+/**
+ * Reduces a header to the letters and digits that identify it, ignoring case, spacing and a _JSON suffix.
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeColumnName(header) {
+  return String(header).replace(/_JSON$/i, '').replace(/[^a-z0-9]/gi, '').toLowerCase();
+}
+
+/**
+ * Normalizes a sheet header into a consistent key (lowercase).
+ * @param {string} header The original header from the sheet.
+ * @returns {string} A normalized, lowercase key.
+ */
+function normalizeHeader(header) {
+  return header.replace(/_JSON$/, '').toLowerCase();
+}
+
+/**
+ * Converts a sheet's data into an object map, using the first row as headers.
+ * The object is keyed by the values in the first column (ID column).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to process.
+ * @returns {Object} An object where keys are the ID from the first column.
+ */
+function sheetToObjects(sheet) {
+    if (!sheet) return {};
+    const data = sheet.getDataRange().getValues();
+    if (data.length < 2) return {};
+
+    const headers = data.shift();
+    // Check if the headers are valid. If the first header is empty, assume the row is bad.
+    if (!headers || !headers[0]) {
+        Logger.log(`ERROR: Invalid or empty header row found in sheet '${sheet.getName()}'. Please ensure the first row contains valid headers.`);
+        return {}; // Return an empty object to prevent crashes
+    }
+
+    const result = {};
+
+    data.forEach(row => {
+        const id = row[0];
+        if (!id) return;
+
+        const entry = {};
+        for (let i = 1; i < headers.length; i++) {
+            const header = headers[i];
+            if (!header) continue; // Defensively skip empty header columns
+
+            let value = row[i];
+            const key = normalizeHeader(header);
+
+            // Treat any column ending in _JSON (case-insensitive) or whose normalized key is 'maptemplate' as JSON.
+            const isJsonColumn = header.toUpperCase().endsWith('_JSON') || key === 'maptemplate';
+
+            if (isJsonColumn && typeof value === 'string' && value.trim()) {
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {
+                    Logger.log(`Failed to parse JSON for ID '${id}' in column '${header}': ${value}`);
+                    // Smart default: if the header implies a list/array, default to an empty array.
+                    const lowerHeader = header.toLowerCase();
+                    const isArrayLike = lowerHeader.includes("skills") || lowerHeader.includes("traits") || lowerHeader.includes("components");
+                    value = isArrayLike ? [] : {};
+                }
+            }
+            entry[key] = value;
+        }
+        result[id] = entry;
+    });
+
+    return result;
+}
+
+/**
+ * A record sheet read and written through its header row.
+ */
+class SheetTable {
+  /**
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {{sheetName: string, columns: Array<{field: string, header: string, json?: boolean}>}} schema
+   */
+  constructor(spreadsheet, schema) {
+    this.spreadsheet = spreadsheet;
+    this.sheetName = schema.sheetName;
+    this.columns = schema.columns;
+    this.idField = schema.columns[0].field;
+  }
+
+  /** @private */
+  getSheet(required) {
+    const sheet = this.spreadsheet.getSheetByName(this.sheetName);
+    if (!sheet && required) throw new Error(`Critical Error: Sheet '${this.sheetName}' not found.`);
+    return sheet;
+  }
+
+  /**
+   * Maps each field to its 0-based column index in the given header row.
+   * @private
+   */
+  resolveColumns(headerRow) {
+    const positions = {};
+    headerRow.forEach((header, index) => {
+      const name = normalizeColumnName(header);
+      if (name && !(name in positions)) positions[name] = index;
+    });
+
+    const indexes = {};
+    const missing = [];
+    this.columns.forEach(column => {
+      const index = positions[normalizeColumnName(column.header)];
+      if (index === undefined) missing.push(column.header);
+      else indexes[column.field] = index;
+    });
+    if (missing.length > 0) {
+      throw new Error(`Sheet '${this.sheetName}' is missing the column(s) ${missing.join(', ')}. Check its header row.`);
+    }
+    return indexes;
+  }
+
+  /**
+   * Reads every record in the sheet, in row order. A missing sheet reads as empty.
+   * @returns {Array<{record: Object, rowNumber: number}>} Each record with its 1-based sheet row.
+   */
+  readAll() {
+    const sheet = this.getSheet(false);
+    if (!sheet) return [];
+    const values = sheet.getDataRange().getValues();
+    if (values.length < 2) return [];
+
+    const indexes = this.resolveColumns(values[0]);
+    const rows = [];
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      if (!row[indexes[this.idField]]) continue; // Skip blank rows
+      const record = {};
+      this.columns.forEach(column => {
+        record[column.field] = this.decode(column, row[indexes[column.field]], row[indexes[this.idField]]);
+      });
+      rows.push({ record, rowNumber: i + 1 });
+    }
+    return rows;
+  }
+
+  /**
+   * Finds the last row whose ID matches, so a re-logged record wins over older ones.
+   * @returns {{record: Object, rowNumber: number}|null}
+   */
+  findLast(id) {
+    const rows = this.readAll();
+    for (let i = rows.length - 1; i >= 0; i--) {
+      if (rows[i].record[this.idField] === id) return rows[i];
+    }
+    return null;
+  }
+
+  /**
+   * Appends a record as a new row, placing each field under its column's header.
+   */
+  append(record) {
+    const sheet = this.getSheet(true);
+    const headerRow = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+    const indexes = this.resolveColumns(headerRow);
+    const row = new Array(headerRow.length).fill('');
+    this.columns.forEach(column => {
+      if (record[column.field] !== undefined) row[indexes[column.field]] = this.encode(column, record[column.field]);
+    });
+    sheet.appendRow(row);
+  }
+
+  /**
+   * Overwrites the given fields of the record at a sheet row, leaving its other cells untouched.
+   */
+  update(rowNumber, changes) {
+    const sheet = this.getSheet(true);
+    const headerRow = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+    const indexes = this.resolveColumns(headerRow);
+    this.columns.forEach(column => {
+      if (changes[column.field] === undefined) return;
+      sheet.getRange(rowNumber, indexes[column.field] + 1).setValue(this.encode(column, changes[column.field]));
+    });
+  }
+
+  /** @private */
+  encode(column, value) {
+    return column.json ? JSON.stringify(value) : value;
+  }
+
+  /** @private */
+  decode(column, value, id) {
+    if (!column.json) return value;
+    if (typeof value !== 'string' || !value.trim()) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      Logger.log(`Failed to parse JSON for ID '${id}' in column '${column.header}' of sheet '${this.sheetName}': ${value}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Builds the repositories over a set of record tables. Both implementations supply tables with
+ * the same small interface (readAll, findLast, append, update), so the repository logic is shared.
+ * @private
+ */
+function createRepositories(tables, config) {
+  return {
+    sessions: {
+      /** Stores a new session; its timestamp defaults to now. */
+      create(session) {
+        tables.sessions.append({ timestamp: new Date(), ...session });
+      },
+      /** @returns {Object|null} The session, or null if there is none with that ID. */
+      findById(sessionId) {
+        const found = tables.sessions.findLast(sessionId);
+        return found ? found.record : null;
+      },
+      /** @returns {boolean} Whether the session existed. */
+      updateStatus(sessionId, status) {
+        const found = tables.sessions.findLast(sessionId);
+        if (!found) return false;
+        tables.sessions.update(found.rowNumber, { status });
+        return true;
+      }
+    },
+    replays: {
+      /** Stores a submitted replay; its timestamp defaults to now. */
+      add(replay) {
+        tables.replays.append({ timestamp: new Date(), ...replay });
+      },
+      /** @returns {Object|null} The most recently stored replay for the session. */
+      findLatest(sessionId) {
+        const found = tables.replays.findLast(sessionId);
+        return found ? found.record : null;
+      }
+    },
+    players: {
+      list() {
+        return tables.players.readAll().map(row => row.record);
+      },
+      /** @returns {Object|null} */
+      findById(playerId) {
+        const found = tables.players.findLast(playerId);
+        return found ? found.record : null;
+      },
+      /** Stores a new player. Throws if the ID is taken. */
+      add(player) {
+        if (tables.players.findLast(player.playerId)) {
+          throw new Error(`Player with ID '${player.playerId}' already exists.`);
+        }
+        tables.players.append(player);
+      },
+      /**
+       * Overwrites the given fields of a player.
+       * @returns {boolean} Whether the player existed.
+       */
+      update(playerId, changes) {
+        const found = tables.players.findLast(playerId);
+        if (!found) return false;
+        tables.players.update(found.rowNumber, changes);
+        return true;
+      }
+    },
+    highScores: {
+      /** Stores a leaderboard entry; its timestamp defaults to now. */
+      add(entry) {
+        tables.highScores.append({ timestamp: new Date(), ...entry });
+      },
+      /** @returns {Array<Object>} The best `limit` valid scores, highest first. */
+      top(limit) {
+        return tables.highScores.readAll()
+          .map(row => ({ ...row.record, score: parseInt(row.record.score, 10) }))
+          .filter(entry => entry.sessionId && entry.playerName && !isNaN(entry.score))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit);
+      }
+    },
+    config
+  };
+}
+
+/**
+ * Creates the storage backed by a Google Sheet (or anything with the same interface, such as the
+ * local backend's JSON spreadsheet).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+ * @returns {Object} The storage.
+ */
+function createSheetsStorage(spreadsheet) {
+  const tables = {};
+  Object.keys(STORAGE_TABLES).forEach(key => {
+    tables[key] = new SheetTable(spreadsheet, STORAGE_TABLES[key]);
+  });
+  return createRepositories(tables, {
+    /**
+     * Reads a config sheet into an object keyed by its ID column, with normalized lowercase field names.
+     * @param {string} tableName One of CONFIG_TABLES.
+     */
+    getTable(tableName) {
+      return sheetToObjects(spreadsheet.getSheetByName(tableName));
+    }
+  });
+}
+
+/**
+ * A record table held in an array, mirroring SheetTable. Records are copied in and out through
+ * JSON, as they would be through a sheet, so callers can never alias stored data.
+ * @private
+ */
+class MemoryTable {
+  constructor(records, idField, onChange) {
+    this.records = records;
+    this.idField = idField;
+    this.onChange = onChange;
+  }
+
+  readAll() {
+    return this.records.map((record, index) => ({ record: JSON.parse(JSON.stringify(record)), rowNumber: index }));
+  }
+
+  findLast(id) {
+    for (let i = this.records.length - 1; i >= 0; i--) {
+      if (this.records[i][this.idField] === id) return { record: JSON.parse(JSON.stringify(this.records[i])), rowNumber: i };
+    }
+    return null;
+  }
+
+  append(record) {
+    this.records.push(JSON.parse(JSON.stringify(record)));
+    this.onChange();
+  }
+
+  update(rowNumber, changes) {
+    Object.assign(this.records[rowNumber], JSON.parse(JSON.stringify(changes)));
+    this.onChange();
+  }
+}
+
+/**
+ * Creates a storage that keeps its records in memory.
+ * @param {Object} [data] Initial contents, in the shape returned by toJSON():
+ *   { sessions: [], replays: [], players: [], highScores: [], config: { Archetypes: {...}, ... } }.
+ *   Config tables are object maps keyed by ID, as getTable returns them.
+ * @param {Object} [options]
+ * @param {function(Object): void} [options.onChange] Called with toJSON() after every write, e.g. to save a JSON file.
+ * @returns {Object} The storage, with an extra toJSON() method.
+ */
+function createMemoryStorage(data = {}, options = {}) {
+  const state = JSON.parse(JSON.stringify({ sessions: [], replays: [], players: [], highScores: [], config: {}, ...data }));
+  const toJSON = () => JSON.parse(JSON.stringify(state));
+  const notify = () => { if (options.onChange) options.onChange(toJSON()); };
+
+  const tables = {};
+  Object.keys(STORAGE_TABLES).forEach(key => {
+    tables[key] = new MemoryTable(state[key], STORAGE_TABLES[key].columns[0].field, notify);
+  });
+  const storage = createRepositories(tables, {
+    getTable(tableName) {
+      return JSON.parse(JSON.stringify(state.config[tableName] || {}));
+    }
+  });
+  storage.toJSON = toJSON;
+  return storage;
+}
@@ -1,5 +1,6 @@
 import Game from './game.js';
 import { getReplay, getGameConfig } from './apiService.js';
+import { readReplayBundleFile } from './replayBundle.js';
 import CONFIG from './config.js';
 import StatusEffectSystem from './systems/statusEffectSystem.js';
 import VisibilitySystem from './systems/visibilitySystem.js';
@@ -7,9 +8,19 @@ import TargetPreviewSystem from './systems/targetPreviewSystem.js';
 import DetectionSystem from './systems/detectionSystem.js';
 import IntentSystem from './systems/intentSystem.js';
 
+/** A snapshot is kept every this many actions, so seeking never re-simulates more than this. */
+const SNAPSHOT_INTERVAL = 10;
+
 export class ReplayOrchestrator {
-    constructor(eventBus) {
+    /**
+     * @param {EventBus} eventBus
+     * @param {object} [options]
+     * @param {boolean} [options.headless=false] - Play without a map or viewer controls, driving
+     *   initializeGame() and executeTurn() directly (see divergenceReport.js).
+     */
+    constructor(eventBus, { headless = false } = {}) {
         this.eventBus = eventBus;
+        this.headless = headless;
         this.gameInstance = null;
         this.replayData = null;
         this.config = null;
@@ -18,6 +29,20 @@ export class ReplayOrchestrator {
         this.playInterval = null;
         this.playbackSpeed = 1000; // ms per turn, default 1x
 
+        // --- Timeline ---
+        /** @type {Map<number, object>} Game snapshots keyed by the number of actions played before them. */
+        this.snapshots = new Map();
+        /** @type {Array<{index: number, type: string, label: string}>} Map transitions and deaths to jump to. */
+        this.markers = [];
+        /** The number of actions that play back successfully; seeking is limited to these. */
+        this.timelineLength = 0;
+        /** @type {Map<string, object>} Map templates by map ID, for restoring snapshots taken on later maps. */
+        this.mapTemplates = new Map();
+        this.isIndexing = false;
+        this.isSeeking = false;
+        /** @type {Promise|null} A map transition started by the action being played. */
+        this.pendingTransition = null;
+
         // UI Elements
         this.nextTurnBtn = document.getElementById('next-turn-btn');
         this.playPauseBtn = document.getElementById('play-pause-btn');
@@ -25,25 +50,49 @@ export class ReplayOrchestrator {
         this.resetBtn = document.getElementById('reset-btn');
         this.speedSelect = document.getElementById('speed-select');
         this.turnCounter = document.getElementById('turn-counter');
+        this.timelineSlider = document.getElementById('timeline-slider');
+        this.timelineTicks = document.getElementById('timeline-ticks');
+        this.markerSelect = document.getElementById('marker-select');
+        this.fileInput = document.getElementById('replay-file-input');
         this.statusMessage = document.getElementById('status-message');
 
-        this.eventBus.subscribe('mapTransitionRequest', this.handleMapTransition.bind(this));
+        this.eventBus.subscribe('mapTransitionRequest', (payload) => {
+            // Like the live Game, defer the transition so the other 'moveCompleted' listeners
+            // finish with the old map before it is torn down.
+            this.pendingTransition = new Promise(resolve => setTimeout(resolve, 0))
+                .then(() => this.handleMapTransition(payload));
+        });
     }
 
     async start() {
-        this.showMessage('Loading replay data...');
-        try {
-            const urlParams = new URLSearchParams(window.location.search);
-            const sessionId = urlParams.get('sessionId');
+        this.fileInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.load(() => readReplayBundleFile(file));
+        });
 
-            if (!sessionId) {
-                this.showError('No Session ID provided in URL.');
-                return;
-            }
+        const urlParams = new URLSearchParams(window.location.search);
+        const sessionId = urlParams.get('sessionId');
+        if (!sessionId) {
+            this._setControlsDisabled(true);
+            this.showMessage(this.fileInput ? 'No Session ID provided in URL. Open a replay file to watch it.' : 'No Session ID provided in URL.');
+            return;
+        }
+        await this.load(() => getReplay(sessionId));
+    }
 
+    /**
+     * Loads a replay and prepares it for playback. A page shows one replay, so the file picker
+     * is disabled once loading starts.
+     * @param {function(): Promise<object>} fetchReplayData - Resolves to the replay: from the
+     *   backend by session ID, or a bundle exported from the game-over screen.
+     */
+    async load(fetchReplayData) {
+        if (this.fileInput) this.fileInput.disabled = true;
+        this.showMessage('Loading replay data...');
+        try {
             // Fetch both the replay data and the game config in parallel
             const [replayData, dynamicConfig] = await Promise.all([
-                getReplay(sessionId),
+                fetchReplayData(),
                 getGameConfig()
             ]);
 
@@ -56,15 +105,28 @@ export class ReplayOrchestrator {
 
             this.showMessage('Initializing game...');
             await this.initializeGame();
+            this.showMessage('Indexing replay...');
+            await this.buildTimeline();
             this.hideMessage();
 
             this.bindUIControls();
+            this.renderMarkers();
             this.updateTurnCounter();
             this.updateButtonStates();
 
+            const recordedVersion = replayData.configVersion;
+            if (recordedVersion && dynamicConfig.version && recordedVersion !== dynamicConfig.version) {
+                this.showMessage(`This replay was recorded on version ${recordedVersion}; the backend is on ${dynamicConfig.version}, so it may not play back exactly.`);
+            }
+
         } catch (error) {
             console.error('[ReplayOrchestrator] Failed to start replay:', error);
             this.showError(`Error: ${error.message}`);
+            // Nothing was set up yet, so another file can still be tried.
+            if (!this.gameInstance && this.fileInput) {
+                this.fileInput.disabled = false;
+                this.fileInput.value = '';
+            }
         }
     }
 
@@ -79,7 +141,7 @@ export class ReplayOrchestrator {
 
         this.gameInstance = new Game(
             this.eventBus,
-            'map',
+            this.headless ? null : 'map',
             this.config.grid.hexSize,
             characterData,
             null,
@@ -93,21 +155,168 @@ export class ReplayOrchestrator {
         this.gameInstance.setDetectionSystem(new DetectionSystem(this.eventBus, this.gameInstance));
         this.gameInstance.setVisibilitySystem(new VisibilitySystem(this.eventBus, this.gameInstance));
         this.gameInstance.setStatusEffectSystem(new StatusEffectSystem(this.eventBus, this.gameInstance));
-        new TargetPreviewSystem(this.eventBus, this.gameInstance, this.gameInstance.interactionModel);
+        if (!this.headless) new TargetPreviewSystem(this.eventBus, this.gameInstance, this.gameInstance.interactionModel);
 
         // Initialize the map and entities
+        if (this.replayData.mapId) this.gameInstance.gameState.currentMapId = this.replayData.mapId;
+        this.mapTemplates.set(this.gameInstance.gameState.currentMapId, sessionData.mapTemplate);
         await this.gameInstance.initializeLayoutAndMap(characterData, sessionData.mapTemplate);
         console.log('[ReplayOrchestrator] Game instance created and initialized for replay.');
     }
 
+    /**
+     * Plays the whole replay once without animations to build the timeline: a snapshot every
+     * SNAPSHOT_INTERVAL actions and after every map transition or death, which also become jump
+     * markers. Playback stops at the first action that fails. The viewer is then rewound to the start.
+     */
+    async buildTimeline() {
+        const replayLog = this.replayData.replayLog;
+        const events = [];
+        const onEntityDied = ({ entity }) => events.push({ type: 'death', label: `${entity.name} defeated` });
+        const onGameOver = ({ message }) => {
+            // Only a defeat is marked here; finishing the dungeon is marked by its portal.
+            if (!this.gameInstance.player.getComponent('stats').isAlive()) events.push({ type: 'death', label: message });
+        };
+        const onMapTransition = ({ nextMapId, entityId }) => {
+            if (entityId !== this.gameInstance.player.id) return;
+            const label = nextMapId ? `Entered ${this.config.maps[nextMapId]?.name || nextMapId}` : 'Dungeon completed';
+            events.push({ type: 'mapTransition', label });
+        };
+        this.eventBus.subscribe('entityDied', onEntityDied);
+        this.eventBus.subscribe('gameOver', onGameOver);
+        this.eventBus.subscribe('mapTransitionRequest', onMapTransition);
+
+        this.isIndexing = true;
+        this.gameInstance.animationsEnabled = false;
+        this.snapshots.clear();
+        this.markers = [];
+        this.snapshots.set(0, this.gameInstance.createSnapshot());
+        let index = 0;
+        try {
+            while (index < replayLog.length) {
+                events.length = 0;
+                if (!await this.executeTurn(index)) break;
+                index++;
+                events.forEach(event => this.markers.push({ index, ...event }));
+                if (events.length > 0 || index % SNAPSHOT_INTERVAL === 0) {
+                    this.snapshots.set(index, this.gameInstance.createSnapshot());
+                }
+            }
+        } finally {
+            this.eventBus.unsubscribe('entityDied', onEntityDied);
+            this.eventBus.unsubscribe('gameOver', onGameOver);
+            this.eventBus.unsubscribe('mapTransitionRequest', onMapTransition);
+            this.gameInstance.animationsEnabled = true;
+            this.isIndexing = false;
+        }
+        this.timelineLength = index;
+        console.log(`[ReplayOrchestrator] Timeline built: ${index}/${replayLog.length} actions, ${this.snapshots.size} snapshots, ${this.markers.length} markers.`);
+
+        await this.restoreSnapshotAt(0);
+    }
+
+    /**
+     * Restores the snapshot taken after `index` actions.
+     * @private
+     */
+    async restoreSnapshotAt(index) {
+        const snapshot = this.snapshots.get(index);
+        await this.gameInstance.restoreSnapshot(snapshot, this.mapTemplates.get(snapshot.mapId));
+        this.currentTurn = index;
+    }
+
+    /**
+     * Moves the replay to the state after `targetIndex` actions, forwards or backwards: it restores
+     * the closest snapshot at or before the target and fast-forwards from there.
+     * @param {number} targetIndex
+     */
+    async seekTo(targetIndex) {
+        if (this.isSeeking) return;
+        const target = Math.max(0, Math.min(Number(targetIndex), this.timelineLength));
+        this.pause();
+        this.isSeeking = true;
+        this.updateButtonStates();
+        this.hideMessage();
+
+        try {
+            let base = 0;
+            for (const index of this.snapshots.keys()) {
+                if (index <= target && index > base) base = index;
+            }
+            // Moving forward within the same snapshot interval can simply carry on from here.
+            if (this.currentTurn < base || this.currentTurn > target) {
+                await this.restoreSnapshotAt(base);
+            }
+
+            this.gameInstance.animationsEnabled = false;
+            while (this.currentTurn < target) {
+                if (!await this.executeTurn(this.currentTurn)) break;
+                this.currentTurn++;
+            }
+        } catch (error) {
+            console.error('[ReplayOrchestrator] Failed to seek:', error);
+            this.showError(`Failed to seek: ${error.message}`);
+        } finally {
+            this.gameInstance.animationsEnabled = true;
+            this.isSeeking = false;
+        }
+
+        this.updateTurnCounter();
+        this.updateButtonStates();
+    }
+
+    stepBackward() {
+        return this.seekTo(this.currentTurn - 1);
+    }
+
+    /**
+     * Fills the jump list and the slider's tick marks with the timeline's markers.
+     */
+    renderMarkers() {
+        if (this.timelineSlider) {
+            this.timelineSlider.min = 0;
+            this.timelineSlider.max = this.timelineLength;
+        }
+        if (this.timelineTicks) {
+            this.timelineTicks.innerHTML = '';
+            this.markers.forEach(marker => {
+                const option = document.createElement('option');
+                option.value = marker.index;
+                this.timelineTicks.appendChild(option);
+            });
+        }
+        if (this.markerSelect) {
+            this.markerSelect.innerHTML = '';
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = this.markers.length > 0 ? 'Jump to...' : 'No events';
+            this.markerSelect.appendChild(placeholder);
+            this.markers.forEach(marker => {
+                const option = document.createElement('option');
+                option.value = marker.index;
+                option.textContent = `${marker.index}: ${marker.type === 'death' ? '💀' : '🌀'} ${marker.label}`;
+                this.markerSelect.appendChild(option);
+            });
+        }
+    }
+
     bindUIControls() {
         this.nextTurnBtn.addEventListener('click', () => {
             this.pause();
             this.stepForward();
         });
+        this.prevTurnBtn?.addEventListener('click', () => this.stepBackward());
         this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
         this.resetBtn.addEventListener('click', () => this.resetReplay());
         this.speedSelect.addEventListener('change', (e) => this.setSpeed(e.target.value));
+        // Show where the slider points while dragging; seek once it is released.
+        this.timelineSlider?.addEventListener('input', (e) => this.updateTurnCounter(Number(e.target.value)));
+        this.timelineSlider?.addEventListener('change', (e) => this.seekTo(e.target.value));
+        this.markerSelect?.addEventListener('change', (e) => {
+            if (e.target.value === '') return;
+            this.seekTo(e.target.value);
+            e.target.value = '';
+        });
     }
 
     /**
@@ -141,7 +350,24 @@ export class ReplayOrchestrator {
     }
 
     async executeTurn(turnIndex) {
+        const success = await this._runAction(turnIndex);
+        // A portal may have started a map transition; the next action belongs on the new map.
+        if (this.pendingTransition) {
+            const transition = this.pendingTransition;
+            this.pendingTransition = null;
+            await transition;
+        }
+        return success;
+    }
+
+    /** @private */
+    async _runAction(turnIndex) {
         const action = this.replayData.replayLog[turnIndex];
+        if (action?.type === 'playerEndTurn') {
+            console.log(`[Replay] Turn ${turnIndex + 1}: Ending player turn`);
+            return await this._endPlayerTurn();
+        }
+
         const deserializedAction = this._deserializeActionPayload(action);
 
         if (!deserializedAction) {
@@ -153,12 +379,40 @@ export class ReplayOrchestrator {
         return await this.gameInstance.resolveEntityAction(deserializedAction);
     }
 
+    /**
+     * Publishes the end of the player's turn and waits until the enemy phase is over,
+     * so the next logged action runs at the start of the following player turn.
+     * @returns {Promise<boolean>} Resolves true once control is back with the player (or the game ended).
+     * @private
+     */
+    _endPlayerTurn() {
+        return new Promise(resolve => {
+            const onTurnStarted = ({ currentTurn }) => {
+                if (currentTurn !== 'player') return;
+                cleanup();
+                resolve(true);
+            };
+            const onGameOver = () => {
+                cleanup();
+                resolve(true);
+            };
+            const cleanup = () => {
+                this.eventBus.unsubscribe('turnStarted', onTurnStarted);
+                this.eventBus.unsubscribe('gameOver', onGameOver);
+            };
+            this.eventBus.subscribe('turnStarted', onTurnStarted);
+            this.eventBus.subscribe('gameOver', onGameOver);
+            this.eventBus.publish('playerEndTurn');
+        });
+    }
+
     /**
      * Converts a serialized action from the log back into a usable payload.
      * @private
      */
     _deserializeActionPayload(action) {
-        const deserialized = { ...action };
+        // Copy the details too, so the log keeps its coordinates for the next time this action is played.
+        const deserialized = { ...action, details: { ...action.details } };
         if (deserialized.details.targetCoords) {
             const { q, r } = deserialized.details.targetCoords;
             const targetHex = this.gameInstance.gameMap.getTile(q, r);
@@ -211,15 +465,7 @@ export class ReplayOrchestrator {
     }
 
     async resetReplay() {
-        this.pause();
-        this.showMessage('Resetting replay...');
-        this.currentTurn = 0;
-
-        await this.initializeGame();
-
-        this.updateTurnCounter();
-        this.hideMessage();
-        this.updateButtonStates();
+        await this.seekTo(0);
     }
 
     setSpeed(speed) {
@@ -230,11 +476,12 @@ export class ReplayOrchestrator {
         if (this.gameInstance.player.id !== entityId) return;
 
         if (!nextMapId) {
-            this.handleReplayEnd('Dungeon Completed! Replay finished.');
+            // While indexing or seeking this is just a point on the timeline; headless there is no viewer to tell.
+            if (!this.isIndexing && !this.isSeeking && !this.headless) this.handleReplayEnd('Dungeon Completed! Replay finished.');
             return;
         }
 
-        this.showMessage(`Transitioning to map: ${nextMapId}...`);
+        if (!this.isIndexing) this.showMessage(`Transitioning to map: ${nextMapId}...`);
 
         try {
             const newMapTemplate = this.config.maps[nextMapId];
@@ -248,6 +495,8 @@ export class ReplayOrchestrator {
             // 3. Set the new map template and re-initialize the game instance.
             const newMapData = newMapTemplate.maptemplate;
             this.gameInstance.sessionData.mapTemplate = newMapData;
+            this.gameInstance.gameState.currentMapId = nextMapId;
+            this.mapTemplates.set(nextMapId, newMapData);
             await this.gameInstance.initializeLayoutAndMap(this.gameInstance.characterData, newMapData, playerToPreserve);
             
             this.hideMessage();
@@ -256,8 +505,12 @@ export class ReplayOrchestrator {
         }
     }
 
-    updateTurnCounter() {
-        this.turnCounter.textContent = `Turn: ${this.currentTurn} / ${this.replayData.replayLog.length}`;
+    /**
+     * @param {number} [turn=this.currentTurn] - The position to show, e.g. while dragging the slider.
+     */
+    updateTurnCounter(turn = this.currentTurn) {
+        this.turnCounter.textContent = `Turn: ${turn} / ${this.replayData.replayLog.length}`;
+        if (this.timelineSlider && turn === this.currentTurn) this.timelineSlider.value = turn;
     }
 
     handleReplayEnd(message, isError = false) {
@@ -274,6 +527,13 @@ export class ReplayOrchestrator {
         const atEnd = this.currentTurn >= this.replayData.replayLog.length;
         const atStart = this.currentTurn === 0;
 
+        if (this.isSeeking) {
+            this._setControlsDisabled(true);
+            return;
+        }
+        if (this.timelineSlider) this.timelineSlider.disabled = false;
+        if (this.markerSelect) this.markerSelect.disabled = this.markers.length === 0;
+
         if (this.isPlaying) {
             this.playPauseBtn.innerHTML = '⏸️ Pause';
             this.nextTurnBtn.disabled = true;
@@ -284,10 +544,17 @@ export class ReplayOrchestrator {
             this.nextTurnBtn.disabled = atEnd;
             this.resetBtn.disabled = atStart;
         }
-        this.prevTurnBtn.disabled = true; // Always disabled for now
+        if (this.prevTurnBtn) this.prevTurnBtn.disabled = this.isPlaying || atStart;
+    }
+
+    /** @private */
+    _setControlsDisabled(disabled) {
+        [this.playPauseBtn, this.nextTurnBtn, this.prevTurnBtn, this.resetBtn, this.timelineSlider, this.markerSelect]
+            .forEach(control => { if (control) control.disabled = disabled; });
     }
 
     showMessage(message, isEnd = false) {
+        if (this.headless) return;
         this.statusMessage.innerHTML = ''; // Clear previous content
         const text = document.createElement('span');
         text.textContent = message;
@@ -302,12 +569,14 @@ export class ReplayOrchestrator {
     }
 
     showError(message, isEnd = false) {
+        if (this.headless) return;
         this.showMessage(message, isEnd); // Use showMessage to add the button
         this.statusMessage.style.display = 'block';
         this.statusMessage.style.backgroundColor = 'rgba(255, 0, 0, 0.8)';
     }
 
     hideMessage() {
+        if (this.headless) return;
         this.statusMessage.style.display = 'none';
     }
 
@@ -1,10 +1,32 @@
 /**
  * @file apiService.js
- * @description Centralized service for all communication with the Google Apps Script backend.
+ * @description Centralized service for all communication with the Google Apps Script backend
+ * (or the local stand-in in server/localBackend.js).
  */
+import CONFIG from './config.js';
 
-// IMPORTANT: Replace this with your actual Web App URL from the Apps Script editor deployment.
-const SCRIPT_URL = "https://script.google.com/macros/s/AKfycbzN8l2KMwWI5S0KvLXgyFBwMoAO57Nr5Q6UIJ7Eh4XELd_cy6cQZyrYZxpndjOouWMDyQ/exec";
+const BACKEND_STORAGE_KEY = 'aetherborne.backend';
+
+/**
+ * Picks the backend URL from CONFIG.api. A `?backend=` query parameter switches backends for this
+ * browser: 'local' for the local Node server, 'remote' for the Apps Script deployment; anything else
+ * is ignored, so a link cannot point the game at some other server.
+ * The choice is remembered, so pages opened later (e.g. the replay viewer) talk to the same backend.
+ * @returns {string} The URL all requests are posted to.
+ */
+function resolveBackendUrl() {
+    const choice = new URLSearchParams(window.location.search).get('backend');
+    if (choice === 'remote') {
+        localStorage.removeItem(BACKEND_STORAGE_KEY);
+    } else if (choice === 'local') {
+        localStorage.setItem(BACKEND_STORAGE_KEY, choice);
+    } else if (choice) {
+        console.warn(`[ApiService] Ignoring unknown backend '${choice}'; use 'local' or 'remote'.`);
+    }
+    return localStorage.getItem(BACKEND_STORAGE_KEY) === 'local' ? CONFIG.api.localUrl : CONFIG.api.scriptUrl;
+}
+
+const SCRIPT_URL = resolveBackendUrl();
 
 /**
  * A centralized function to handle all POST requests to the Apps Script backend.
@@ -47,6 +69,6 @@ export async function getGameConfig() { return postToServer('getGameConfig'); }
 
 export async function getReplay(sessionId) { return postToServer('getReplay', { sessionId }); }
 
-export async function getPlayerData(playerId) { return postToServer('getPlayerData', { playerId }); }
+export async function traceReplay(replay) { return postToServer('traceReplay', replay); }
 
-export async function updatePlayerState(playerId, finalState) { return postToServer('updatePlayerState', { playerId, finalState }); }
\ No newline at end of file
+export async function getPlayerData(playerId) { return postToServer('getPlayerData', { playerId }); }
@@ -38,6 +38,16 @@ class DetectionComponent {
         }
     }
 
+    /** @returns {{isDetected: boolean}} The detection state, for game snapshots. */
+    serializeState() {
+        return { isDetected: this.isDetected };
+    }
+
+    /** @param {{isDetected: boolean}} state - State captured by serializeState(). */
+    restoreState(state) {
+        this.isDetected = state.isDetected;
+    }
+
     destroy() {
         // Clean up
     }
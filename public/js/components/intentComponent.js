@@ -46,6 +46,22 @@ class IntentComponent {
     clearIntent() {
         this.currentIntent = null;
     }
+
+    /**
+     * Returns the stored intent as plain data, for game snapshots.
+     * @returns {{currentIntent: object|null}}
+     */
+    serializeState() {
+        return { currentIntent: JSON.parse(JSON.stringify(this.currentIntent)) };
+    }
+
+    /**
+     * Puts back an intent captured by serializeState().
+     * @param {{currentIntent: object|null}} state
+     */
+    restoreState(state) {
+        this.currentIntent = state.currentIntent;
+    }
 }
 
 export default IntentComponent;
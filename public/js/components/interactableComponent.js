@@ -6,7 +6,8 @@ class InteractableComponent {
     constructor(config = {}) {
         this.name = 'interactable';
         this.entity = null; // Will be set by Entity.addComponent
-        this.interactEffect = config.interactEffect || {}; // e.g., { type: 'rest', healAmount: 50 }
+        // e.g. { type: 'rest', healAmount: 50, restoreMP: 10, cleanse: ['debuff'] }; cleanse lists the status tags resting removes.
+        this.interactEffect = config.interactEffect || {};
     }
 
     init() {
@@ -29,8 +30,11 @@ class InteractableComponent {
                     const healAmount = this.interactEffect.healAmount || 0;
                     const restoreMP = this.interactEffect.restoreMP || 0;
                     stats.heal(healAmount);
-                    stats.restoreMana(restoreMP);
+                    stats.gainManaPoints(restoreMP);
                     eventBus.publish('combatLog', { message: `${interactingEntity.name} rests at the ${this.entity.name}, healing ${healAmount} HP and restoring ${restoreMP} MP.`, type: 'info' });
+                    if (this.interactEffect.cleanse) {
+                        game.statusEffectSystem?.removeStatusesByTag(interactingEntity, { type: 'cleanse', tags: this.interactEffect.cleanse });
+                    }
                 }
                 break;
             default:
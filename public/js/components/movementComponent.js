@@ -1,3 +1,5 @@
+import RulesCore from '../rules.js';
+
 /**
  * Manages an entity's ability to move on the game map.
  * This component holds movement-related data and is responsible for executing
@@ -26,17 +28,8 @@ class MovementComponent {
      * This is a dynamic value used for previews and action validation.
      */
     getEffectiveMovementRange() {
-        const stats = this.entity.getComponent('stats');
-        // Ensure we have access to the game's config for move cost.
-        const moveCost = this.entity.game?.CONFIG?.actions?.moveCost || 1;
-
-        if (stats && moveCost > 0) {
-            const currentAP = stats.getCurrentAP();
-            return Math.floor(currentAP / moveCost);
-        }
-
-        // Fallback to max range if stats or cost are unavailable.
-        return this.movementRange;
+        // Steps affordable with the current AP; falls back to the max range if the entity has no stats.
+        return RulesCore.getEffectiveMovementRange(this.entity.game, this.entity);
     }
 
     /**
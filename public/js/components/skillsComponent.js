@@ -1,5 +1,6 @@
 import Skill from '../skill.js'; // Assuming skill.js exists and is correctly structured
 import CONFIG from '../config.js';
+import RulesCore from '../rules.js';
 
 /**
  * Manages an entity's known skills, their cooldowns, and their readiness.
@@ -8,7 +9,10 @@ import CONFIG from '../config.js';
 class SkillsComponent {
     /**
      * @param {object} config - Configuration object.
-     * @param {Array<object>} config.skillsData - Array of skill config objects from CONFIG.skills.
+     * @param {string[]} [config.skillIds] - IDs of the skills the entity knows (from the archetype).
+     * @param {Array<object>} [config.skillsData] - Array of skill config objects from CONFIG.skills.
+     * @param {Object<string, number>} [config.skillRanks] - Ranks of the skills in skillIds, where above 1.
+     * @param {string|null} [config.skillTreeId] - The skill tree (archetype) the entity advances on level-ups.
      */
     constructor(config = {}) {
         this.name = 'skills';
@@ -17,12 +21,35 @@ class SkillsComponent {
         /** @type {Skill[]} */
         this.skills = [];
         /** @private */
+        this.initialSkillIds = config.skillIds || [];
+        /** @private */
         // skillsData should be an array of skill *configurations* (objects from CONFIG.skills)
         this.initialSkillConfigs = config.skillsData || [];
+        /** @private */
+        this.initialSkillRanks = config.skillRanks || {};
+        /** @type {string|null} */
+        this.skillTreeId = config.skillTreeId || null;
+        /**
+         * The skill used last this turn, for combos that follow it (see the Combos section of RulesCore).
+         * @type {string|null}
+         */
+        this.lastSkillId = null;
     }
 
     init() {
-        this.skills = this.initialSkillConfigs.map(skillConfig => {
+        // The player entity is carried over and re-initialized on every map transition.
+        // Keep its skills (and their cooldowns) and its turn listener from the first map,
+        // but skills limited to one use per map can be used again.
+        if (this._initialized) {
+            this.skills.forEach(skill => skill.setState(RulesCore.getSkillStateOnNewMap(skill, skill)));
+            this.publishSkillsChanged();
+            return;
+        }
+        this._initialized = true;
+
+        // Skill IDs are resolved against the game's merged config, which holds the Skills sheet, at their saved ranks.
+        const idConfigs = this.initialSkillIds.map(skillId => this._getSkillConfig(skillId, this.initialSkillRanks[skillId]));
+        this.skills = [...this.initialSkillConfigs, ...idConfigs].map(skillConfig => {
             if (skillConfig && skillConfig.id) {
                 // Pass the full skillConfig object to the Skill constructor
                 return new Skill(skillConfig);
@@ -35,20 +62,59 @@ class SkillsComponent {
         this.publishSkillsChanged(); // Initial state
     }
 
+    /** @private */
+    _getSkillConfigs() {
+        return this.entity?.game?.CONFIG?.skills || CONFIG.skills || {};
+    }
+
+    /**
+     * A skill's config at a rank of this entity's skill tree, or null if the skill is unknown.
+     * @private
+     */
+    _getSkillConfig(skillId, rank = 1) {
+        if (this.entity?.game) return RulesCore.getSkillConfig(this.entity.game, this.entity, skillId, rank);
+        const skillConfig = this._getSkillConfigs()[skillId];
+        return skillConfig ? { id: skillId, ...skillConfig } : null;
+    }
+
     _setupEventListeners() {
         if (this.entity && this.entity.game && this.entity.game.eventBus) {
             this.entity.game.eventBus.subscribe('turnStarted', (payload) => {
                 // Decrement cooldowns at the start of the entity's turn
                 if (this.entity.type === 'player' && payload.currentTurn === 'player') {
+                    this.lastSkillId = null;
                     this.decrementAllCooldowns();
                 } else if (this.entity.type !== 'player' && payload.currentTurn === 'enemies') {
                     // This part might need refinement if enemies have individual turns within "enemies" phase
                     this.decrementAllCooldowns();
                 }
             });
+            // A stance is active while its status is, however the status comes or goes.
+            this.entity.game.eventBus.subscribe('statusEffectApplied', ({ entityId }) => {
+                if (entityId === this.entity.id) this._syncStances();
+            });
+            this.entity.game.eventBus.subscribe('statusEffectRemoved', ({ targetId }) => {
+                if (targetId === this.entity.id) this._syncStances();
+            });
         }
     }
 
+    /**
+     * Updates each stance's isActive from the entity's statuses (see RulesCore.isStanceActive).
+     * @private
+     */
+    _syncStances() {
+        let changed = false;
+        this.skills.filter(skill => skill.toggleable).forEach(skill => {
+            const active = RulesCore.isStanceActive(this.entity, skill);
+            if (skill.isActive !== active) {
+                skill.isActive = active;
+                changed = true;
+            }
+        });
+        if (changed) this.publishSkillsChanged();
+    }
+
     getSkill(skillId) {
         return this.skills.find(s => s.id === skillId);
     }
@@ -63,7 +129,7 @@ class SkillsComponent {
             return false; 
         }
 
-        const skillConfig = CONFIG.skills[skillId];
+        const skillConfig = this._getSkillConfig(skillId);
         if (skillConfig) {
             this.skills.push(new Skill(skillConfig));
             this.publishSkillsChanged();
@@ -73,27 +139,44 @@ class SkillsComponent {
         return false;
     }
 
+    /**
+     * Raises a known skill to its next rank in the skill tree, keeping its cooldown and charges.
+     * @param {string} skillId
+     * @returns {boolean} True if the skill was upgraded.
+     */
+    upgradeSkill(skillId) {
+        const index = this.skills.findIndex(s => s.id === skillId);
+        if (index === -1) {
+            console.warn(`[SkillsComponent] Entity ${this.entity?.name} cannot upgrade unknown skill ${skillId}.`);
+            return false;
+        }
+        const current = this.skills[index];
+        const upgraded = new Skill(this._getSkillConfig(skillId, current.rank + 1));
+        upgraded.setState(current.getState());
+        upgraded.isActive = current.isActive;
+        this.skills[index] = upgraded;
+        this.publishSkillsChanged();
+        return true;
+    }
+
     canUseSkill(skillId) {
-        const skill = this.getSkill(skillId);
-        if (!skill) {
+        if (!this.getSkill(skillId)) {
             console.warn(`[SkillsComponent] Attempted to check usability for unknown skill: ${skillId}`);
             return false;
         }
-        if (skill.isOnCooldown()) return false;
-        
-        const stats = this.entity.getComponent('stats');
-        if (!stats) return false;
-
-        const canAffordAP = stats.canAfford(skill.apCost || 0);
-        const canAffordMP = stats.canAffordMP(skill.mpCost || 0);
-        
-        return canAffordAP && canAffordMP;
+        // Cooldown and AP/MP affordability are shared rules; the server checks casts the same way.
+        return RulesCore.checkSkillUse(this.entity.game, this.entity, skillId).ok;
     }
 
-    startCooldown(skillId) {
+    /**
+     * Records a use of a skill: starts its cooldown and spends a charge or its use limit, if it has them
+     * (see RulesCore.getSkillStateAfterUse).
+     * @param {string} skillId
+     */
+    recordSkillUse(skillId) {
         const skill = this.getSkill(skillId);
         if (skill) {
-            skill.startCooldown();
+            skill.setState(RulesCore.getSkillStateAfterUse(this.entity.game, this.entity, skill, this._getSkillConfig(skillId, skill.rank)));
             this.publishSkillsChanged();
         }
     }
@@ -106,10 +189,15 @@ class SkillsComponent {
         }
     }
 
+    /**
+     * Counts every skill's cooldown and charge regeneration down by a turn (see RulesCore.getSkillStateAtTurnStart).
+     */
     decrementAllCooldowns() {
         let changed = false;
         this.skills.forEach(skill => {
-            if (skill.decrementCooldown()) {
+            const before = JSON.stringify(skill.getState());
+            skill.setState(RulesCore.getSkillStateAtTurnStart(this.entity.game, this.entity, skill, this._getSkillConfig(skill.id, skill.rank)));
+            if (JSON.stringify(skill.getState()) !== before) {
                 changed = true;
             }
         });
@@ -124,11 +212,49 @@ class SkillsComponent {
         }
     }
 
+    /**
+     * Returns the known skills and their runtime state, for game snapshots.
+     * @returns {{lastSkillId: string|null, skills: Array<object>}}
+     */
+    serializeState() {
+        return {
+            lastSkillId: this.lastSkillId,
+            skills: this.getSavableSkillsData()
+        };
+    }
+
+    /**
+     * Puts back the skills captured by serializeState(), re-creating any learned or upgraded since from the config.
+     * @param {{lastSkillId?: string|null, skills: Array<object>}} state
+     */
+    restoreState(state) {
+        this.lastSkillId = state.lastSkillId || null;
+        this.skills = state.skills.map(saved => {
+            const rank = saved.rank || 1;
+            let skill = this.getSkill(saved.id);
+            if (!skill || skill.rank !== rank) {
+                const skillConfig = this._getSkillConfig(saved.id, rank);
+                skill = skillConfig ? new Skill(skillConfig) : null;
+            }
+            if (skill) {
+                skill.setState(saved);
+                skill.isActive = saved.isActive;
+            }
+            return skill;
+        }).filter(Boolean);
+        this.publishSkillsChanged();
+    }
+
+    /**
+     * Returns each known skill with its rank and runtime state: cooldown, charges, use limit and stance.
+     * @returns {Array<{id: string, rank: number, cooldownTurnsRemaining: number, chargesUsed: number, chargeTurnsRemaining: number, spent: boolean, isActive: boolean}>}
+     */
     getSavableSkillsData() {
         return this.skills.map(skill => ({
             id: skill.id,
-            cooldownTurnsRemaining: skill.currentCooldown, // Assuming Skill class has currentCooldown
-            // isActive: skill.isActive // For toggleable skills, if Skill class supports it
+            rank: skill.rank,
+            ...skill.getState(),
+            isActive: skill.isActive
         }));
     }
 }
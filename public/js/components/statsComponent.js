@@ -1,4 +1,8 @@
 import CONFIG from '../config.js';
+import RulesCore from '../rules.js';
+
+/** The stats shown with their modifiers applied, e.g. on the HUD. */
+const DISPLAYED_EFFECTIVE_STATS = ['attackPower', 'defense', 'magicAttack', 'magicDefense', 'damageReduction', 'maxActionPoints', 'body', 'mind', 'instinct'];
 
 /**
  * Manages the core attributes and dynamic resources (HP, AP, MP) for an entity.
@@ -15,79 +19,64 @@ class StatsComponent {
         /** @type {Entity|null} */
         this.entity = null;
         
-        // Base attributes from config (e.g., archetype's baseStats)
-        this.attributes = {
-            body: config.body || 0,
-            mind: config.mind || 0,
-            instinct: config.instinct || 0,
-        };
-        
-        // Direct stats from config (can be pre-calculated or base values)
-        this.maxLife = config.hp || CONFIG.player.baseLife;
-        this.life = this.maxLife; // Start with full life
-        
-        this.maxManaPoints = config.mp || CONFIG.player.baseManaPoints;
-        this.manaPoints = this.maxManaPoints; // Start with full MP
-
-        this.maxActionPoints = config.ap || CONFIG.player.baseActionPoints;
-        this.actionPoints = this.maxActionPoints; // Start with full AP
-
-        this.attackPower = config.attackPower || CONFIG.player.baseAttackPower;
-        this.defense = config.defense || 0;
-        this.magicAttack = config.magicAttack || 0;
-        this.magicDefense = config.magicDefense || 0;
-        this.accuracy = config.accuracy || 75;
-        this.evasion = config.evasion || 5;
-        this.critChance = config.critChance || 5;
-        this.critMultiplier = config.critMultiplier || 1.5;
-        this.movementRange = config.movementRange || 3; // Used by MovementComponent, but good to have here
-
-        // Traits can be passed in config too, e.g. from character creation or archetype
-        this.traits = [...(config.traits || [])];
-
-        // --- NEW: Progression Stats ---
-        this.xp = config.xp || 0;
-        this.level = config.level || 1;
+        // Attributes (body, mind, instinct), resources (life, MP, AP), combat stats, traits and
+        // progression (xp, level) all come from the shared rules core, so the server engine
+        // starts every entity from exactly the same numbers.
+        Object.assign(this, RulesCore.createStats(config, CONFIG.player));
     }
 
     /**
      * Initializes the component after it's attached to an entity.
-     * For now, most initialization happens in constructor based on config.
-     * This can be expanded if needed for post-attachment setup.
+     * Most initialization happens in the constructor; here the derived stats take in modifiers
+     * (e.g. equipment) that need the entity, and the UI gets its first update.
      */
     init() {
-        // If recalculation based on traits or other factors is needed post-attachment:
-        // this.recalculateDerivedStats(); 
-        // this.life = this.maxLife;
-        // this.manaPoints = this.maxManaPoints;
-        // this.actionPoints = this.maxActionPoints;
-
+        this.recalculateDerivedStats();
         console.log(`[StatsComponent] Initialized for ${this.entity?.name}: HP ${this.life}/${this.maxLife}, MP ${this.manaPoints}/${this.maxManaPoints}, AP ${this.actionPoints}/${this.maxActionPoints}`);
-        this.publishStatsChanged(); // Ensure UI is updated on init
     }
 
     /**
-     * Recalculates derived stats if attributes or traits change.
-     * Currently, base stats are set directly in constructor from archetype.
-     * This method can be used if attributes (body, mind, instinct) are meant to be dynamic
-     * and influence maxHP, maxMP, maxAP during gameplay.
+     * Recomputes maxLife, maxManaPoints, maxActionPoints and the combat ratings from the effective
+     * attributes (see RulesCore.getDerivedStats). Call it whenever body, mind or instinct may have
+     * changed: level ups, statuses, equipment. A raised maximum raises the current value with it.
      */
     recalculateDerivedStats() {
-        // Example: If attributes can change and then max values need update
-        // const body = Number(this.attributes.body) || 0;
-        // this.maxLife = CONFIG.player.baseLife + (body * CONFIG.player.lifePerBodyPoint);
-        // Similar for MP with mind, AP with instinct
-        // ...
-        // this.publishStatsChanged();
-        console.log('[StatsComponent] recalculateDerivedStats called (currently, primary stats set in constructor).');
+        const derived = RulesCore.getDerivedStats(this.entity.game, this.entity);
+        for (const stat of Object.keys(RulesCore.DERIVED_MAXIMUMS)) {
+            const { resource } = RulesCore.DERIVED_MAXIMUMS[stat];
+            this[resource] = RulesCore.getResourceAfterMaxChange(this[resource], this[stat], derived[stat]);
+        }
+        Object.assign(this, derived);
+        this.publishStatsChanged();
     }
 
     isAlive() { return this.life > 0; }
 
-    takeDamage(amount) {
-        if (!this.isAlive()) return;
-        // Future: Apply defense, resistances, damage reduction from status effects
-        const actualDamage = Math.max(0, amount); // Placeholder
+    /**
+     * A stat with the modifiers of active statuses, traits and equipment applied.
+     * @param {string} stat - e.g. 'attackPower', 'defense', 'body', 'damageReduction'.
+     * @returns {number}
+     */
+    getEffectiveStat(stat) {
+        return RulesCore.getEffectiveStat(this.entity.game, this.entity, stat);
+    }
+
+    /** @returns {object} The displayed stats with their modifiers applied, keyed by stat name. */
+    getEffectiveStats() {
+        const effective = {};
+        DISPLAYED_EFFECTIVE_STATS.forEach(stat => { effective[stat] = this.getEffectiveStat(stat); });
+        return effective;
+    }
+
+    /**
+     * Takes damage of a given type, scaled by this entity's resistances and vulnerabilities.
+     * @param {number} amount - The damage before resistances.
+     * @param {string} [damageType='physical'] - e.g. 'physical', 'fire'; see CONFIG.damageTypes.
+     * @returns {number} The damage actually taken.
+     */
+    takeDamage(amount, damageType = 'physical') {
+        if (!this.isAlive()) return 0;
+        const actualDamage = RulesCore.getResistedDamage(this.entity.game, this.entity, amount, damageType);
         this.life = Math.max(0, this.life - actualDamage);
         this.publishStatsChanged();
 
@@ -97,8 +86,10 @@ class StatsComponent {
                 this.entity.game.handleGameOver("Player has been defeated!");
             } else {
                 this.entity.game.eventBus.publish('enemyDefeated', { entityId: this.entity.id, entity: this.entity });
+                this.entity.game.eventBus.publish('entityDied', { entity: this.entity });
             }
         }
+        return actualDamage;
     }
 
     heal(amount) {
@@ -135,7 +126,7 @@ class StatsComponent {
     
     gainActionPoints(amount) {
         if (amount <= 0) return;
-        this.actionPoints = Math.min(this.maxActionPoints, this.actionPoints + amount);
+        this.actionPoints = Math.min(this.getEffectiveStat('maxActionPoints'), this.actionPoints + amount);
         this.publishStatsChanged();
     }
 
@@ -145,14 +136,62 @@ class StatsComponent {
         this.publishStatsChanged();
     }
 
+    /**
+     * Adds to 'actionPoints' or 'manaPoints', up to the resource's maximum (see RulesCore.getResourceCap)
+     * unless aboveMaximum is set.
+     * @param {'actionPoints'|'manaPoints'} resource
+     * @param {number} amount
+     * @param {boolean} [aboveMaximum=false]
+     */
+    gainResource(resource, amount, aboveMaximum = false) {
+        if (amount <= 0) return;
+        const cap = aboveMaximum ? Infinity : RulesCore.getResourceCap(this.entity.game, this.entity, resource);
+        this[resource] = Math.max(this[resource], Math.min(cap, this[resource] + amount));
+        this.publishStatsChanged();
+    }
+
+    /**
+     * Takes 'actionPoints' or 'manaPoints' away, e.g. for a draining status; never below 0.
+     * @param {'actionPoints'|'manaPoints'} resource
+     * @param {number} amount
+     */
+    loseResource(resource, amount) {
+        if (amount <= 0) return;
+        this[resource] = Math.max(0, this[resource] - amount);
+        this.publishStatsChanged();
+    }
+
+    gainXp(amount) {
+        if (amount <= 0) return;
+        this.xp += amount;
+        this.publishStatsChanged();
+    }
+
+    /**
+     * Takes a level-up. The Game checks the choice with RulesCore.checkLevelUp first, and teaches or
+     * upgrades a chosen skill through the SkillsComponent; here a new skill is only recorded as learned.
+     * @param {{type: 'attribute'|'skill'|'skillRank', attribute?: string, points?: number, skillId?: string}} choice
+     */
+    levelUp(choice) {
+        if (choice.type === 'skill') {
+            this.learnedSkills.push(choice.skillId);
+        } else if (choice.type === 'attribute') {
+            this.allocatedAttributes[choice.attribute] += choice.points;
+            this.attributes[choice.attribute] += choice.points;
+        }
+        this.level += 1;
+        // Publishes statsChanged with the new maximums.
+        this.recalculateDerivedStats();
+    }
+
     resetAP() {
-        this.actionPoints = this.maxActionPoints;
+        this.actionPoints = this.getEffectiveStat('maxActionPoints');
         this.publishStatsChanged();
     }
 
     publishStatsChanged() {
         if (this.entity && this.entity.game && this.entity.game.eventBus) {
-            this.entity.game.eventBus.publish('statsChanged', { entityId: this.entity.id, stats: this });
+            this.entity.game.eventBus.publish('statsChanged', { entityId: this.entity.id, stats: this, effectiveStats: this.getEffectiveStats() });
         }
     }
     
@@ -169,11 +208,36 @@ class StatsComponent {
             // include other stats like attackPower, defense etc. if they can change
             attackPower: this.attackPower,
             defense: this.defense,
+            magicAttack: this.magicAttack,
+            magicDefense: this.magicDefense,
+            resistances: { ...this.resistances },
+            vulnerabilities: { ...this.vulnerabilities },
+            equipment: JSON.parse(JSON.stringify(this.equipment || [])),
             xp: this.xp,
-            level: this.level
+            level: this.level,
+            allocatedAttributes: { ...this.allocatedAttributes },
+            learnedSkills: [...this.learnedSkills]
         };
     }
 
+    /**
+     * Returns every stat as plain data, for game snapshots.
+     * @returns {object}
+     */
+    serializeState() {
+        const { name, entity, ...state } = this;
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    /**
+     * Puts back stats captured by serializeState().
+     * @param {object} state
+     */
+    restoreState(state) {
+        Object.assign(this, JSON.parse(JSON.stringify(state)));
+        this.publishStatsChanged();
+    }
+
     getCurrentAP() { return this.actionPoints; }
     getCurrentMP() { return this.manaPoints; }
     getCurrentHP() { return this.life; }
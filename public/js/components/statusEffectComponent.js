@@ -1,3 +1,5 @@
+import RulesCore from '../rules.js';
+
 /**
  * Manages all status effects (buffs and debuffs) for an entity.
  * It tracks active statuses, their durations, and their effects.
@@ -12,35 +14,34 @@ class StatusEffectComponent {
         /**
          * A map of active status effects, keyed by the status ID (e.g., 'fortified').
          * @private
-         * @type {Object.<string, {id: string, effects: object[], duration: number}>}
+         * @type {Object.<string, {id: string, effects: object[], duration: number, stacks: number, instances?: number[]}>}
          */
         this.activeStatuses = {};
     }
 
     /**
-     * Applies a new status effect to the entity.
-     * @param {string} statusId - The unique identifier for the status (e.g., 'fortified').
-     * @param {object[]} effects - An array of effect objects that this status applies.
-     * @param {number} duration - The duration of the status in turns (-1 for indefinite).
+     * Stores a status record, replacing any earlier record of the same status.
+     * StatusEffectSystem builds the record with RulesCore.stackStatus, which applies the stacking rules.
+     * @param {{id: string, effects: object[], duration: number, stacks: number, instances?: number[]}} status
+     *   The duration is in turns (-1 for indefinite).
      */
-    applyStatus(statusId, effects, duration) {
-        if (!statusId || !effects) {
+    applyStatus(status) {
+        if (!status?.id || !status.effects) {
             console.warn(`StatusEffectComponent: Missing statusId or effects for ${this.entity.name}.`);
             return;
         }
+        const statusId = status.id;
 
-        this.activeStatuses[statusId] = {
-            id: statusId,
-            effects: effects,
-            duration: duration,
-        };
-        console.log(`${this.entity.name} gained status: ${statusId} for ${duration} turns.`);
+        this.activeStatuses[statusId] = status;
+        console.log(`${this.entity.name} gained status: ${statusId} (x${status.stacks || 1}) for ${status.duration} turns.`);
         
         // Publish an event so other systems (like UI) can react.
         this.entity.game.eventBus.publish('statusEffectApplied', { 
             targetId: this.entity.id, 
             effect: this.activeStatuses[statusId] 
         });
+        // Stat modifiers of the status now count towards the entity's effective and derived stats.
+        this.entity.getComponent('stats')?.recalculateDerivedStats();
     }
 
     /**
@@ -57,6 +58,7 @@ class StatusEffectComponent {
                 targetId: this.entity.id, 
                 statusId: statusId 
             });
+            this.entity.getComponent('stats')?.recalculateDerivedStats();
             return true;
         }
         return false;
@@ -73,7 +75,7 @@ class StatusEffectComponent {
     
     /**
      * Gathers all stat-modifying effects from all active statuses.
-     * The StatsComponent will call this to calculate the final stat values.
+     * Effective stats are calculated by RulesCore.getEffectiveStat, which reads the same effects.
      * @returns {object[]} An array of all active stat modifier effects.
      */
     getAllStatModifiers() {
@@ -91,6 +93,22 @@ class StatusEffectComponent {
         return modifiers;
     }
 
+    /**
+     * Returns the active statuses as plain data, for game snapshots.
+     * @returns {{activeStatuses: object}}
+     */
+    serializeState() {
+        return { activeStatuses: JSON.parse(JSON.stringify(this.activeStatuses)) };
+    }
+
+    /**
+     * Replaces the active statuses with ones captured by serializeState().
+     * @param {{activeStatuses: object}} state
+     */
+    restoreState(state) {
+        this.activeStatuses = JSON.parse(JSON.stringify(state.activeStatuses || {}));
+    }
+
     /**
      * Ticks down the duration of all active statuses.
      * This should be called once per round for the entity.
@@ -99,12 +117,12 @@ class StatusEffectComponent {
         const expiredEffects = [];
         for (const statusId in this.activeStatuses) {
             const status = this.activeStatuses[statusId];
-            if (status.duration > 0) {
-                status.duration--;
-                if (status.duration === 0) {
-                    expiredEffects.push(status);
-                    this.removeStatus(statusId);
-                }
+            const ticked = RulesCore.tickStatus(status);
+            if (ticked) {
+                this.activeStatuses[statusId] = ticked;
+            } else {
+                expiredEffects.push(status);
+                this.removeStatus(statusId);
             }
         }
         return expiredEffects;
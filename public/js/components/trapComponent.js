@@ -6,7 +6,9 @@ class TrapComponent {
     constructor(config = {}) {
         this.name = 'trap';
         this.entity = null; // Will be set by Entity.addComponent
-        this.trapEffect = config.trapEffect || {}; // e.g., { type: 'damage', amount: 10, damageType: 'physical' }
+        // e.g. { type: 'damage', amount: 10, damageType: 'physical' } or { type: 'status', statusId: 'snared', duration: 2 }.
+        // A damage effect may also carry a statusId (and duration) to apply after the damage, like a poisoned dart.
+        this.trapEffect = config.trapEffect || {};
         this.trigger = config.trigger || 'onEnter'; // 'onEnter', 'onStepOff'
         this.reusable = config.reusable || false;
         this.triggered = false; // Internal state
@@ -42,16 +44,17 @@ class TrapComponent {
         switch (this.trapEffect.type) {
             case 'damage':
                 if (targetEntity.hasComponent('stats')) {
-                    const damageAmount = this.trapEffect.amount || 0;
                     const damageType = this.trapEffect.damageType || 'physical';
-                    targetEntity.getComponent('stats').takeDamage(damageAmount);
+                    const damageAmount = targetEntity.getComponent('stats').takeDamage(this.trapEffect.amount || 0, damageType);
                     eventBus.publish('combatLog', { message: `${targetEntity.name} stepped on a ${this.entity.name} and took ${damageAmount} ${damageType} damage!`, type: 'damage' });
                 }
+                if (this.trapEffect.statusId && targetEntity.getComponent('stats')?.isAlive()) {
+                    this._applyTrapStatus(targetEntity);
+                }
                 break;
             case 'status':
-                if (game.statusEffectSystem && this.trapEffect.statusId) {
-                    game.statusEffectSystem.applyStatus({ targetId: targetEntity.id, effectId: this.trapEffect.statusId, durationOverride: this.trapEffect.duration });
-                    eventBus.publish('combatLog', { message: `${targetEntity.name} was affected by ${this.entity.name} (${this.trapEffect.statusId})!`, type: 'status' });
+                if (this.trapEffect.statusId && targetEntity.getComponent('stats')?.isAlive()) {
+                    this._applyTrapStatus(targetEntity);
                 }
                 break;
             default:
@@ -64,6 +67,24 @@ class TrapComponent {
         }
     }
 
+    /** @private */
+    _applyTrapStatus(targetEntity) {
+        const game = this.entity.game;
+        if (!game.statusEffectSystem) return;
+        game.statusEffectSystem.applyStatus({ targetId: targetEntity.id, effectId: this.trapEffect.statusId, durationOverride: this.trapEffect.duration });
+        game.eventBus.publish('combatLog', { message: `${targetEntity.name} was affected by ${this.entity.name} (${this.trapEffect.statusId})!`, type: 'status' });
+    }
+
+    /** @returns {{triggered: boolean}} The trap's state, for game snapshots. */
+    serializeState() {
+        return { triggered: this.triggered };
+    }
+
+    /** @param {{triggered: boolean}} state - State captured by serializeState(). */
+    restoreState(state) {
+        this.triggered = state.triggered;
+    }
+
     destroy() {
         // Clean up any listeners if added, or visual effects
     }
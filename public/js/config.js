@@ -4,6 +4,7 @@
  * that is not expected to change frequently and is core to the client's operation.
  * Dynamic data like archetypes, skills, and traits are fetched from the server.
  */
+import RulesConfig from './rulesConfig.js';
 
 const CONFIG = {
     grid: {
@@ -24,6 +25,11 @@ const CONFIG = {
     },
     prologueStartMapId: "prologue_map_1",
 
+    api: { // Backends apiService can talk to. Choose one with ?backend=local|remote (see apiService.js).
+        scriptUrl: "https://script.google.com/macros/s/AKfycbzN8l2KMwWI5S0KvLXgyFBwMoAO57Nr5Q6UIJ7Eh4XELd_cy6cQZyrYZxpndjOouWMDyQ/exec",
+        localUrl: "http://localhost:8787/api", // node server/localBackend.js
+    },
+
 //     archetypes: {
 //         warrior: {
 //             name: "Warrior",
@@ -200,11 +206,10 @@ const CONFIG = {
         },
     },
 
-    combatFormulas: {
-        base: { accuracyPhysical: 75, accuracyMagical: 70, evasion: 5, damagePhysical: 5, damageMagical: 8, defensePhysical: 2, defenseMagical: 2, critChancePhysical: 5, critChanceMagical: 5, resiliencePhysical: 5, resilienceMagical: 5, },
-        factors: { accuracyInstinctFactor: 1.5, accuracyBodyFactor: 0.5, accuracyMindFactor: 1.5, accuracyInstinctMagicFactor: 0.75, distanceFactorPhysical: 2, distanceFactorMagical: 1, evasionInstinctFactor: 2, bodyPhysDamageFactor: 1, instinctPhysDamageFactor: 0.5, mindMagDamageFactor: 1.2, defenseBodyFactor: 1, defenseInstinctPhysFactor: 0.5, defenseMindFactor: 1, defenseInstinctMagFactor: 0.5, critInstinctFactor: 1, critMindFactor: 1, critDamageMultiplier: 1.5, resilienceBodyFactor: 1, resilienceInstinctFactor: 1, resilienceMindFactor: 1, resilienceInstinctMagFactor: 0.75, },
-        settings: { minimumDamage: 1, maxAccuracy: 95, minAccuracy: 5, maxEvasion: 75, maxCritChance: 50, minCritChance: 0, maxResilience: 75, }
-    },
+    // Rule tables shared with the server's replay verification (see shared/rulesConfig.js).
+    combatFormulas: RulesConfig.combatFormulas,
+    damageTypes: RulesConfig.damageTypes,
+    progression: RulesConfig.progression,
 
     entityBlueprints: { // Blueprints for all entity types in the game.
         player: {
@@ -247,7 +252,7 @@ const CONFIG = {
         },
         goblinBrute: {
             components: [
-                { name: 'stats', class: 'StatsComponent', args: { hp: 80, ap: 3, attackPower: 15, defense: 5, movementRange: 2, xp: 20 } },
+                { name: 'stats', class: 'StatsComponent', args: { hp: 80, ap: 3, attackPower: 15, defense: 5, movementRange: 2, xp: 20, resistances: { physical: 15 }, vulnerabilities: { fire: 25 } } },
                 { name: 'renderable', class: 'RenderableComponent', args: { fillColor: '#228b22', radius: 16 } },
                 { name: 'movement', class: 'MovementComponent', args: { movementRange: 2 } },
                 { name: 'behavior', class: 'BehaviorComponent', args: { type: 'basicMelee' } },
@@ -259,7 +264,7 @@ const CONFIG = {
         },
         playerGhost: {
             components: [
-                { name: 'stats', class: 'StatsComponent', args: { hp: 100, ap: 3, attackPower: 12, defense: 8, movementRange: 3, xp: 50 } },
+                { name: 'stats', class: 'StatsComponent', args: { hp: 100, ap: 3, attackPower: 12, defense: 8, movementRange: 3, xp: 50, attackDamageType: 'shadow', resistances: { physical: 50 }, vulnerabilities: { magical: 25 } } },
                 { name: 'renderable', class: 'RenderableComponent', args: { fillColor: '#add8e6', radius: 15, opacity: 0.7 } },
                 { name: 'movement', class: 'MovementComponent', args: { movementRange: 3 } },
                 { name: 'behavior', class: 'BehaviorComponent', args: { type: 'basicMelee' } },
@@ -274,7 +279,7 @@ const CONFIG = {
             components: [
                 { name: 'renderable', class: 'RenderableComponent', args: { fillColor: '#808080', radius: 10 } },
                 { name: 'visibility', class: 'VisibilityComponent', args: {} },
-                { name: 'trap', class: 'TrapComponent', args: { damage: 15, reusable: true } },
+                { name: 'trap', class: 'TrapComponent', args: { trapEffect: { type: 'damage', amount: 15, damageType: 'physical' }, reusable: true } },
                 { name: 'detection', class: 'DetectionComponent', args: { difficulty: 10 } }
             ],
             entityProperties: { blocksMovement: false, isConcealed: true, zIndex: 10 }
@@ -283,7 +288,7 @@ const CONFIG = {
             components: [
                 { name: 'renderable', class: 'RenderableComponent', args: { fillColor: '#cd853f', radius: 10 } },
                 { name: 'visibility', class: 'VisibilityComponent', args: {} },
-                { name: 'trap', class: 'TrapComponent', args: { statusEffect: 'snared', duration: 2 } },
+                { name: 'trap', class: 'TrapComponent', args: { trapEffect: { type: 'status', statusId: 'snared', duration: 2 } } },
                 { name: 'detection', class: 'DetectionComponent', args: { difficulty: 12 } }
             ],
             entityProperties: { blocksMovement: false, isConcealed: true, zIndex: 10 }
@@ -292,7 +297,7 @@ const CONFIG = {
             components: [
                 { name: 'renderable', class: 'RenderableComponent', args: { fillColor: '#9acd32', radius: 10 } },
                 { name: 'visibility', class: 'VisibilityComponent', args: {} },
-                { name: 'trap', class: 'TrapComponent', args: { statusEffect: 'poisoned', duration: 3, damage: 5 } },
+                { name: 'trap', class: 'TrapComponent', args: { trapEffect: { type: 'damage', amount: 5, damageType: 'poison', statusId: 'poisoned', duration: 3 } } },
                 { name: 'detection', class: 'DetectionComponent', args: { difficulty: 15 } }
             ],
             entityProperties: { blocksMovement: false, isConcealed: true, zIndex: 10 }
@@ -302,7 +307,7 @@ const CONFIG = {
             components: [
                 { name: 'renderable', class: 'RenderableComponent', args: { fillColor: '#ff4500', radius: 14 } },
                 { name: 'visibility', class: 'VisibilityComponent', args: {} },
-                { name: 'interactable', class: 'InteractableComponent', args: { effect: 'rest', healAmount: 50 } }
+                { name: 'interactable', class: 'InteractableComponent', args: { interactEffect: { type: 'rest', healAmount: 50, restoreMP: 10, cleanse: ['debuff'] } } }
             ],
             entityProperties: { blocksMovement: true, zIndex: 20 }
         },
@@ -316,14 +321,7 @@ const CONFIG = {
         },
     },
     
-    aiBehaviors: {
-        basicMelee: {
-            rules: [
-                { action: 'attack', cost: 1, conditions: [{ type: 'inAttackRange' }] },
-                { action: 'moveToTarget', cost: 1, conditions: [] }
-            ]
-        }
-    },
+    aiBehaviors: RulesConfig.aiBehaviors,
 
     actions: { // Default costs, skills can override
         moveCost: 1,
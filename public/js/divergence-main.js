@@ -0,0 +1,118 @@
+import CONFIG from './config.js';
+import { getReplay, getGameConfig, traceReplay } from './apiService.js';
+import { readReplayBundleFile } from './replayBundle.js';
+import { COMPARED_FIELDS, traceClientReplay, findFirstDivergence } from './divergenceReport.js';
+
+/**
+ * Runs both simulations of a replay and shows where they part ways.
+ * @param {{sessionId: string}|{bundle: object}} source - A stored session, or a replay file's bundle.
+ */
+async function runReport(source) {
+    showStatus('Loading replay and config...');
+    document.getElementById('report-details').hidden = true;
+    try {
+        const [replayData, dynamicConfig] = await Promise.all([
+            source.sessionId ? getReplay(source.sessionId) : source.bundle,
+            getGameConfig()
+        ]);
+        if (replayData.status === 'error') throw new Error(replayData.message);
+        // As in the replay viewer: the client's own entity blueprints replace the server's minimal ones.
+        delete dynamicConfig.entityBlueprints;
+        const config = { ...CONFIG, ...dynamicConfig };
+
+        showStatus('Playing the replay on the server and in the browser...');
+        const { seed, mapTemplate, initialCharacterData, replayLog } = replayData;
+        const [serverResult, clientRun] = await Promise.all([
+            traceReplay(source.sessionId ? { sessionId: source.sessionId } : { seed, mapTemplate, initialCharacterData, replayLog }),
+            traceClientReplay(replayData, config)
+        ]);
+        if (serverResult.status === 'error') throw new Error(serverResult.message);
+
+        const divergence = findFirstDivergence(replayLog, clientRun, serverResult.report);
+        if (!divergence) {
+            showStatus(`The client and server agree on all ${clientRun.trace.length - 1} of ${replayLog.length} actions played.`, 'agree');
+            return;
+        }
+        showStatus(divergence.reason, 'error');
+        renderDivergence(divergence, { configVersion: serverResult.configVersion, recordedConfigVersion: replayData.configVersion || null });
+    } catch (error) {
+        console.error('[DivergenceReport] Failed to build the report:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Shows the divergent step: its action, both states side by side with the differing values
+ * highlighted, and the whole report as JSON for pasting into a bug report.
+ */
+function renderDivergence(divergence, versions) {
+    document.getElementById('report-action').textContent = divergence.action
+        ? JSON.stringify(divergence.action, null, 2)
+        : '(before the first action)';
+
+    const diverged = new Set(divergence.differences.map(d => `${d.entityId}:${d.field}`));
+    const tbody = document.querySelector('#report-table tbody');
+    tbody.innerHTML = '';
+    const addRow = (entityLabel, field, clientValue, serverValue, isDiverged) => {
+        const row = document.createElement('tr');
+        if (isDiverged) row.className = 'diverged';
+        [entityLabel, field, clientValue, serverValue].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value === undefined ? '—' : String(value);
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    };
+
+    const { client, server } = divergence;
+    addRow('', 'mapId', client?.mapId, server?.mapId, diverged.has('null:mapId'));
+    const ids = new Set([...Object.keys(client?.entities || {}), ...Object.keys(server?.entities || {})]);
+    for (const id of ids) {
+        const clientEntity = client?.entities[id];
+        const serverEntity = server?.entities[id];
+        const label = `${(clientEntity || serverEntity).type} ${id.slice(0, 8)}`;
+        if (diverged.has(`${id}:exists`)) {
+            addRow(label, 'exists', !!clientEntity, !!serverEntity, true);
+            continue;
+        }
+        COMPARED_FIELDS.forEach(field => {
+            addRow(label, field, clientEntity?.[field], serverEntity?.[field], diverged.has(`${id}:${field}`));
+        });
+    }
+
+    document.getElementById('report-json').textContent = JSON.stringify({ ...versions, ...divergence }, null, 2);
+    document.getElementById('report-details').hidden = false;
+}
+
+function showStatus(message, kind = '') {
+    const status = document.getElementById('report-status');
+    status.textContent = message;
+    status.className = kind;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    console.log("[DivergenceMain] DOMContentLoaded event fired. Initializing Divergence Report.");
+    const sessionInput = document.getElementById('session-id-input');
+    const fileInput = document.getElementById('replay-file-input');
+
+    document.getElementById('compare-btn').addEventListener('click', () => {
+        const sessionId = sessionInput.value.trim();
+        if (sessionId) runReport({ sessionId });
+    });
+    fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            runReport({ bundle: await readReplayBundleFile(file) });
+        } catch (error) {
+            showStatus(`Error: ${error.message}`, 'error');
+        }
+        fileInput.value = '';
+    });
+
+    const sessionId = new URLSearchParams(window.location.search).get('sessionId');
+    if (sessionId) {
+        sessionInput.value = sessionId;
+        runReport({ sessionId });
+    }
+});
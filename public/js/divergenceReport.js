@@ -0,0 +1,119 @@
+/**
+ * @file divergenceReport.js
+ * @description Finds the first action after which the client and server simulations of a replay disagree.
+ *
+ * The replay is played by a headless client Game (through ReplayOrchestrator) and by the server
+ * GameEngine (the 'traceReplay' action). Both record the same state after every action — the map
+ * and each entity's position, HP, AP and XP, keyed by entity ID — which are compared step by step.
+ * Step 0 is the state before the first action; step n is the state after action n - 1.
+ */
+import { EventBus } from './eventBus.js';
+import { ReplayOrchestrator } from './ReplayOrchestrator.js';
+
+/** The per-entity fields compared at every step. */
+export const COMPARED_FIELDS = ['q', 'r', 'life', 'actionPoints', 'xp'];
+
+/**
+ * Summarizes a client game in the shape of GameEngine.getStepState on the server.
+ * @param {Game} game
+ * @returns {{mapId: string, entities: Object<string, object>}}
+ */
+export function captureClientState(game) {
+    const entities = {};
+    for (const entity of game.gameMap.entities.values()) {
+        const stats = entity.getComponent('stats');
+        entities[entity.id] = {
+            type: entity.type,
+            q: entity.hex ? entity.hex.q : null,
+            r: entity.hex ? entity.hex.r : null,
+            life: stats ? stats.life : null,
+            actionPoints: stats ? stats.actionPoints : null,
+            xp: stats ? stats.xp || 0 : null
+        };
+    }
+    return { mapId: game.gameState.currentMapId, entities };
+}
+
+/**
+ * Plays a replay with a headless client Game, recording its state before the first action and
+ * after every action, and stops at the first action the client rejects.
+ * @param {object} replayData - { seed, mapId, mapTemplate, initialCharacterData, replayLog }, as from getReplay.
+ * @param {object} config - The merged game config.
+ * @returns {Promise<{trace: object[], failedActionIndex: ?number}>}
+ */
+export async function traceClientReplay(replayData, config) {
+    const runner = new ReplayOrchestrator(new EventBus(), { headless: true });
+    runner.replayData = replayData;
+    runner.config = config;
+    await runner.initializeGame();
+
+    const trace = [captureClientState(runner.gameInstance)];
+    for (let i = 0; i < replayData.replayLog.length; i++) {
+        if (!await runner.executeTurn(i)) {
+            return { trace, failedActionIndex: i };
+        }
+        trace.push(captureClientState(runner.gameInstance));
+    }
+    return { trace, failedActionIndex: null };
+}
+
+/**
+ * Lists every compared value that differs between two step states.
+ * @param {object} client - A state from captureClientState.
+ * @param {object} server - A state from GameEngine.getStepState.
+ * @returns {Array<{entityId: ?string, field: string, client: *, server: *}>}
+ */
+export function compareStates(client, server) {
+    const differences = [];
+    if (client.mapId !== server.mapId) {
+        differences.push({ entityId: null, field: 'mapId', client: client.mapId, server: server.mapId });
+    }
+    const ids = new Set([...Object.keys(client.entities), ...Object.keys(server.entities)]);
+    for (const id of ids) {
+        const clientEntity = client.entities[id];
+        const serverEntity = server.entities[id];
+        if (!clientEntity || !serverEntity) {
+            differences.push({ entityId: id, field: 'exists', client: !!clientEntity, server: !!serverEntity });
+            continue;
+        }
+        for (const field of COMPARED_FIELDS) {
+            if (clientEntity[field] !== serverEntity[field]) {
+                differences.push({ entityId: id, field, client: clientEntity[field], server: serverEntity[field] });
+            }
+        }
+    }
+    return differences;
+}
+
+/**
+ * Walks both traces in step and returns the first step where they disagree: a compared value
+ * differs, or one side rejected an action the other accepted.
+ * @param {object[]} replayLog - The replay's actions.
+ * @param {{trace: object[], failedActionIndex: ?number}} clientRun - From traceClientReplay.
+ * @param {object} serverReport - The traced report from the server's 'traceReplay' action.
+ * @returns {?{step: number, action: ?object, reason: string, differences: object[], client: ?object, server: ?object}}
+ *   Null if the two simulations agree throughout.
+ */
+export function findFirstDivergence(replayLog, clientRun, serverReport) {
+    const serverTrace = serverReport.trace || [];
+    const steps = Math.max(clientRun.trace.length, serverTrace.length);
+    for (let step = 0; step < steps; step++) {
+        const client = clientRun.trace[step] || null;
+        const server = serverTrace[step] || null;
+        const action = step > 0 ? replayLog[step - 1] : null;
+        if (!client || !server) {
+            const reason = client
+                ? `The server rejected action ${step}: ${serverReport.reason}`
+                : `The client could not play action ${step}.`;
+            return { step, action, reason, differences: [], client, server };
+        }
+        const differences = compareStates(client, server);
+        if (differences.length > 0) {
+            const reason = step === 0
+                ? 'The games differ before the first action.'
+                : `The games differ after action ${step}.`;
+            return { step, action, reason, differences, client, server };
+        }
+    }
+    return null;
+}
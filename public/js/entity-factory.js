@@ -19,6 +19,7 @@ import InteractableComponent from './components/interactableComponent.js';
 import PortalComponent from './components/portalComponent.js';
 
 import Entity from './entity.js';
+import RulesCore from './rules.js';
 
 // A map to avoid string-based lookups in the createEntity method
 const componentClasses = {
@@ -52,8 +53,7 @@ export default class EntityFactory {
      */
     createEntity(type, initialCoords, properties = {}) {
         // For specific enemy types like 'goblinScout', we find its base blueprint (e.g., 'enemy')
-        const blueprintType = this.config.entityBlueprints[type] ? type : 'enemy';
-        const blueprint = this.config.entityBlueprints[blueprintType];
+        const blueprint = RulesCore.getBlueprint(this.config, type);
 
         if (!blueprint) {
             console.error(`[EntityFactory] No blueprint found for type: ${type}`);
@@ -76,6 +76,8 @@ export default class EntityFactory {
 
         // 2. Create the entity instance using the unified config.
         const entity = new Entity(this.game, entityConfig);
+        // Kept so a game snapshot can build the entity again (see Game.createSnapshot).
+        entity.spawnProperties = properties;
 
         // Add components based on the blueprint
         for (const compConfig of blueprint.components) {
@@ -96,33 +98,10 @@ export default class EntityFactory {
 
     /**
      * Gathers the arguments for a component's constructor based on the blueprint config.
+     * The resolution rules are shared with the server engine.
      * @private
      */
     _getComponentArgs(compConfig, entityProperties) {
-        if (!compConfig.argsSource) {
-            return compConfig.args || {};
-        }
-
-        switch (compConfig.argsSource) {
-            case 'archetypeBaseStats':
-                // Combine baseStats with top-level properties like traits
-                // so the StatsComponent receives all necessary data.
-                return { ...(entityProperties.baseStats || {}), traits: entityProperties.traits || [] };
-            case 'archetypeSkills':
-                return { skillIds: entityProperties.skills || [] };
-            case 'entityProperties':
-                // If a dataSourceKey is provided, use that sub-object from the entity's properties.
-                if (compConfig.class === 'PortalComponent') {
-                    console.log(`[EntityFactory] Getting args for PortalComponent from entityProperties:`, entityProperties);
-                }
-                if (compConfig.dataSourceKey) {
-                    return entityProperties[compConfig.dataSourceKey] || compConfig.args || {};
-                }
-                // Otherwise, pass the entire properties object. This is useful for components like PortalComponent
-                // that read top-level properties like 'nextMapId'.
-                return entityProperties;
-            default:
-                return compConfig.args || {};
-        }
+        return RulesCore.resolveComponentArgs(compConfig, entityProperties);
     }
 }
\ No newline at end of file
@@ -5,17 +5,33 @@ import EntityFactory from './entity-factory.js';
 import SVGRenderer from './ui/svgRenderer.js'; // Import the new SVGRenderer
 import DetectionSystem from './systems/detectionSystem.js'; // New: Import DetectionSystem
 import { createSeededRNG } from './utils.js';
+import RulesCore from './rules.js';
+
+/** What each attribute is for, shown with level-up choices. */
+const LEVEL_UP_ATTRIBUTE_DESCRIPTIONS = {
+    body: 'More life, physical damage, accuracy and defense.',
+    mind: 'More mana, magical damage, accuracy and defense.',
+    instinct: 'More action points, evasion and critical hits.'
+};
+
+/** How the changes of a skill upgrade are worded on its level-up choice. */
+const SKILL_UPGRADE_LABELS = { apCost: 'AP cost', mpCost: 'MP cost', cooldown: 'cooldown', range: 'range', charges: 'charges' };
 
 /**
  * Represents the core game logic, state, and main loop.
+ * Rule decisions (pathing, legality, costs) come from the shared RulesCore, for which the Game
+ * acts as the "world"; the Game executes the resulting plans, animates them and publishes events.
  */
 export default class Game {
     /**
      * @param {EventBus} eventBus The central event bus.
+     * @param {string|null} canvasId The map's SVG element. Pass null to run headless: nothing is
+     *   rendered, no input is read and moves complete at once (e.g. for the divergence report).
      */
     constructor(eventBus, canvasId, hexSize, characterData, intentSystem = null, sessionData, config, isReplay = false) {
         this.eventBus = eventBus;
         this.canvasId = canvasId;
+        this.isHeadless = canvasId === null;
         this.hexSize = hexSize;
         this.characterData = characterData;
         this.CONFIG = config; // Expose CONFIG to other systems via the game instance
@@ -34,6 +50,7 @@ export default class Game {
 
         this.gameState = new GameState();
         this.gameState.isAnimating = false; // Add a flag to prevent actions during animations
+        this.animationsEnabled = !this.isHeadless; // Turned off to fast-forward, e.g. while seeking through a replay
         this.layout = null;
         this.renderer = null; // The new SVG renderer
         this.gameMap = null;
@@ -50,11 +67,18 @@ export default class Game {
         this._setupEventListeners();
     }
 
-    async initializeLayoutAndMap(characterData, mapConfig, existingPlayer = null) {
+    /**
+     * Builds the map, its entities and the renderer for a map template.
+     * @param {object} characterData
+     * @param {object} mapConfig - The map template.
+     * @param {Entity|null} [existingPlayer=null] - The player to carry over, e.g. through a portal.
+     * @param {object|null} [snapshot=null] - A snapshot from createSnapshot() whose entities replace the template's.
+     */
+    async initializeLayoutAndMap(characterData, mapConfig, existingPlayer = null, snapshot = null) {
         this.characterData = characterData;
 
         // 1. Wait for mapContainer to be ready
-        const mapContainer = await new Promise(resolve => {
+        if (!this.isHeadless) await new Promise(resolve => {
             const checkMapContainer = () => {
                 const container = document.getElementById('map-container');
                 if (container && container.clientWidth > 0 && container.clientHeight > 0) {
@@ -80,7 +104,7 @@ export default class Game {
         // 3. Create the final layout and renderer. The origin is (0,0) as viewBox will handle positioning.
         this.layout = new Layout(Layout.flat, this.hexSize, new Point(0, 0));
         this.gameMap = new GameMap(this.eventBus, this.layout, this.rng); // Pass the seeded RNG to the map
-        this.renderer = new SVGRenderer(this.eventBus, this, this.canvasId);
+        this.renderer = this.isHeadless ? null : new SVGRenderer(this.eventBus, this, this.canvasId);
         this.entityFactory = new EntityFactory(this);
 
         // 4. Create entity instances (without placing them yet)
@@ -89,11 +113,16 @@ export default class Game {
         } else {
             this.player = this.entityFactory.createEntity('player', null, this.characterData);
         }
-        const enemies = this._createEntitiesFromConfig(mapConfig, 'enemies');
-        const traps = this._createEntitiesFromConfig(mapConfig, 'traps');
-        const campfires = this._createEntitiesFromConfig(mapConfig, 'campfires');
-        const portals = this._createEntitiesFromConfig(mapConfig, 'portals');
-        const allEntities = [this.player, ...enemies, ...traps, ...campfires, ...portals];
+        let allEntities;
+        if (snapshot) {
+            allEntities = [this.player, ...this._createEntitiesFromSnapshot(snapshot)];
+        } else {
+            const enemies = this._createEntitiesFromConfig(mapConfig, 'enemies');
+            const traps = this._createEntitiesFromConfig(mapConfig, 'traps');
+            const campfires = this._createEntitiesFromConfig(mapConfig, 'campfires');
+            const portals = this._createEntitiesFromConfig(mapConfig, 'portals');
+            allEntities = [this.player, ...enemies, ...traps, ...campfires, ...portals];
+        }
 
         // 5. Initialize the map data model (creates tiles, places entities in data)
         this.gameMap.initializeFromConfig({ mapConfig, entities: allEntities });
@@ -106,17 +135,18 @@ export default class Game {
         const mapHeight = (bounds.maxY - bounds.minY) + (padding * 2);
         const viewBox = `${bounds.minX - padding} ${bounds.minY - padding} ${mapWidth} ${mapHeight}`;
 
-        this.renderer.svgElement.setAttribute('viewBox', viewBox);
+        this.renderer?.svgElement.setAttribute('viewBox', viewBox);
 
         // 7. Initialize entities (sets their .hex property and initializes components).
         this.initializeEntities(mapConfig);
+        if (snapshot) this._applySnapshot(snapshot);
 
         // 9. Trigger the first render.
         // The renderer will now draw the map with the correct initial visibility.
         this.eventBus.publish('mapLoaded', { mapConfig, entities: allEntities });
 
         // 10. Add event listeners for interaction, but only for live games.
-        if (!this.isReplay) {
+        if (!this.isReplay && !this.isHeadless) {
             this.addEventListeners();
         }
 
@@ -127,6 +157,7 @@ export default class Game {
 
         // 11. Generate initial intents now that the map and entities are fully initialized.
         // This must happen after all systems are set and the map is ready.
+        this.gameState.isTransitioning = false;
         if (this.intentSystem && !this._intentsPrimed) {
             this.intentSystem.generateAndDeclareNewIntents();
             this._intentsPrimed = true;
@@ -137,21 +168,23 @@ export default class Game {
         this.eventBus.subscribe('entityAction', (payload) => {
             this.resolveEntityAction(payload);
         });
-        if (!this.isReplay) {
-            this.eventBus.subscribe('mapTransitionRequest', ({ nextMapId, entityId }) => {
-                console.log(`[Game] Received 'mapTransitionRequest' event. Next map: ${nextMapId}`);
-                if (nextMapId) {
-                    // For a real transition, defer the action to prevent a race condition where other
-                    // systems (like DetectionSystem) try to access the map while it's being torn down.
-                    setTimeout(() => this.handleMapTransition(nextMapId, entityId), 0);
-                } else {
-                    // For the final portal (no nextMapId), handle it synchronously.
-                    // This immediately sets the isGameOver flag, preventing the turn-end
-                    // logic from starting an infinite loop.
-                    this.handleMapTransition(nextMapId, entityId);
-                }
-            });
-        }
+        this.eventBus.subscribe('mapTransitionRequest', ({ nextMapId, entityId }) => {
+            console.log(`[Game] Received 'mapTransitionRequest' event. Next map: ${nextMapId}`);
+            if (nextMapId) {
+                // The next map starts with a fresh player turn, so the current one must not be handed to the enemies.
+                // Set in replays too, where the ReplayOrchestrator performs the transition itself.
+                this.gameState.isTransitioning = true;
+                if (this.isReplay) return;
+                // For a real transition, defer the action to prevent a race condition where other
+                // systems (like DetectionSystem) try to access the map while it's being torn down.
+                setTimeout(() => this.handleMapTransition(nextMapId, entityId), 0);
+            } else {
+                // For the final portal (no nextMapId), handle it synchronously, in replays too.
+                // This immediately sets the isGameOver flag, preventing the turn-end
+                // logic from starting an infinite loop, exactly as the server ends the run.
+                this.handleMapTransition(nextMapId, entityId);
+            }
+        });
         this.eventBus.subscribe('playerEndTurn', () => {
             this.endPlayerTurn();
         });
@@ -160,7 +193,9 @@ export default class Game {
             if (entity.id === this.player.id) {
                 this.handleGameOver("Player has been defeated!");
             } else {
-                this.eventBus.publish('combatLog', { message: `${entity.name} has been defeated!`, type: "death" });
+                const xpGained = RulesCore.getKillReward(entity);
+                this.player?.getComponent('stats')?.gainXp(xpGained);
+                this.eventBus.publish('combatLog', { message: `${entity.name} has been defeated! (+${xpGained} XP)`, type: "death" });
                 this.removeEntity(entity.id);
                 if (this.gameMap.getEnemies().length === 0) {
                     this.eventBus.publish('combatLog', { message: "All enemies defeated!", type: "event" });
@@ -175,6 +210,15 @@ export default class Game {
             // avoiding any race conditions with entity property updates.
             this._checkTileForAutomaticInteractions(this.getEntity(entityId), finalHex);
         });
+        if (this.isHeadless) {
+            // There is no renderer to animate moves; land them at once, as SVGRenderer does when fast-forwarding.
+            this.eventBus.subscribe('entityAnimateMove', ({ entityId, path, onComplete }) => {
+                const finalHex = path[path.length - 1];
+                this.getEntity(entityId).hex = finalHex;
+                this.eventBus.publish('moveCompleted', { entityId, finalHex });
+                if (onComplete) onComplete({ moved: true, finalHex });
+            });
+        }
     }
 
     addEventListeners() {
@@ -269,6 +313,105 @@ export default class Game {
             this.entityFactory.createEntity(config.type, { q: config.q, r: config.r }, config)
         ).filter(Boolean);
     }
+
+    /**
+     * Re-creates the non-player entities of a snapshot, keeping their IDs.
+     * @private
+     */
+    _createEntitiesFromSnapshot(snapshot) {
+        return snapshot.entities
+            .filter(saved => saved.id !== this.player.id)
+            .map(saved => this.entityFactory.createEntity(saved.type, null, { ...saved.spawnProperties, id: saved.id }))
+            .filter(Boolean);
+    }
+
+    /**
+     * Puts the entities and fog of war of a snapshot onto the freshly built map.
+     * @private
+     */
+    _applySnapshot(snapshot) {
+        for (const saved of snapshot.entities) {
+            const entity = this.getEntity(saved.id);
+            if (!entity) continue;
+            entity.hex = saved.hex ? this.gameMap.getTile(saved.hex.q, saved.hex.r) : null;
+            entity.isConcealed = saved.isConcealed;
+            entity.blocksMovement = saved.blocksMovement;
+            for (const [name, state] of Object.entries(saved.components)) {
+                entity.getComponent(name)?.restoreState?.(state);
+            }
+        }
+        for (const tile of this.gameMap.getAllTiles()) {
+            tile.visibility = 'hidden';
+        }
+        for (const { q, r, visibility } of snapshot.tiles) {
+            const tile = this.gameMap.getTile(q, r);
+            if (tile) tile.visibility = visibility;
+        }
+    }
+
+    /**
+     * Captures the game as it is between two actions: the current map, every entity with its position
+     * and component state, the fog of war, the turn state and the RNG position. The result is plain
+     * JSON and can be handed back to restoreSnapshot() later, which is how the replay viewer seeks.
+     * @returns {object}
+     */
+    createSnapshot() {
+        const entities = [...this.gameMap.entities.values()].map(entity => {
+            const components = {};
+            for (const [name, component] of Object.entries(entity.components)) {
+                if (typeof component.serializeState === 'function') {
+                    components[name] = component.serializeState();
+                }
+            }
+            return {
+                id: entity.id,
+                type: entity.type,
+                // The player is never rebuilt; it is carried over like on a map transition.
+                spawnProperties: entity === this.player ? null : entity.spawnProperties,
+                hex: entity.hex ? { q: entity.hex.q, r: entity.hex.r } : null,
+                isConcealed: entity.isConcealed,
+                blocksMovement: entity.blocksMovement,
+                components
+            };
+        });
+        const tiles = this.gameMap.getAllTiles()
+            .filter(tile => tile.visibility !== 'hidden')
+            .map(tile => ({ q: tile.q, r: tile.r, visibility: tile.visibility }));
+
+        return JSON.parse(JSON.stringify({
+            mapId: this.gameState.currentMapId,
+            rngState: this.rng.getState(),
+            gameState: {
+                currentTurn: this.gameState.currentTurn,
+                turnNumber: this.gameState.turnNumber,
+                isGameOver: this.gameState.isGameOver
+            },
+            tiles,
+            entities
+        }));
+    }
+
+    /**
+     * Puts the game back into the state captured by createSnapshot(), rebuilding the map and renderer.
+     * @param {object} snapshot
+     * @param {object} mapConfig - The template of the snapshot's map (snapshot.mapId).
+     */
+    async restoreSnapshot(snapshot, mapConfig) {
+        const playerToPreserve = this.player;
+        this._cleanupForTransition();
+        // The snapshot carries its own intents; don't let the map setup declare new ones.
+        this._intentsPrimed = true;
+        // Game over hides the fog updates, so only set it once the map is built.
+        this.gameState.isGameOver = false;
+        this.sessionData.mapTemplate = mapConfig;
+        this.gameState.currentMapId = snapshot.mapId;
+
+        await this.initializeLayoutAndMap(this.characterData, mapConfig, playerToPreserve, snapshot);
+
+        Object.assign(this.gameState, snapshot.gameState);
+        this.rng.setState(snapshot.rngState);
+    }
+
     startNewRound() {
         if (this.gameState.isGameOver) return;
         this.gameState.currentTurn = 'player';
@@ -277,6 +420,8 @@ export default class Game {
             turnNumber: this.gameState.turnNumber++,
             currentTurn: this.gameState.currentTurn
         });
+        // A level-up earned at the end of the last turn is offered now.
+        this.requestLevelUpChoice();
     }
 
     async resolveEntityAction(payload = {}) {
@@ -303,9 +448,9 @@ export default class Game {
                 case 'playerInput':
                     actionResolvedSuccessfully = await this.resolvePlayerInput(actor, payload.details);
                     break;
-            }
-            if (actor === this.player) {
-                this.checkPlayerTurnConditions();
+                case 'levelUp':
+                    actionResolvedSuccessfully = this.resolveLevelUpAction(actor, payload.details);
+                    break;
             }
         } catch (error) {
             console.error("[Game] Error during action resolution:", error);
@@ -314,9 +459,74 @@ export default class Game {
             this.gameState.isAnimating = false;
         }
 
+        // Announce the outcome so the replay log only records actions that actually happened.
+        this.eventBus.publish('entityActionResolved', { action: payload, success: actionResolvedSuccessfully });
+
+        // Only hand the turn over once the action has fully resolved, so the enemy phase never overlaps it.
+        if (actor === this.player) {
+            await this.checkPlayerTurnConditions();
+            this.requestLevelUpChoice();
+        }
         return actionResolvedSuccessfully;
     }
 
+    /**
+     * Takes a level-up with the player's choice of reward.
+     * @param {Entity} actor - The entity leveling up (the player).
+     * @param {{choice: object}} details - One of RulesCore.getLevelUpChoices.
+     * @returns {boolean} True if the level-up was taken.
+     */
+    resolveLevelUpAction(actor, details) {
+        const check = RulesCore.checkLevelUp(this, actor, details?.choice);
+        if (!check.ok) {
+            this.eventBus.publish('combatLog', { message: check.reason, type: 'warning' });
+            return false;
+        }
+        if (check.choice.type === 'skill') {
+            actor.getComponent('skills')?.learnSkillById(check.choice.skillId);
+        } else if (check.choice.type === 'skillRank') {
+            actor.getComponent('skills')?.upgradeSkill(check.choice.skillId);
+        }
+        const stats = actor.getComponent('stats');
+        stats.levelUp(check.choice);
+        this.eventBus.publish('combatLog', { message: `${actor.name} reached level ${stats.level}: ${this._describeLevelUpChoice(check.choice).name}.`, type: 'event' });
+        return true;
+    }
+
+    /**
+     * Asks the player to pick a level-up reward if one is waiting. Only offered on the player's own
+     * turn, so the level-up is logged between the same actions the server plays it between.
+     */
+    requestLevelUpChoice() {
+        if (this.isReplay || this.isHeadless || !this.player || this.gameState.isGameOver) return;
+        if (this.gameState.currentTurn !== 'player' || RulesCore.getPendingLevelUps(this, this.player) <= 0) return;
+        const choices = RulesCore.getLevelUpChoices(this, this.player).map(choice => ({
+            ...this._describeLevelUpChoice(choice),
+            effect: () => this.eventBus.publish('entityAction', { type: 'levelUp', sourceId: this.player.id, details: { choice } })
+        }));
+        const nextLevel = this.player.getComponent('stats').level + 1;
+        this.eventBus.publish('levelUpChoicesRequested', { title: `Level ${nextLevel}! Choose a reward`, choices });
+    }
+
+    /** @private */
+    _describeLevelUpChoice(choice) {
+        if (choice.type === 'skill') {
+            const skillConfig = this.CONFIG.skills?.[choice.skillId] || {};
+            return { name: `Learn ${skillConfig.name || choice.skillId}`, description: skillConfig.description || '' };
+        }
+        if (choice.type === 'skillRank') {
+            const skillConfig = this.CONFIG.skills?.[choice.skillId] || {};
+            const upgrade = RulesCore.getSkillTreeNodes(this, this.player)[choice.skillId]?.ranks?.[choice.rank - 2] || {};
+            const changes = Object.keys(SKILL_UPGRADE_LABELS)
+                .filter(field => upgrade[field])
+                .map(field => `${SKILL_UPGRADE_LABELS[field]} ${upgrade[field] > 0 ? '+' : ''}${upgrade[field]}`);
+            if (upgrade.damageMultiplier) changes.push(`damage +${Math.round(upgrade.damageMultiplier * 100)}%`);
+            return { name: `${skillConfig.name || choice.skillId} rank ${choice.rank}`, description: changes.join(', ') };
+        }
+        const attributeName = choice.attribute.charAt(0).toUpperCase() + choice.attribute.slice(1);
+        return { name: `+${choice.points} ${attributeName}`, description: LEVEL_UP_ATTRIBUTE_DESCRIPTIONS[choice.attribute] || '' };
+    }
+
     /**
      * Resolves a generic player input, determining whether it's a move, attack, or interaction.
      * This is the core logic for resolving the player's raw intent from a click.
@@ -326,129 +536,54 @@ export default class Game {
      */
     async resolvePlayerInput(actor, details) {
         if (!actor || !details?.targetTile) return false;
-
-        const targetTile = this.gameMap.getTile(details.targetTile.q, details.targetTile.r);
-        if (!targetTile) return false;
-
-        const targetEntity = this.gameMap.getEntityAt(targetTile.q, targetTile.r);
-
-        // Case 1: There is a targetable entity on the tile.
-        // This includes enemies, portals, campfires, etc.
-        if (targetEntity && targetEntity.id !== actor.id) {
-            // Delegate to the more specific interaction resolver.
-            // resolveInteraction will handle range checks, movement, and the actual interaction.
-            return await this.resolveInteraction(actor, { targetId: targetEntity.id });
-        }
-
-        // Case 2: The tile is empty or has a non-targetable entity (like a concealed trap).
-        // This is treated as a move action.
-        else {
-            // resolveMoveAction will handle pathfinding and AP costs.
-            return await this.resolveMoveAction(actor, { targetTile: targetTile });
-        }
+        return await this._executePlan(actor, RulesCore.planPlayerInput(this, actor, details.targetTile));
     }
 
     /**
-     * Resolves an interaction action with a target entity.
-     * This method now checks for specific interaction components (Trap, Interactable, Portal)
-     * and delegates to their respective `activate` or `interact` methods.
+     * Resolves an interaction action with a target entity: using an interactable, walking onto
+     * a portal, or attacking (moving next to the target first if it is out of reach).
      * @param {Entity} actor - The entity performing the interaction.
      * @param {object} details - Details about the interaction, including targetId.
      * @returns {boolean} True if the interaction was resolved, false otherwise.
      */
     async resolveInteraction(actor, details) {
         if (!actor || !details?.targetId) return false;
-        const target = this.getEntity(details.targetId);
-        if (!target) {
-            this.eventBus.publish('combatLog', { message: "Interaction target not found.", type: "warning" });
-            return false;
-        }
-
-        // Check if the target is a trap
-        const trapComp = target.getComponent('trap');
-        if (trapComp) {
-            // Traps are usually triggered by movement onto their tile, not direct interaction.
-            // However, if you want to allow "disarming" or "inspecting" traps, this is where you'd add that.
-            this.eventBus.publish('combatLog', { message: `You cannot directly interact with the ${target.name}.`, type: "info" });
-            return false;
-        }
-
-        // If the target is concealed, it cannot be interacted with directly until detected.
-        if (target.isConcealed) {
-            this.eventBus.publish('combatLog', { message: `You cannot interact with a concealed ${target.name}.`, type: "warning" });
-            return false;
-        }
-
-        // Check if the target is a generic interactable (like a campfire)
-        const interactableComp = target.getComponent('interactable');
-        if (interactableComp) {
-            // For direct interaction, the actor must be on the same tile or adjacent.
-            if (actor.hex.equals(target.hex) || actor.hex.distance(target.hex) <= 1) {
-                interactableComp.interact(actor);
-                return true;
-            } else {
-                this.eventBus.publish('combatLog', { message: `You are too far to interact with the ${target.name}.`, type: "warning" });
-                return false;
-            }
-        }
-
-        // Check if the target is a portal (PortalComponent extends InteractableComponent)
-        const portalComp = target.getComponent('portal');
-        if (portalComp) {
-            console.log(`[Game] Resolving interaction with portal: ${target.name}`);
-            // If the actor is already on the portal, trigger it immediately.
-            if (actor.hex.equals(target.hex)) {
-                console.log(`[Game] Actor is on portal tile. Calling interact() directly.`);
-                portalComp.interact(actor); // PortalComponent's interact will publish mapTransitionRequest
-                return true;
-            }
-
-            console.log(`[Game] Actor is not on portal tile. Resolving as a move action to the portal.`);
-            // Otherwise, treat this as an intent to move onto the portal tile.
-            const movement = actor.getComponent('movement');
-            const effectiveMovementRange = movement?.getEffectiveMovementRange() || 0;
-            const path = this._findPath(actor, target.hex);
-
-            if (path && (path.length - 1) <= effectiveMovementRange) {
-                // The path is valid and affordable. Let resolveMoveAction handle the AP cost and execution.
-                return await this.resolveMoveAction(actor, { targetTile: target.hex });
-            }
+        return await this._executePlan(actor, RulesCore.planInteraction(this, actor, this.getEntity(details.targetId)));
+    }
 
-            this.eventBus.publish('combatLog', { message: "Cannot reach the portal.", type: "warning" });
+    /**
+     * Carries out a plan produced by the rules core, step by step.
+     * @param {Entity} actor - The acting entity.
+     * @param {{ok: boolean, steps?: object[], reason?: string}} plan - The plan to execute.
+     * @returns {Promise<boolean>} False if the plan was rejected.
+     * @private
+     */
+    async _executePlan(actor, plan) {
+        if (!plan.ok) {
+            this.eventBus.publish('combatLog', { message: plan.reason, type: 'warning' });
             return false;
         }
 
-        // If it's none of the above, and it has stats, assume it's an attackable entity
-        // This is the fallback for enemies or other attackable objects.
-        if (target.hasComponent('stats') && target.getComponent('stats').isAlive()) {
-            const stats = actor.getComponent('stats');
-            const attackRange = stats.attackRange || 1;
-
-            if (actor.hex.distance(target.hex) <= attackRange) {
-                return this.resolveAttackAction(actor, { targetId: target.id });
-            }
-
-            const movement = actor.getComponent('movement');
-            const effectiveMovementRange = movement?.getEffectiveMovementRange() || 0;
-            const { path, targetTile: moveTargetHex, pathLength } = this._findPathToAdjacent(actor, target.hex, effectiveMovementRange);
-
-            if (path && moveTargetHex && pathLength <= effectiveMovementRange) {
-                const totalCost = (this.CONFIG.actions.moveCost * pathLength) + this.CONFIG.actions.attackCost;
-                if (stats.canAfford(totalCost)) {
-                    const moveSuccessful = await this.resolveMoveAction(actor, { targetTile: moveTargetHex });
-                    if (moveSuccessful && actor.hex.distance(target.hex) <= attackRange) {
-                        return this.resolveAttackAction(actor, { targetId: target.id });
-                    }
-                }
-            } else {
-                this.eventBus.publish('combatLog', { message: "Not enough AP to move and attack.", type: "warning" });
+        for (const step of plan.steps) {
+            // A trap on the way may end the game before a follow-up attack.
+            if (this.gameState.isGameOver) break;
+            switch (step.type) {
+                case 'move':
+                    await this._performMove(actor, step);
+                    break;
+                case 'attack':
+                    this._performAttack(actor, this.getEntity(step.targetId), step);
+                    break;
+                case 'interact':
+                    this.getEntity(step.targetId)?.getComponent('interactable').interact(actor);
+                    break;
+                case 'enterPortal':
+                    // PortalComponent's interact will publish mapTransitionRequest
+                    this.getEntity(step.targetId)?.getComponent('portal').interact(actor);
+                    break;
             }
-        } else {
-            this.eventBus.publish('combatLog', { message: "Cannot reach an attack position near that target.", type: "warning" });
         }
-        // If no specific interaction or attack was resolved
-        this.eventBus.publish('combatLog', { message: `Cannot interact with ${target.name}.`, type: "warning" });
-        return false;
+        return true;
     }
 
     /**
@@ -491,6 +626,7 @@ export default class Game {
 
         // Update the character data to reflect the new map
         this.characterData.currentMapId = nextMapId;
+        this.gameState.currentMapId = nextMapId;
 
         // 2. Re-initialize the game with the new map configuration.
         await this.initializeLayoutAndMap(this.characterData, newMapTemplate.maptemplate, playerToPreserve);
@@ -514,82 +650,127 @@ export default class Game {
     }
 
     async resolveSkillAction(actor, details) {
-        const { skillId, targetHex, targetId } = details;
+        const { skillId, targetHex } = details;
         const skillsComponent = actor.getComponent('skills');
         const statsComponent = actor.getComponent('stats');
         if (!skillsComponent || !statsComponent) return false;
 
-        const skill = skillsComponent.getSkill(skillId);
-        if (!skill || !skillsComponent.canUseSkill(skillId)) {
-            this.eventBus.publish('combatLog', { message: `Cannot use ${skill.name}.`, type: 'warning' });
+        const check = RulesCore.checkSkillUse(this, actor, skillId);
+        const targeting = check.ok ? RulesCore.checkSkillTarget(this, actor, check.skillConfig, targetHex) : check;
+        if (!targeting.ok) {
+            this.eventBus.publish('combatLog', { message: targeting.reason, type: 'warning' });
             return false;
         }
+        const skill = skillsComponent.getSkill(skillId);
+        if (check.toggleOff) {
+            actor.getComponent('statusEffects')?.removeStatus(skill.statusToApply);
+            this.eventBus.publish('combatLog', { message: `${actor.name} leaves ${skill.name}.`, type: 'skill' });
+            return true;
+        }
         
         // --- Generic Skill Effect Execution ---
-        statsComponent.spendActionPoints(skill.apCost || 0);
-        statsComponent.spendManaPoints(skill.mpCost || 0);
-        skillsComponent.startCooldown(skillId);
+        statsComponent.spendActionPoints(check.cost.ap);
+        statsComponent.spendManaPoints(check.cost.mp);
+        skillsComponent.recordSkillUse(skillId);
         this.eventBus.publish('combatLog', { message: `${actor.name} uses ${skill.name}!`, type: 'skill' });
+        this.statusEffectSystem?.breakStatuses(actor, 'skill');
+        // A stance ends the others of its group and holds its status until it is ended (see RulesCore's Stances section).
+        if (RulesCore.isStanceSkill(skill)) {
+            RulesCore.getStanceConflicts(this, actor, check.skillConfig).forEach(statusId => actor.getComponent('statusEffects')?.removeStatus(statusId));
+            this.statusEffectSystem?.applyStatus({ targetId: actor.id, effectId: skill.statusToApply, durationOverride: RulesCore.STANCE_DURATION });
+        }
 
         // The new generic resolver loop
         for (const effect of skill.effects) {
-            // Movement is a special case that targets the actor and a hex, not a list of entities.
+            // A blast that catches the caster may end the game part-way through.
+            if (this.gameState.isGameOver) break;
+            // A combo effect only resolves while its condition on the caster holds (see RulesCore.checkCasterCondition).
+            if (!RulesCore.checkCasterCondition(this, actor, effect.condition)) continue;
+            // Movement moves entities one after another instead of resolving on each target (see RulesCore's Forced movement section).
             if (effect.type === 'movement') {
                 await this.resolveMovementEffect(actor, targetHex, effect);
                 continue;
             }
 
-            // For all other effects, determine the target(s) for this specific effect
-            const targets = this._getTargetsForEffect(actor, targetHex, effect);
+            // A custom script decides which plain effects to resolve, and on whom (see RulesCore.runSkillScript).
+            if (effect.type === 'custom_script') {
+                const scripted = RulesCore.runSkillScript(this, actor, targetHex, effect);
+                if (!scripted) {
+                    console.warn(`[Game] No skill script is registered as "${effect.scriptId}".`);
+                    continue;
+                }
+                for (const step of scripted) {
+                    step.targets.forEach(scriptTarget => this.resolveEffectOnTarget(actor, scriptTarget, step.effect));
+                }
+                continue;
+            }
 
-            // Resolve the effect for each target
+            // For all other effects, determine the target(s) for this specific effect
+            const targets = RulesCore.getEffectTargets(this, actor, targetHex, effect);
             for (const currentTarget of targets) {
-                switch (effect.type) {
-                    case 'damage':
-                        this.resolveDamageEffect(actor, currentTarget, effect);
-                        break;
-                    case 'apply_status':
-                        this.resolveApplyStatusEffect(currentTarget, effect);
-                        break;
-                    case 'custom_script':
-                        // This is the "escape hatch" for very complex, unique skills.
-                        console.warn(`[Game] Custom script effect "${effect.scriptId}" not yet implemented.`);
-                        break;
-                    default:
-                        console.warn(`[Game] Unknown effect type: ${effect.type}`);
-                }
+                this.resolveEffectOnTarget(actor, currentTarget, effect);
             }
         }
+        skillsComponent.lastSkillId = skillId;
 
         return true; // The skill and its effects have been processed
     }
 
-    _getTargetsForEffect(actor, primaryTargetHex, effect) {
-        // This helper determines who the effect applies to
-        switch (effect.target) {
-            case 'self':
-                return [actor];
-            case 'target_hex':
-                const entity = this.gameMap.getEntityAt(primaryTargetHex.q, primaryTargetHex.r);
-                return entity ? [entity] : [];
-            case 'aoe_at_target_hex':
-                const radius = effect.splashRadius || 0;
-                const tilesInArea = this.gameMap.getTilesInRange(primaryTargetHex, radius);
-                return tilesInArea.map(tile => this.gameMap.getEntityAt(tile.q, tile.r)).filter(Boolean);
+    /**
+     * Resolves one plain skill effect (damage, a status, a cleanse or dispel) on one target.
+     * @param {Entity} source - The entity using the skill.
+     * @param {Entity} target
+     * @param {object} effect
+     */
+    resolveEffectOnTarget(source, target, effect) {
+        switch (effect.type) {
+            case 'damage':
+                this.resolveDamageEffect(source, target, effect);
+                break;
+            case 'apply_status':
+                this.resolveApplyStatusEffect(target, effect);
+                break;
+            case 'cleanse':
+            case 'dispel':
+                this.statusEffectSystem?.removeStatusesByTag(target, effect);
+                break;
             default:
-                console.warn(`[Game] Unknown effect target type: ${effect.target}`);
-                return [];
+                console.warn(`[Game] Unknown effect type: ${effect.type}`);
         }
     }
 
     resolveDamageEffect(source, target, effect) {
-        // Reads damage parameters from the effect object
-        const baseDamage = effect.baseAmount || source.getComponent('stats').attackPower;
-        const multiplier = effect.multiplier || 1.0;
-        const finalDamage = Math.floor(baseDamage * multiplier);
+        const result = this.resolveHit(source, target, RulesCore.getEffectAttack(this, source, effect));
+        if (!result.hit) {
+            this.eventBus.publish('combatLog', { message: `${source.name}'s ${effect.damageType || 'attack'} misses ${target.name}!`, type: 'info' });
+            return;
+        }
+        const critText = result.crit ? ' Critical hit!' : '';
+        this.eventBus.publish('combatLog', { message: `${source.name}'s ${effect.damageType || 'attack'} hits ${target.name} for ${result.damage} damage!${critText}`, type: 'damage' });
+    }
 
-        target.getComponent('stats').takeDamage(finalDamage);
-        this.eventBus.publish('combatLog', { message: `${source.name}'s ${effect.damageType || 'attack'} hits ${target.name} for ${finalDamage} damage!`, type: 'damage' });
+    /**
+     * Rolls an attack with the shared combat formulas, applies its damage if it lands and
+     * announces the outcome: 'attackMissed', or 'attackHit' (followed by 'criticalHit' on a crit).
+     * The returned damage is what got through the target's resistances. Attacking, hit or miss, ends the
+     * attacker's statuses that break on attack.
+     * @param {Entity} attacker
+     * @param {Entity} target
+     * @param {object} attack - From RulesCore.getBasicAttack or RulesCore.getEffectAttack.
+     * @returns {{hit: boolean, crit: boolean, damage: number, hitChance: number, critChance: number}}
+     */
+    resolveHit(attacker, target, attack) {
+        const result = RulesCore.resolveCombat(this, attacker, target, attack);
+        if (result.hit) result.damage = target.getComponent('stats').takeDamage(result.damage, attack.damageType);
+        const payload = { attackerId: attacker.id, targetId: target.id, kind: attack.kind, damageType: attack.damageType, damage: result.damage, crit: result.crit, hitChance: result.hitChance };
+        this.statusEffectSystem?.breakStatuses(attacker, 'attack');
+        if (!result.hit) {
+            this.eventBus.publish('attackMissed', payload);
+            return result;
+        }
+        this.eventBus.publish('attackHit', payload);
+        if (result.crit) this.eventBus.publish('criticalHit', payload);
+        return result;
     }
 
     resolveApplyStatusEffect(target, effect) {
@@ -602,73 +783,111 @@ export default class Game {
         }
     }
 
+    /**
+     * Resolves a movement effect: each entity it moves is planned from where everything stands at that
+     * moment, moved, and then takes any collision damage. Traps and portals where a move ends go off
+     * through 'moveCompleted', as after a walk.
+     * @param {Entity} actor - The entity using the skill.
+     * @param {{q: number, r: number}} targetHex
+     * @param {object} effect - A { type: 'movement', moveType } effect.
+     */
     async resolveMovementEffect(actor, targetHex, effect) {
-        const movementComp = actor.getComponent('movement');
-        if (movementComp && effect.moveType === 'teleport') {
-            // For teleport, path is just start and end
-            await movementComp.moveTo([actor.hex, targetHex]);
+        for (const entity of RulesCore.getForcedMoveTargets(this, actor, targetHex, effect)) {
+            for (const move of RulesCore.planForcedMove(this, actor, entity, targetHex, effect)) {
+                if (this.gameState.isGameOver) return;
+                if (move.path.length > 1) await this._moveEntityAlong(move.entity, move.path);
+                if (move.collision) this._resolveCollision(move.entity, move.collision);
+            }
         }
     }
 
-    resolveAttackAction(actor, details) {
-        const stats = actor.getComponent('stats');
-        if (!stats || !details?.targetId) return false;
-        const target = this.getEntity(details.targetId);
-        if (!target || !target.getComponent('stats')?.isAlive()) return false;
+    /**
+     * Moves an entity along a path without paying for it.
+     * @private
+     */
+    async _moveEntityAlong(entity, path) {
+        const movementComp = entity.getComponent('movement');
+        if (movementComp) {
+            await movementComp.moveTo(path);
+            return;
+        }
+        const oldHex = entity.hex;
+        entity.hex = path[path.length - 1];
+        entity.getComponent('renderable')?.updatePosition();
+        this.eventBus.publish('moveCompleted', { entityId: entity.id, finalHex: entity.hex, initialHex: oldHex });
+    }
 
-        if (actor.type === 'player' && !stats.canAfford(this.CONFIG.actions.attackCost)) {
-            this.eventBus.publish('combatLog', { message: "Not enough AP to attack!", type: "warning" });
-            return false;
+    /**
+     * Deals the damage of an entity being driven into something it cannot enter.
+     * @private
+     */
+    _resolveCollision(entity, collision) {
+        for (const victim of collision.entities) {
+            const stats = victim.getComponent('stats');
+            if (!stats?.isAlive()) continue;
+            const damage = stats.takeDamage(collision.damage, collision.damageType);
+            const cause = victim === entity ? `is slammed into ${collision.blocker?.name || 'an obstacle'}` : `is struck by ${entity.name}`;
+            this.eventBus.publish('combatLog', { message: `${victim.name} ${cause} and takes ${damage} damage!`, type: 'damage' });
         }
-        if (actor.hex.distance(target.hex) > (stats.attackRange || 1)) {
-            this.eventBus.publish('combatLog', { message: "Target is out of range!", type: "warning" });
+    }
+
+    resolveAttackAction(actor, details) {
+        if (!actor || !details?.targetId) return false;
+        const target = this.getEntity(details.targetId);
+        const plan = RulesCore.planAttack(this, actor, target);
+        if (!plan.ok) {
+            this.eventBus.publish('combatLog', { message: plan.reason, type: 'warning' });
             return false;
         }
-
-        if (actor.type === 'player') stats.spendActionPoints(this.CONFIG.actions.attackCost);
-        const damage = stats.attackPower || 5;
-        target.getComponent('stats').takeDamage(damage);
-        this.eventBus.publish('combatLog', { message: `${actor.name} attacks ${target.name} for ${damage} damage!`, type: "info" });
+        this._performAttack(actor, target, plan.steps[0]);
         return true;
     }
 
     async resolveMoveAction(actor, details) {
         if (!actor || !details?.targetTile) return false;
-        const targetTile = this.gameMap.getTile(details.targetTile.q, details.targetTile.r);
-        if (!targetTile) return false;
+        return await this._executePlan(actor, RulesCore.planMove(this, actor, details.targetTile));
+    }
 
-        const movementComp = actor.getComponent('movement');
-        const path = this._findPath(actor, targetTile);
-        const stats = actor.getComponent('stats');
-        const maxMovement = movementComp?.getEffectiveMovementRange() || 0;
-        
-        if (!path || (path.length - 1) > maxMovement) {
-            this.eventBus.publish('combatLog', { message: "Cannot move there.", type: 'warning' });
-            return false;
+    /**
+     * Applies a planned basic attack.
+     * @private
+     */
+    _performAttack(actor, target, step) {
+        if (!target) return;
+        if (step.apCost > 0) actor.getComponent('stats').spendActionPoints(step.apCost);
+        const result = this.resolveHit(actor, target, RulesCore.getBasicAttack(this, actor));
+        if (!result.hit) {
+            this.eventBus.publish('combatLog', { message: `${actor.name} attacks ${target.name} and misses!`, type: "info" });
+            return;
         }
+        const critText = result.crit ? ' Critical hit!' : '';
+        this.eventBus.publish('combatLog', { message: `${actor.name} attacks ${target.name} for ${result.damage} damage!${critText}`, type: "info" });
+    }
 
-        const moveCost = this.CONFIG.actions.moveCost * (path.length - 1);
-        if (actor.type === 'player' && !stats.canAfford(moveCost)) {
-            this.eventBus.publish('combatLog', { message: "Not enough AP to move!", type: "warning" });
-            return false;
-        }
+    /**
+     * Walks a planned path. Automatic interactions on the final tile fire from 'moveCompleted'.
+     * @private
+     */
+    async _performMove(actor, step) {
+        const { path, apCost } = step;
+        const stats = actor.getComponent('stats');
+        const movementComp = actor.getComponent('movement');
+        const targetTile = path[path.length - 1];
 
         if (movementComp) {
             const movePromise = movementComp.moveTo(path);
-            if (actor.type === 'player') stats.spendActionPoints(moveCost);
+            if (apCost > 0) stats.spendActionPoints(apCost);
             await movePromise;
         } else {
             // Fallback if no MovementComponent, just update hex directly
             const oldHex = actor.hex;
             actor.hex = targetTile;
             actor.getComponent('renderable')?.updatePosition();
-            if (actor.type === 'player') stats.spendActionPoints(moveCost);
+            if (apCost > 0) stats.spendActionPoints(apCost);
             // Manually publish moveCompleted since no animation promise was awaited.
             // This is crucial for triggering automatic interactions like traps or portals.
             this.eventBus.publish('moveCompleted', { entityId: actor.id, finalHex: targetTile, initialHex: oldHex });
         }
-        
-        return true;
     }
 
     /**
@@ -685,21 +904,13 @@ export default class Game {
         }
         console.log(`[AutoInteract] Checking tile (${tile.q}, ${tile.r}) for interactions for ${entity.name}.`);
 
-        const entitiesOnTile = this.gameMap.getEntitiesAt(tile.q, tile.r);
-        console.log(`[AutoInteract] Found ${entitiesOnTile.length} entities on tile:`, entitiesOnTile.map(e => e.name));
-
-        for (const otherEntity of entitiesOnTile) {
-            if (otherEntity.id === entity.id) continue; // Don't interact with self
-
-            // Check for traps
-            if (otherEntity.hasComponent('trap')) {
+        for (const interaction of RulesCore.getAutoInteractions(this, entity, tile)) {
+            const otherEntity = interaction.entity;
+            if (interaction.type === 'trap') {
                 console.log(`[AutoInteract] Found trap '${otherEntity.name}'. Activating.`);
                 otherEntity.getComponent('trap').activate(entity);
-            }
-
-            // Check for portals
-            // This triggers the map transition automatically when the player lands on the portal tile.
-            if (otherEntity.hasComponent('portal') && entity.type === 'player') {
+            } else if (interaction.type === 'portal') {
+                // This triggers the map transition automatically when the player lands on the portal tile.
                 console.log(`[AutoInteract] Found portal '${otherEntity.name}'. Interacting.`);
                 otherEntity.getComponent('portal').interact(entity);
             }
@@ -707,71 +918,20 @@ export default class Game {
     }
 
     _findPath(actor, endTile) {
-        if (!actor || !actor.hex || !endTile) return null; // Prevent crash if actor has no position
-
-        this.gameMap.resetPathfindingData();
-        const openSet = new Set([actor.hex]);
-        actor.hex.gScore = 0;
-        actor.hex.fScore = actor.hex.distance(endTile);
-
-        while (openSet.size > 0) {
-            let current = [...openSet].reduce((a, b) => a.fScore < b.fScore ? a : b);
-
-            if (current.equals(endTile)) return this._reconstructPath(current);
-
-            openSet.delete(current);
-
-            for (const neighbor of this.gameMap.getWalkableNeighbors(current)) {
-                // The getWalkableNeighbors method already ensures we can move here.
-                // The redundant check that was here was buggy and has been removed.
-
-                const tentativeGScore = current.gScore + 1;
-                if (tentativeGScore < neighbor.gScore) {
-                    neighbor.cameFrom = current;
-                    neighbor.gScore = tentativeGScore;
-                    neighbor.fScore = neighbor.gScore + neighbor.distance(endTile);
-                    if (!openSet.has(neighbor)) openSet.add(neighbor);
-                }
-            }
-        }
-        return null;
+        return RulesCore.findPath(this, actor, endTile);
     }
 
-    _reconstructPath(currentTile) {
-        const totalPath = [currentTile];
-        while (currentTile.cameFrom) {
-            totalPath.unshift(currentTile.cameFrom);
-            currentTile = currentTile.cameFrom;
-        }
-        return totalPath;
+    _findPathToAdjacent(actor, targetEntityHex, maxMoveRange) {
+        return RulesCore.findPathToAdjacent(this, actor, targetEntityHex, maxMoveRange);
     }
 
-    _findPathToAdjacent(playerEntity, targetEntityHex, maxMoveRange) {
-        const neighborsOfTarget = this.gameMap.getRawNeighbors(targetEntityHex).filter(n => n && !n.isObstacle);
-        let bestPath = null, shortestPathLength = Infinity, bestTargetTileForMove = null;
+    // --- RulesCore world interface ---
 
-        for (const adjacentHex of neighborsOfTarget) {
-            // Correctly check if the adjacent hex is blocked by an entity that blocks movement
-            const entitiesOnAdjacent = this.gameMap.getEntitiesAt(adjacentHex.q, adjacentHex.r);
-            const isBlockedByOtherEntity = entitiesOnAdjacent.some(e => e.blocksMovement && e.id !== playerEntity.id);
-
-            if (isBlockedByOtherEntity) {
-                // If the tile is blocked by another entity, we cannot move there.
-                continue;
-            }
-            
-            const path = this._findPath(playerEntity, adjacentHex);
-            if (path) {
-                const currentPathLength = path.length - 1;
-                if (currentPathLength <= maxMoveRange && currentPathLength < shortestPathLength) {
-                    shortestPathLength = currentPathLength;
-                    bestPath = path;
-                    bestTargetTileForMove = adjacentHex;
-                }
-            }
-        }
-        return { path: bestPath, targetTile: bestTargetTileForMove, pathLength: shortestPathLength };
-    }
+    getConfig() { return this.CONFIG; }
+    getTile(q, r) { return this.gameMap?.getTile(q, r) || null; }
+    getEntitiesAt(q, r) { return this.gameMap?.getEntitiesAt(q, r) || []; }
+    getPlayer() { return this.player; }
+    isTileExplored(tile) { return this.gameMap.isTileExplored(tile); }
 
     getEntity(entityId) {
         if (this.player?.id === entityId) return this.player;
@@ -812,25 +972,38 @@ export default class Game {
         this.gameState.setGameOver(true);
         // The gameOver event is now published synchronously to prevent race conditions
         // with the turn-end logic. The previous 'setTimeout' was causing an infinite loop.
+        // The score is the XP earned this run; a returning character brings the XP of earlier runs along.
+        const startingXp = this.characterData?.baseStats?.xp || 0;
         this.eventBus.publish('gameOver', {
             message: message,
-            score: this.player?.getComponent('stats')?.xp || 0,
+            score: (this.player?.getComponent('stats')?.xp || 0) - startingXp,
             characterData: this.characterData
         });
     }
 
-    endPlayerTurn() {
+    /**
+     * Hands the turn to the enemies and waits for their phase to finish.
+     * The IntentSystem starts the next round once every enemy has acted.
+     */
+    async endPlayerTurn() {
         if (this.gameState.currentTurn !== 'player' || this.gameState.isGameOver) return;
         this.gameState.currentTurn = 'enemies';
+        // The player's end-of-turn status ticks may end the game before the enemies get to act.
         this.eventBus.publish('playerTurnEnded');
+        if (this.gameState.isGameOver) return;
+        this.eventBus.publish('turnStarted', {
+            turnNumber: this.gameState.turnNumber,
+            currentTurn: this.gameState.currentTurn
+        });
+        await this.intentSystem?.executeStoredIntents();
     }
 
-    checkPlayerTurnConditions() {
+    async checkPlayerTurnConditions() {
         if (this.gameState.isGameOver) return; // Explicitly stop if game is already over.
         if (!this.player?.getComponent('stats')?.isAlive()) {
             this.handleGameOver("Player has been defeated!");
-        } else if (this.player?.getComponent('stats')?.getCurrentAP() <= 0) {
-            this.endPlayerTurn();
+        } else if (this.player?.getComponent('stats')?.getCurrentAP() <= 0 && !this.gameState.isTransitioning) {
+            await this.endPlayerTurn();
         }
     }
 
@@ -30,6 +30,13 @@ export class GameState {
          * @type {number}
          */
         this.turnNumber = 1;
+
+        /**
+         * True while the player is on the way to another map. The current turn is not ended
+         * meanwhile; the new map starts with a fresh player turn.
+         * @type {boolean}
+         */
+        this.isTransitioning = false;
     }
 
     /**
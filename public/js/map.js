@@ -1,4 +1,5 @@
 import { Tile } from './tile.js';
+import RulesCore from './rules.js';
 
 /**
  * Manages the game's grid, tiles, and the entities upon them.
@@ -60,16 +61,7 @@ class GameMap {
      * @returns {boolean} True if the line of sight is clear, false otherwise.
      */
     hasLineOfSight(startHex, endHex) {
-        if (!startHex || !endHex) return false;
-        if (startHex.equals(endHex)) return true;
-
-        const lineOfHexes = Tile.line(startHex, endHex);
-        // Check all tiles on the line, except for the start and end tiles themselves.
-        for (let i = 1; i < lineOfHexes.length - 1; i++) {
-            const tile = this.getTile(lineOfHexes[i].q, lineOfHexes[i].r);
-            if (tile && tile.isObstacle) return false; // Blocked by an obstacle
-        }
-        return true; // No obstacles found
+        return RulesCore.hasLineOfSight(this, startHex, endHex);
     }
 
     // --- THIS IS THE NEW METHOD ---
@@ -123,7 +115,7 @@ class GameMap {
         for (let q = 0; q < gridSize.x; q++) {
             this.tiles[q] = [];
             for (let r = 0; r < gridSize.y; r++) {
-                if ((q + r >= 5 && q + r <= 17)) {
+                if (RulesCore.isInGrid(q, r, gridSize)) {
                     const tile = new Tile(q, r, -q - r);
                     this.tiles[q][r] = tile;
                 } else {
@@ -157,7 +149,7 @@ class GameMap {
         for (const entity of entities) {
             this.entities.set(entity.id, entity);
             // A more robust way to identify the player is by its component.
-            if (entity.hasComponent('PlayerInputComponent')) {
+            if (entity.hasComponent('playerInput')) {
                 this.player = entity;
             }
         }
@@ -167,24 +159,23 @@ class GameMap {
     getAllTiles() { return this.tiles.flat().filter(tile => tile !== null); }
     getEnemies() {
         // Enemies are entities that have AI-driven behavior.
-        return [...this.entities.values()].filter(e => e.hasComponent('BehaviorComponent'));
+        return [...this.entities.values()].filter(e => e.hasComponent('behavior'));
     }
     getWalkableNeighbors(tile) {
-        const neighbors = [];
-        if (!tile) return neighbors;
-        for (const dir of Tile.directions) {
-            const neighborTile = this.getTile(tile.q + dir.q, tile.r + dir.r);
-            if (neighborTile && !neighborTile.isObstacle && neighborTile.visibility !== 'hidden') {
-                // Check if the neighbor tile is occupied by an entity that blocks movement
-                const entitiesOnNeighbor = this.getEntitiesAt(neighborTile.q, neighborTile.r);
-                const isBlockedByEntity = entitiesOnNeighbor.some(e => e.blocksMovement);
-                if (!isBlockedByEntity) {
-                    neighbors.push(neighborTile);
-                }
-            }
-        }
-        return neighbors;
+        return RulesCore.getWalkableNeighbors(this, tile);
     }
+
+    /**
+     * Whether a tile has been uncovered from the fog of war. Unexplored tiles cannot be walked on.
+     * @param {Tile} tile
+     * @returns {boolean}
+     */
+    isTileExplored(tile) {
+        return tile.visibility !== 'hidden';
+    }
+
+    getPlayer() { return this.player; }
+
     /**
      * Returns a single entity at a given location, prioritizing non-blocking entities
      * or the player if multiple exist. This is useful for targeting.
@@ -194,10 +185,9 @@ class GameMap {
      * @returns {Entity|null}
      */
     getEntityAt(q, r) { // This method is primarily for targeting/interaction
-        const entitiesOnTile = this.getEntitiesAt(q, r);
         // Prioritize entities that block movement, then the player, then any other.
         // This ensures that if you click on a tile with an enemy, you target the enemy.
-        return entitiesOnTile.find(e => e.blocksMovement) || entitiesOnTile.find(e => e === this.player) || entitiesOnTile[0] || null;
+        return RulesCore.getEntityAt(this, q, r);
     }
 
     /**
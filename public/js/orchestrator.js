@@ -8,7 +8,9 @@ import TargetPreviewSystem from './systems/targetPreviewSystem.js';
 import DetectionSystem from './systems/detectionSystem.js';
 import IntentSystem from './systems/intentSystem.js';
 import PlayerHUD from './ui/playerHUD.js';
-import { startNewGame, getGameConfig, submitReplay, getPlayerData, updatePlayerState } from './apiService.js';
+import { startNewGame, getGameConfig, submitReplay, getPlayerData } from './apiService.js';
+import { createReplayBundle, downloadReplayBundle } from './replayBundle.js';
+import ReplayFormat from './replayFormat.js';
 
 /**
  * Orchestrates the initialization sequence of the game.
@@ -29,6 +31,8 @@ export class LiveGameOrchestrator {
         this.config = null; // Will hold the merged game configuration
         this.replayLog = [];
         this.sessionId = null;
+        /** @type {object|null} How the run started (seed, map, character), for exporting the replay. */
+        this.runStart = null;
 
         this.bindEventHandlers();
     }
@@ -36,7 +40,9 @@ export class LiveGameOrchestrator {
     bindEventHandlers() {
         this.eventBus.subscribe('gameOver', this.handleGameOver.bind(this));
         this.eventBus.subscribe('returnToMainMenu', this.handleReturnToMainMenu.bind(this));
-        this.eventBus.subscribe('entityAction', this.handleEntityAction.bind(this));
+        this.eventBus.subscribe('replayDownloadRequested', this.handleReplayDownloadRequested.bind(this));
+        this.eventBus.subscribe('entityActionResolved', this.handleEntityActionResolved.bind(this));
+        this.eventBus.subscribe('playerEndTurn', this.handlePlayerEndTurn.bind(this));
     }
 
     /**
@@ -65,15 +71,32 @@ export class LiveGameOrchestrator {
         return serializable;
     }
 
-    handleEntityAction(payload) {
+    /**
+     * Logs a player action once the Game has resolved it. Rejected actions (out of range,
+     * not enough AP, clicks during an animation) changed nothing, so they are not recorded;
+     * the server treats every logged action as one that must be legal.
+     * @param {{action: object, success: boolean}} payload
+     */
+    handleEntityActionResolved({ action, success }) {
         // Only log actions performed by the player.
-        if (this.gameInstance?.player?.id === payload.sourceId) {
-            const serializablePayload = this._serializeActionPayload(payload);
+        if (success && this.gameInstance?.player?.id === action.sourceId) {
+            const serializablePayload = this._serializeActionPayload(action);
             this.replayLog.push(serializablePayload);
             console.log('[LiveGameOrchestrator] Player action logged for replay.', serializablePayload);
         }
     }
 
+    /**
+     * Records a manual end of turn as a turn boundary in the replay log.
+     * Turns that end automatically because AP ran out are not logged; the server detects those itself.
+     */
+    handlePlayerEndTurn() {
+        const game = this.gameInstance;
+        if (!game?.player || game.gameState.currentTurn !== 'player' || game.gameState.isGameOver) return;
+        this.replayLog.push({ type: 'playerEndTurn', sourceId: game.player.id, details: {} });
+        console.log('[LiveGameOrchestrator] End of turn logged for replay.');
+    }
+
     async handleGameOver(payload = {}) {
         console.log("[LiveGameOrchestrator] Game Over event received:", payload.message);
         const playerName = payload.characterData?.name || "Anonymous Hero";
@@ -82,18 +105,40 @@ export class LiveGameOrchestrator {
         if (this.sessionId && this.replayLog.length > 0) {
             try {
                 console.log("[LiveGameOrchestrator] Submitting replay for validation...");
-                // The client no longer sends its final state. The server calculates it from the replay.
-                const validationResult = await submitReplay(this.sessionId, this.replayLog, playerName);
+                // The client no longer sends its final state. The server calculates it from the replay,
+                // and saves the character's progression from it if the run is verified.
+                const envelope = ReplayFormat.createEnvelope(this.replayLog, {
+                    configVersion: this.config?.version ?? null,
+                    mapId: this.runStart?.mapId ?? null
+                });
+                const validationResult = await submitReplay(this.sessionId, envelope, playerName);
                 console.log("[LiveGameOrchestrator] Replay validation result:", validationResult);
+                if (validationResult && validationResult.verified === false) {
+                    console.warn(`[LiveGameOrchestrator] Server rejected the replay at action ${validationResult.report?.failedActionIndex}: ${validationResult.report?.reason}`);
+                }
             } catch (error) {
                 console.error("[LiveGameOrchestrator] Failed to submit replay:", error);
             }
         } else {
             console.log("[LiveGameOrchestrator] No replay data to submit.");
         }
+    }
 
-        // Player state saving is now handled entirely by the server upon replay validation.
-        // The client's responsibility ends here.
+    /**
+     * Downloads the run so far as a replay bundle the replay viewer can open from disk.
+     */
+    handleReplayDownloadRequested() {
+        if (!this.runStart) {
+            console.warn("[LiveGameOrchestrator] No run has started; there is no replay to download.");
+            return;
+        }
+        const bundle = createReplayBundle({
+            ...this.runStart,
+            replayLog: this.replayLog,
+            configVersion: this.config?.version ?? null
+        });
+        downloadReplayBundle(bundle);
+        console.log(`[LiveGameOrchestrator] Replay exported with ${this.replayLog.length} actions.`);
     }
 
     handleReturnToMainMenu() {
@@ -280,6 +325,14 @@ export class LiveGameOrchestrator {
             seed: authoritativeSession.seed, 
             mapTemplate: authoritativeSession.mapTemplate 
         };
+        // Copied now, before the game starts changing the character, so an exported replay starts from here.
+        this.runStart = JSON.parse(JSON.stringify({
+            sessionId: sessionData.sessionId,
+            seed: sessionData.seed,
+            mapId: authoritativeSession.mapId,
+            mapTemplate: sessionData.mapTemplate,
+            initialCharacterData: characterData
+        }));
 
         // 8. Create Game instance directly here, now with server-authoritative session data.
         this.gameInstance = new Game(
@@ -0,0 +1,84 @@
+/**
+ * @file replayBundle.js
+ * @description Saving a run's replay to a JSON file and reading it back, so an exact reproduction
+ * can be attached to a bug report and opened in the replay viewer without the backend's copy.
+ */
+import ReplayFormat from './replayFormat.js';
+
+/** Identifies a file as an Aetherborne replay bundle. */
+export const REPLAY_BUNDLE_FORMAT = 'aetherborne-replay';
+
+/** The fields a bundle must contain for the viewer to play it. */
+const REQUIRED_FIELDS = ['seed', 'mapTemplate', 'initialCharacterData', 'replayLog'];
+
+/**
+ * Assembles a replay bundle: everything needed to play a run again from its first action.
+ * @param {object} run
+ * @param {string} [run.sessionId]
+ * @param {number|string} run.seed - The session's RNG seed.
+ * @param {string} [run.mapId] - The map the run started on.
+ * @param {object} run.mapTemplate - The starting map's template, as the server sent it.
+ * @param {object} run.initialCharacterData - The character as it was when the run started.
+ * @param {Array<object>} run.replayLog - The logged player actions.
+ * @param {string|null} [run.configVersion] - The backend version that served the game config.
+ * @returns {object} The bundle, ready for JSON.stringify.
+ */
+export function createReplayBundle({ sessionId = null, seed, mapId = null, mapTemplate, initialCharacterData, replayLog, configVersion = null }) {
+    return {
+        format: REPLAY_BUNDLE_FORMAT,
+        exportedAt: new Date().toISOString(),
+        configVersion,
+        sessionId,
+        seed,
+        mapId,
+        mapTemplate,
+        initialCharacterData,
+        replayLog
+    };
+}
+
+/**
+ * Offers the bundle to the user as a .json download.
+ * @param {object} bundle - A bundle from createReplayBundle.
+ */
+export function downloadReplayBundle(bundle) {
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `aetherborne-replay-${bundle.sessionId || 'local'}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before the URL is revoked.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Reads and checks a replay bundle chosen by the user.
+ * @param {File} file - The file from an <input type="file">.
+ * @returns {Promise<object>} The bundle, in the shape the replay viewer loads.
+ * @throws {Error} If the file is not valid JSON or is not a replay bundle.
+ */
+export async function readReplayBundleFile(file) {
+    let bundle;
+    try {
+        bundle = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error(`'${file.name}' is not a valid JSON file.`);
+    }
+    if (!bundle || bundle.format !== REPLAY_BUNDLE_FORMAT) {
+        throw new Error(`'${file.name}' is not an Aetherborne replay file.`);
+    }
+    const missing = REQUIRED_FIELDS.filter(field => bundle[field] === undefined || bundle[field] === null);
+    if (missing.length > 0) {
+        throw new Error(`'${file.name}' is missing: ${missing.join(', ')}.`);
+    }
+    try {
+        // Accept the log as an action list or as a replay envelope of any known version.
+        bundle.replayLog = ReplayFormat.migrate(bundle.replayLog).actions;
+    } catch (error) {
+        throw new Error(`'${file.name}' has an unreadable replay log: ${error.message}`);
+    }
+    return bundle;
+}
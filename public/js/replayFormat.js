@@ -0,0 +1,11 @@
+/**
+ * @file replayFormat.js
+ * @description ES module entry point for the shared replay envelope.
+ * Like rules.js, importing the plain script (shared/replayFormat.js) registers the ReplayFormat
+ * global, which is re-exported here.
+ */
+import './shared/replayFormat.js';
+
+const ReplayFormat = globalThis.ReplayFormat;
+
+export default ReplayFormat;
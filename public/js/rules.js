@@ -0,0 +1,11 @@
+/**
+ * @file rules.js
+ * @description ES module entry point for the shared rules core.
+ * The core itself is a plain script (see shared/rulesCore.js) so the Apps Script server can load
+ * the very same file; importing it here registers the RulesCore global, which is re-exported.
+ */
+import './shared/rulesCore.js';
+
+const RulesCore = globalThis.RulesCore;
+
+export default RulesCore;
@@ -0,0 +1,11 @@
+/**
+ * @file rulesConfig.js
+ * @description ES module entry point for the shared rule tables.
+ * Like rules.js, importing the plain script (shared/rulesConfig.js) registers the RulesConfig
+ * global, which is re-exported here.
+ */
+import './shared/rulesConfig.js';
+
+const RulesConfig = globalThis.RulesConfig;
+
+export default RulesConfig;
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview The replay envelope shared by the browser and the Apps Script backend.
+ *
+ * A replay is stored as an envelope around its action log:
+ *   {
+ *     replayVersion: 2,          // the envelope format, see CURRENT_VERSION
+ *     configVersion: "1.2.0",    // SCRIPT_VERSION of the rules and config the run was verified under
+ *     mapId: "prologue_map_1",   // the map the run started on
+ *     mapTemplate: { ... },      // that map's template as it was when the run was played
+ *     actions: [ ... ]           // the logged player actions (see LiveGameOrchestrator._serializeActionPayload)
+ *   }
+ *
+ * Older replays are brought up to date by migrate(), which runs every migration from the replay's
+ * version to CURRENT_VERSION in order. When the format changes, bump CURRENT_VERSION and add a
+ * migration from the previous version; never edit an existing one, as stored replays depend on it.
+ *
+ * Like rulesCore.js this is a plain script without import/export statements, so the Apps Script
+ * project can include the same file; there ReplayFormat becomes a global. Browser modules import
+ * it through public/js/replayFormat.js.
+ */
+const ReplayFormat = (function () {
+    'use strict';
+
+    /** The envelope version written by createEnvelope(). */
+    const CURRENT_VERSION = 2;
+
+    /**
+     * Migrations keyed by the version they upgrade from. Each takes an envelope of that version
+     * and returns one of the next version.
+     */
+    const MIGRATIONS = {
+        /**
+         * Version 1 is the bare action array PlayerReplays held before replays were versioned.
+         * It recorded neither the config version nor the map template; both are left null, and
+         * readers fall back to the current config's template for the session's map.
+         */
+        1: (actions) => ({
+            replayVersion: 2,
+            configVersion: null,
+            mapId: null,
+            mapTemplate: null,
+            actions
+        })
+    };
+
+    /**
+     * Wraps an action log in a current-version envelope.
+     * @param {Array<object>} actions - The logged player actions.
+     * @param {object} [details]
+     * @param {string|null} [details.configVersion] - The SCRIPT_VERSION the run was played or verified under.
+     * @param {string|null} [details.mapId] - The map the run started on.
+     * @param {object|null} [details.mapTemplate] - That map's template.
+     * @returns {object}
+     */
+    function createEnvelope(actions, { configVersion = null, mapId = null, mapTemplate = null } = {}) {
+        return { replayVersion: CURRENT_VERSION, configVersion, mapId, mapTemplate, actions };
+    }
+
+    /**
+     * @param {*} stored - A replay as stored or submitted: an envelope or a bare action array.
+     * @returns {number} Its envelope version.
+     */
+    function getVersion(stored) {
+        if (Array.isArray(stored)) return 1;
+        if (stored && typeof stored === 'object' && Number.isInteger(stored.replayVersion)) return stored.replayVersion;
+        throw new Error('Not a replay: expected an action list or a replay envelope.');
+    }
+
+    /**
+     * Brings a replay of any known version up to CURRENT_VERSION. The input is not modified.
+     * @param {*} stored - An envelope or a bare action array.
+     * @returns {object} A current-version envelope.
+     * @throws {Error} If the replay is malformed or newer than this code understands.
+     */
+    function migrate(stored) {
+        let version = getVersion(stored);
+        if (version > CURRENT_VERSION) {
+            throw new Error(`Replay format version ${version} is newer than the supported version ${CURRENT_VERSION}.`);
+        }
+        let replay = JSON.parse(JSON.stringify(stored));
+        while (version < CURRENT_VERSION) {
+            const step = MIGRATIONS[version];
+            if (!step) throw new Error(`No migration from replay format version ${version}.`);
+            replay = step(replay);
+            version = replay.replayVersion;
+        }
+        if (!Array.isArray(replay.actions)) {
+            throw new Error('Replay envelope has no action list.');
+        }
+        return replay;
+    }
+
+    return {
+        CURRENT_VERSION,
+        createEnvelope,
+        getVersion,
+        migrate
+    };
+})();
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.ReplayFormat = ReplayFormat;
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview The rule tables the browser and the Apps Script backend must both play by: enemy
+ * behaviours, combat formulas, damage type categories and level progression.
+ *
+ * The client's CONFIG (public/js/config.js) and the server's handleGetGameConfig both take these
+ * tables from here, so a replay is verified with exactly the numbers it was played with. Edit them
+ * here only, and bump SCRIPT_VERSION in game-engine.js when they change.
+ *
+ * Like rulesCore.js this is a plain script without import/export statements, so the Apps Script
+ * project can include the same file; there RulesConfig becomes a global. Browser modules import
+ * it through public/js/rulesConfig.js.
+ */
+const RulesConfig = (function () {
+    'use strict';
+
+    /** Each behaviour's rules, tried in order; the first whose conditions hold is acted on. */
+    const aiBehaviors = {
+        basicMelee: {
+            rules: [
+                { action: 'attack', cost: 1, conditions: [{ type: 'inAttackRange' }] },
+                { action: 'moveToTarget', cost: 1, conditions: [] }
+            ]
+        }
+    };
+
+    const combatFormulas = {
+        base: { accuracyPhysical: 75, accuracyMagical: 70, evasion: 5, damagePhysical: 5, damageMagical: 8, defensePhysical: 2, defenseMagical: 2, critChancePhysical: 5, critChanceMagical: 5, resiliencePhysical: 5, resilienceMagical: 5 },
+        factors: { accuracyInstinctFactor: 1.5, accuracyBodyFactor: 0.5, accuracyMindFactor: 1.5, accuracyInstinctMagicFactor: 0.75, distanceFactorPhysical: 2, distanceFactorMagical: 1, evasionInstinctFactor: 2, bodyPhysDamageFactor: 1, instinctPhysDamageFactor: 0.5, mindMagDamageFactor: 1.2, defenseBodyFactor: 1, defenseInstinctPhysFactor: 0.5, defenseMindFactor: 1, defenseInstinctMagFactor: 0.5, critInstinctFactor: 1, critMindFactor: 1, critDamageMultiplier: 1.5, resilienceBodyFactor: 1, resilienceInstinctFactor: 1, resilienceMindFactor: 1, resilienceInstinctMagFactor: 0.75 },
+        settings: { minimumDamage: 1, maxAccuracy: 95, minAccuracy: 5, maxEvasion: 75, maxCritChance: 50, minCritChance: 0, maxResilience: 75, maxResistance: 75 }
+    };
+
+    /** Each damage type's category. Resistances and vulnerabilities can name a type or a whole category. */
+    const damageTypes = {
+        physical: { category: 'physical' },
+        arcane: { category: 'magical' },
+        shadow: { category: 'magical' },
+        fire: { category: 'elemental' },
+        cold: { category: 'elemental' },
+        lightning: { category: 'elemental' },
+        poison: { category: 'elemental' }
+    };
+
+    /** levelXp[n] is the total XP needed for level n + 1; the last entry is the level cap. */
+    const progression = {
+        levelXp: [0, 20, 50, 100, 175, 275, 400, 550, 750, 1000],
+        attributePointsPerLevel: 2
+    };
+
+    return {
+        aiBehaviors,
+        combatFormulas,
+        damageTypes,
+        progression
+    };
+})();
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.RulesConfig = RulesConfig;
+}
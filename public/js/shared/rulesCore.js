@@ -0,0 +1,2041 @@
+/**
+ * @fileoverview The headless rules core shared by the browser Game and the server GameEngine.
+ *
+ * Everything in this file is DOM-free and deterministic: given the same state, config and RNG
+ * it makes the same decisions in both places, so a replay resolves identically in the browser
+ * and during server validation, and a rule change only has to be made once.
+ *
+ * The core decides; the hosts present. Rule functions answer questions ("where can this actor
+ * walk?", "is this attack legal and what does it cost?") and return plans made of primitive
+ * steps. The host (Game on the client, GameEngine on the server) executes those steps, mutating
+ * its own entities, animating and publishing events as it sees fit.
+ *
+ * This file is deliberately a plain script without import/export statements so the same source
+ * can be added to the Apps Script project next to game-engine.js, where RulesCore becomes a
+ * global. Browser modules import it through public/js/rules.js.
+ *
+ * Hosts pass a "world" object implementing:
+ *   getConfig()          -> the merged game config (actions, skills, player defaults, ...)
+ *   getTile(q, r)        -> the tile at (q, r) ({ q, r, isObstacle }) or null
+ *   getEntitiesAt(q, r)  -> the entities on that tile, sorted by zIndex
+ *   getPlayer()          -> the player entity
+ *   isTileExplored(tile) -> false while the tile is still hidden by fog of war
+ *   rng()                -> the session's seeded RNG (see createSeededRNG); combat rolls draw from it
+ *
+ * Entities are read through their `components` map (keyed by component name, exactly like
+ * Entity on the client) plus `id`, `type`, `name`, `hex`, `blocksMovement`, `isConcealed` and `zIndex`.
+ */
+const RulesCore = (function () {
+    'use strict';
+
+    /** Axial directions in the same order as Tile.directions. Neighbour order decides pathfinding ties. */
+    const DIRECTIONS = [{ q: 1, r: 0 }, { q: 1, r: -1 }, { q: 0, r: -1 }, { q: -1, r: 0 }, { q: -1, r: 1 }, { q: 0, r: 1 }];
+
+    /** The order map entities are spawned in. Entity IDs come from the seeded RNG, so this order is part of the rules. */
+    const SPAWN_ORDER = ['enemies', 'traps', 'campfires', 'portals'];
+
+    const DEFAULT_ACTION_COSTS = { moveCost: 1, attackCost: 1 };
+    const DEFAULT_PLAYER_STATS = {
+        baseLife: 50, baseActionPoints: 3, baseManaPoints: 20,
+        lifePerBodyPoint: 5, manaPerMindPoint: 2, instinctForAPBonus: 5
+    };
+    const DEFAULT_ATTACK_DAMAGE = 5;
+    const DEFAULT_KILL_XP = 10;
+    const DAMAGE_CATEGORIES = ['physical', 'magical', 'elemental'];
+
+    // --- Determinism ---
+
+    /**
+     * Creates a seeded pseudo-random number generator (PRNG) using the Mulberry32 algorithm.
+     * @param {string} seed - The string to use as the seed.
+     * The function also has getState() and setState(state), which save and restore its position in
+     * the sequence (a replay viewer rewinds the game this way).
+     * @returns {function(): number} A function returning the next unsigned 32-bit integer in the sequence.
+     */
+    function createSeededRNG(seed) {
+        seed = String(seed || 'default_seed');
+        let h = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+            h = h << 13 | h >>> 19;
+        }
+        const rng = function () {
+            h = Math.imul(h ^ h >>> 16, 2246822507);
+            h = Math.imul(h ^ h >>> 13, 3266489909);
+            return (h ^= h >>> 16) >>> 0;
+        };
+        rng.getState = () => h;
+        rng.setState = (state) => { h = state | 0; };
+        return rng;
+    }
+
+    /**
+     * Generates a UUID-like string from a seeded PRNG, so entity IDs are identical across replays.
+     * @param {function(): number} rng - The seeded PRNG function.
+     * @returns {string} A new deterministically generated UUID.
+     */
+    function generateDeterministicUUID(rng) {
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+            const r = (rng() % 16) | 0;
+            const v = c === 'x' ? r : (r & 0x3 | 0x8);
+            return v.toString(16);
+        });
+    }
+
+    // --- Hex geometry ---
+
+    function hexDistance(a, b) {
+        return (Math.abs(a.q - b.q) + Math.abs(a.q + a.r - b.q - b.r) + Math.abs(a.r - b.r)) / 2;
+    }
+
+    function hexEquals(a, b) {
+        return !!a && !!b && a.q === b.q && a.r === b.r;
+    }
+
+    /** Cube rounding, identical to Tile.round(). */
+    function roundHex(q, r, s) {
+        let qi = Math.round(q);
+        let ri = Math.round(r);
+        let si = Math.round(s);
+        const qDiff = Math.abs(qi - q);
+        const rDiff = Math.abs(ri - r);
+        const sDiff = Math.abs(si - s);
+        if (qDiff > rDiff && qDiff > sDiff) {
+            qi = -ri - si;
+        } else if (rDiff > sDiff) {
+            ri = -qi - si;
+        }
+        return { q: qi, r: ri };
+    }
+
+    /**
+     * The hexes on the line between two hexes, computed exactly like Tile.line() so both sides
+     * agree on line of sight.
+     * @returns {{q: number, r: number}[]}
+     */
+    function hexLine(a, b) {
+        const n = hexDistance(a, b);
+        if (n === 0) return [{ q: a.q, r: a.r }];
+        const as = -a.q - a.r;
+        const bs = -b.q - b.r;
+        const line = [];
+        for (let i = 0; i <= n; i++) {
+            const t = i / n;
+            line.push(roundHex(a.q * (1 - t) + b.q * t, a.r * (1 - t) + b.r * t, as * (1 - t) + bs * t));
+        }
+        return line;
+    }
+
+    /** Whether (q, r) is part of the playable hex grid (mirrors GameMap._createGrid). */
+    function isInGrid(q, r, gridSize) {
+        return q >= 0 && r >= 0 && q < gridSize.x && r < gridSize.y && q + r >= 5 && q + r <= 17;
+    }
+
+    // --- Entities and config ---
+
+    function getComponent(entity, name) {
+        return (entity && entity.components && entity.components[name]) || null;
+    }
+
+    function isAlive(entity) {
+        const stats = getComponent(entity, 'stats');
+        return !!stats && stats.life > 0;
+    }
+
+    function getActionCosts(world) {
+        return Object.assign({}, DEFAULT_ACTION_COSTS, world.getConfig().actions || {});
+    }
+
+    /** Returns the blueprint for an entity type, falling back to the generic 'enemy' blueprint. */
+    function getBlueprint(config, type) {
+        const blueprints = config.entityBlueprints || {};
+        return blueprints[type] || blueprints.enemy || null;
+    }
+
+    /**
+     * Resolves the constructor arguments for a blueprint component.
+     * @param {object} compConfig - The component entry from the blueprint.
+     * @param {object} properties - Properties from the map file or character data.
+     * @returns {object} The resolved arguments.
+     */
+    function resolveComponentArgs(compConfig, properties) {
+        switch (compConfig.argsSource) {
+            case 'archetypeBaseStats':
+                // Combine baseStats with top-level properties like traits so stats receive everything they need.
+                return Object.assign({}, properties.baseStats || {}, { traits: properties.traits || [] });
+            case 'archetypeSkills':
+                // The archetype's skill tree decides what the entity can learn and upgrade on level-ups.
+                return { skillIds: properties.skills || [], skillRanks: properties.skillRanks || {}, skillTreeId: properties.archetypeId || null };
+            case 'entityProperties':
+                // A dataSourceKey selects a sub-object; otherwise components read top-level properties (e.g. nextMapId).
+                if (compConfig.dataSourceKey) {
+                    return properties[compConfig.dataSourceKey] || compConfig.args || {};
+                }
+                return properties;
+            default:
+                return compConfig.args || {};
+        }
+    }
+
+    /**
+     * Builds the initial stat block for an entity. StatsComponent adopts these fields on the client
+     * and the server engine stores them as-is, so both start every entity from the same numbers.
+     * Static trait bonuses (see applyTraitBonuses) are already included.
+     * @param {object} args - The resolved StatsComponent arguments.
+     * @param {object} [playerDefaults] - CONFIG.player, used for the fallbacks.
+     * @param {object} [traitConfigs] - config.traits, for traits given by ID rather than as full objects.
+     * @returns {object} The stat fields.
+     */
+    function createStats(args, playerDefaults, traitConfigs) {
+        const defaults = Object.assign({}, DEFAULT_PLAYER_STATS, playerDefaults || {});
+        const attributes = { body: args.body || 0, mind: args.mind || 0, instinct: args.instinct || 0 };
+        // hp, mp and ap are the maximums at the given attributes; the parts that do not come from
+        // attributes are kept, so the maximums follow later attribute changes (see getDerivedStats).
+        const shares = getAttributeShares(defaults, attributes);
+        // Points spent on level-ups come on top of the attributes the maximums above were given for.
+        const allocatedAttributes = { body: 0, mind: 0, instinct: 0 };
+        ATTRIBUTE_NAMES.forEach(attribute => {
+            allocatedAttributes[attribute] = Number((args.allocatedAttributes || {})[attribute]) || 0;
+            attributes[attribute] += allocatedAttributes[attribute];
+        });
+        const stats = {
+            attributes,
+            baseMaxLife: (args.hp || defaults.baseLife) - shares.maxLife,
+            baseMaxManaPoints: (args.mp || defaults.baseManaPoints) - shares.maxManaPoints,
+            baseMaxActionPoints: (args.ap || defaults.baseActionPoints) - shares.maxActionPoints,
+            attackPower: args.attackPower || defaults.baseAttackPower,
+            attackRange: args.attackRange,
+            defense: args.defense || 0,
+            magicAttack: args.magicAttack || 0,
+            magicDefense: args.magicDefense || 0,
+            attackDamageType: args.attackDamageType || 'physical',
+            // Percentages keyed by damage type ('fire') or category ('elemental'); see getDamageMultiplier.
+            resistances: Object.assign({}, args.resistances),
+            vulnerabilities: Object.assign({}, args.vulnerabilities),
+            accuracy: args.accuracy || 75,
+            evasion: args.evasion || 5,
+            critChance: args.critChance || 5,
+            critMultiplier: args.critMultiplier || 1.5,
+            // Added to the combat formulas' rolls; see getHitChances.
+            accuracyBonus: args.accuracyBonus || 0,
+            evasionBonus: args.evasionBonus || 0,
+            critChanceBonus: args.critChanceBonus || 0,
+            movementRange: args.movementRange || 3,
+            traits: (args.traits || []).slice(),
+            // Equipped items; each item's `effects` may hold stat modifiers (see getStatModifiers).
+            equipment: (args.equipment || []).slice(),
+            // Status tags (e.g. 'poison', 'debuff') this entity can never be given; see isImmuneToStatus.
+            immunities: (args.immunities || []).slice(),
+            xp: args.xp || 0,
+            level: args.level || 1,
+            allocatedAttributes,
+            // Skills learned on level-ups, beyond the archetype's own.
+            learnedSkills: (args.learnedSkills || []).slice()
+        };
+        applyTraitBonuses(stats, traitConfigs);
+        const maximums = getAttributeShares(defaults, stats.attributes);
+        for (const stat of Object.keys(DERIVED_MAXIMUMS)) {
+            const { resource, base } = DERIVED_MAXIMUMS[stat];
+            stats[stat] = Math.max(1, stats[base] + maximums[stat]);
+            stats[resource] = stats[stat];
+        }
+        return stats;
+    }
+
+    /**
+     * Builds the plain data of a rule-relevant component, with the same fields and defaults as the
+     * matching client component class. Used by hosts that have no component classes (the server).
+     * @param {object} compConfig - The blueprint component entry.
+     * @param {object} args - The resolved arguments.
+     * @param {object} config - The game config.
+     * @returns {object|null} The component data, or null for presentation-only components.
+     */
+    function createComponentData(compConfig, args, config) {
+        let data;
+        switch (compConfig.class) {
+            case 'StatsComponent':
+                data = createStats(args, config.player, config.traits);
+                break;
+            case 'SkillsComponent':
+                data = {
+                    skillTreeId: args.skillTreeId || null,
+                    lastSkillId: null,
+                    skills: (args.skillIds || []).map(id => ({ id, cooldownTurnsRemaining: 0, rank: Number((args.skillRanks || {})[id]) || 1 }))
+                };
+                break;
+            case 'MovementComponent':
+                data = { movementRange: args.movementRange ?? 3 };
+                break;
+            case 'VisibilityComponent':
+                data = { sightRangeFull: args.sightRangeFull ?? 2, sightRangePartial: args.sightRangePartial ?? 4 };
+                break;
+            case 'BehaviorComponent':
+                data = { behaviorType: args.type || 'basicMelee' };
+                break;
+            case 'IntentComponent':
+                data = { currentIntent: null };
+                break;
+            case 'StatusEffectComponent':
+                data = { activeStatuses: {} };
+                break;
+            case 'TrapComponent':
+                data = { trapEffect: args.trapEffect || {}, reusable: args.reusable || false, triggered: false };
+                break;
+            case 'InteractableComponent':
+                data = { interactEffect: args.interactEffect || {} };
+                break;
+            case 'PortalComponent':
+                data = { interactEffect: args.interactEffect || {}, nextMapId: args.nextMapId || null };
+                break;
+            default:
+                return null;
+        }
+        data.name = compConfig.name;
+        return data;
+    }
+
+    /** The XP the player earns for defeating an entity. */
+    function getKillReward(entity) {
+        const stats = getComponent(entity, 'stats');
+        return (stats && stats.xp) || DEFAULT_KILL_XP;
+    }
+
+    // --- Map queries ---
+
+    function getTilesInRange(world, center, range) {
+        const results = [];
+        if (!center) return results;
+        for (let dq = -range; dq <= range; dq++) {
+            for (let dr = Math.max(-range, -dq - range); dr <= Math.min(range, -dq + range); dr++) {
+                const tile = world.getTile(center.q + dq, center.r + dr);
+                if (tile) results.push(tile);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * The single entity a click on (q, r) targets: a blocking entity first, then the player, then anything else.
+     */
+    function getEntityAt(world, q, r) {
+        const entitiesOnTile = world.getEntitiesAt(q, r);
+        const player = world.getPlayer();
+        return entitiesOnTile.find(e => e.blocksMovement)
+            || entitiesOnTile.find(e => player && e.id === player.id)
+            || entitiesOnTile[0]
+            || null;
+    }
+
+    function isOccupied(world, tile, ignoreId) {
+        return world.getEntitiesAt(tile.q, tile.r).some(e => e.blocksMovement && e.id !== ignoreId);
+    }
+
+    /**
+     * Neighbours that can be stepped onto: on the map, not an obstacle and not blocked by an entity.
+     * The player (or an unspecified walker) is also kept out of unexplored tiles; AI actors know the map.
+     */
+    function getWalkableNeighbors(world, tile, actor) {
+        const neighbors = [];
+        if (!tile) return neighbors;
+        const fogBound = !actor || actor.type === 'player';
+        for (const dir of DIRECTIONS) {
+            const neighbor = world.getTile(tile.q + dir.q, tile.r + dir.r);
+            if (neighbor && !neighbor.isObstacle && (!fogBound || world.isTileExplored(neighbor)) && !isOccupied(world, neighbor)) {
+                neighbors.push(neighbor);
+            }
+        }
+        return neighbors;
+    }
+
+    /** True if no obstacle lies strictly between the two hexes. */
+    function hasLineOfSight(world, from, to) {
+        if (!from || !to) return false;
+        if (hexEquals(from, to)) return true;
+        const line = hexLine(from, to);
+        for (let i = 1; i < line.length - 1; i++) {
+            const tile = world.getTile(line[i].q, line[i].r);
+            if (tile && tile.isObstacle) return false;
+        }
+        return true;
+    }
+
+    /**
+     * The tiles an observer at `center` reveals. Every tile on a clear line of sight within partial
+     * range is seen; those within full range are seen clearly.
+     * @returns {{tile: object, inFullSight: boolean}[]} One entry per revealed tile.
+     */
+    function getVisibleTiles(world, center, sightRangeFull, sightRangePartial) {
+        const seen = new Map();
+        for (const target of getTilesInRange(world, center, sightRangePartial)) {
+            if (!hasLineOfSight(world, center, target)) continue;
+            for (const hex of hexLine(center, target)) {
+                const tile = world.getTile(hex.q, hex.r);
+                if (!tile) continue;
+                const key = `${tile.q},${tile.r}`;
+                const inFullSight = hexDistance(center, tile) <= sightRangeFull;
+                const entry = seen.get(key);
+                if (entry) {
+                    entry.inFullSight = entry.inFullSight || inFullSight;
+                } else {
+                    seen.set(key, { tile, inFullSight });
+                }
+            }
+        }
+        return [...seen.values()];
+    }
+
+    // --- Movement ---
+
+    /** How many steps the actor can currently afford to move. */
+    function getEffectiveMovementRange(world, actor) {
+        const stats = getComponent(actor, 'stats');
+        const moveCost = getActionCosts(world).moveCost;
+        if (stats && moveCost > 0) {
+            return Math.floor(stats.actionPoints / moveCost);
+        }
+        const movement = getComponent(actor, 'movement');
+        return movement ? movement.movementRange : 0;
+    }
+
+    /**
+     * A* from the actor's tile to `endTile`. Scores are kept off the tiles so the search never
+     * mutates shared state, and ties are broken by insertion order, making the path deterministic.
+     * @returns {object[]|null} The path as world tiles, including the start tile, or null.
+     */
+    function findPath(world, actor, endTile) {
+        if (!actor || !actor.hex || !endTile) return null;
+        const start = world.getTile(actor.hex.q, actor.hex.r);
+        if (!start) return null;
+
+        const scores = new Map();
+        const score = (tile) => {
+            if (!scores.has(tile)) scores.set(tile, { gScore: Infinity, fScore: Infinity, cameFrom: null });
+            return scores.get(tile);
+        };
+        score(start).gScore = 0;
+        score(start).fScore = hexDistance(start, endTile);
+        const openSet = new Set([start]);
+
+        while (openSet.size > 0) {
+            const current = [...openSet].reduce((a, b) => score(a).fScore < score(b).fScore ? a : b);
+            if (hexEquals(current, endTile)) {
+                const path = [current];
+                let node = current;
+                while (score(node).cameFrom) {
+                    node = score(node).cameFrom;
+                    path.unshift(node);
+                }
+                return path;
+            }
+            openSet.delete(current);
+
+            for (const neighbor of getWalkableNeighbors(world, current, actor)) {
+                const tentativeGScore = score(current).gScore + 1;
+                if (tentativeGScore < score(neighbor).gScore) {
+                    score(neighbor).cameFrom = current;
+                    score(neighbor).gScore = tentativeGScore;
+                    score(neighbor).fScore = tentativeGScore + hexDistance(neighbor, endTile);
+                    openSet.add(neighbor);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The shortest affordable path to a free tile adjacent to `targetHex`.
+     * @returns {{path: ?object[], targetTile: ?object, pathLength: number}}
+     */
+    function findPathToAdjacent(world, actor, targetHex, maxMoveRange) {
+        let bestPath = null, shortestPathLength = Infinity, bestTargetTile = null;
+        for (const dir of DIRECTIONS) {
+            const adjacent = world.getTile(targetHex.q + dir.q, targetHex.r + dir.r);
+            if (!adjacent || adjacent.isObstacle || isOccupied(world, adjacent, actor.id)) continue;
+
+            const path = findPath(world, actor, adjacent);
+            if (path) {
+                const pathLength = path.length - 1;
+                if (pathLength <= maxMoveRange && pathLength < shortestPathLength) {
+                    shortestPathLength = pathLength;
+                    bestPath = path;
+                    bestTargetTile = adjacent;
+                }
+            }
+        }
+        return { path: bestPath, targetTile: bestTargetTile, pathLength: shortestPathLength };
+    }
+
+    // --- Action planning ---
+    // Each plan function returns { ok: true, steps } or { ok: false, reason }. Steps are executed in order:
+    //   { type: 'move', path, apCost }       walk the path (the last tile triggers automatic interactions)
+    //   { type: 'attack', targetId, apCost } basic attack, rolled with resolveCombat()
+    //   { type: 'interact', targetId }       use an interactable (campfire, ...)
+    //   { type: 'enterPortal', targetId }    step through the portal the actor stands on
+
+    function fail(reason) {
+        return { ok: false, reason };
+    }
+
+    function canAffordAP(actor, amount) {
+        // Only the player pays AP for basic actions; AI actors are limited by their intents instead.
+        if (actor.type !== 'player') return true;
+        const stats = getComponent(actor, 'stats');
+        return !!stats && stats.actionPoints >= amount;
+    }
+
+    function planMove(world, actor, targetCoords) {
+        const targetTile = targetCoords && world.getTile(targetCoords.q, targetCoords.r);
+        if (!targetTile) return fail('Cannot move there: that tile is not on the map.');
+        // A move that goes nowhere would trigger what lies under the actor again; the client's MovementComponent ignores it.
+        if (hexEquals(actor.hex, targetTile)) return fail('Cannot move there: you are already there.');
+
+        const path = findPath(world, actor, targetTile);
+        if (!path) return fail('Cannot move there: no clear path.');
+
+        const steps = path.length - 1;
+        const maxMovement = getEffectiveMovementRange(world, actor);
+        if (steps > maxMovement) {
+            return fail(`Cannot move there: ${steps} steps is beyond a movement range of ${maxMovement}.`);
+        }
+
+        const apCost = actor.type === 'player' ? getActionCosts(world).moveCost * steps : 0;
+        if (!canAffordAP(actor, apCost)) return fail('Not enough AP to move!');
+        return { ok: true, steps: [{ type: 'move', path, apCost }] };
+    }
+
+    function planAttack(world, actor, target) {
+        const stats = getComponent(actor, 'stats');
+        if (!stats || !target || !isAlive(target)) return fail('There is nothing alive to attack there.');
+
+        const attackCost = getActionCosts(world).attackCost;
+        if (!canAffordAP(actor, attackCost)) return fail('Not enough AP to attack!');
+        if (hexDistance(actor.hex, target.hex) > (stats.attackRange || 1)) return fail('Target is out of range!');
+
+        return { ok: true, steps: [{ type: 'attack', targetId: target.id, apCost: actor.type === 'player' ? attackCost : 0 }] };
+    }
+
+    /** Clicking an entity: interact with it, walk onto a portal, or attack it (moving next to it first if needed). */
+    function planInteraction(world, actor, target) {
+        if (!target) return fail('Interaction target not found.');
+
+        if (getComponent(target, 'trap')) {
+            return fail(`You cannot directly interact with the ${target.name}.`);
+        }
+        if (target.isConcealed) {
+            return fail(`You cannot interact with a concealed ${target.name}.`);
+        }
+
+        if (getComponent(target, 'interactable')) {
+            if (hexDistance(actor.hex, target.hex) <= 1) {
+                return { ok: true, steps: [{ type: 'interact', targetId: target.id }] };
+            }
+            return fail(`You are too far to interact with the ${target.name}.`);
+        }
+
+        if (getComponent(target, 'portal')) {
+            if (hexEquals(actor.hex, target.hex)) {
+                return { ok: true, steps: [{ type: 'enterPortal', targetId: target.id }] };
+            }
+            const move = planMove(world, actor, target.hex);
+            return move.ok ? move : fail(`Cannot reach the ${target.name}.`);
+        }
+
+        if (isAlive(target)) {
+            const stats = getComponent(actor, 'stats');
+            if (hexDistance(actor.hex, target.hex) <= (stats.attackRange || 1)) {
+                return planAttack(world, actor, target);
+            }
+
+            const movementRange = getEffectiveMovementRange(world, actor);
+            const { path, targetTile, pathLength } = findPathToAdjacent(world, actor, target.hex, movementRange);
+            if (!path || !targetTile) {
+                return fail('Cannot reach an attack position near that target.');
+            }
+            const costs = getActionCosts(world);
+            const moveCost = actor.type === 'player' ? costs.moveCost * pathLength : 0;
+            const attackCost = actor.type === 'player' ? costs.attackCost : 0;
+            if (!canAffordAP(actor, moveCost + attackCost)) {
+                return fail('Not enough AP to move and attack.');
+            }
+            return {
+                ok: true,
+                steps: [
+                    { type: 'move', path, apCost: moveCost },
+                    { type: 'attack', targetId: target.id, apCost: attackCost }
+                ]
+            };
+        }
+
+        return fail(`Cannot interact with ${target.name}.`);
+    }
+
+    /** A raw click on a tile: an interaction if something targetable is there, otherwise a move. */
+    function planPlayerInput(world, actor, targetCoords) {
+        const targetTile = targetCoords && world.getTile(targetCoords.q, targetCoords.r);
+        if (!targetTile) return fail('That tile is not on the map.');
+
+        const target = getEntityAt(world, targetTile.q, targetTile.r);
+        if (target && target.id !== actor.id) {
+            return planInteraction(world, actor, target);
+        }
+        return planMove(world, actor, targetTile);
+    }
+
+    function getAttackDamage(world, attacker) {
+        return getEffectiveStat(world, attacker, 'attackPower') || DEFAULT_ATTACK_DAMAGE;
+    }
+
+    /**
+     * What happens when `entity` ends a move on `tile`, in resolution order.
+     * Traps fire for anyone; portals only pull in the player.
+     * @returns {{type: 'trap'|'portal', entity: object}[]}
+     */
+    function getAutoInteractions(world, entity, tile) {
+        const interactions = [];
+        for (const other of world.getEntitiesAt(tile.q, tile.r)) {
+            if (other.id === entity.id) continue;
+            if (getComponent(other, 'trap')) {
+                interactions.push({ type: 'trap', entity: other });
+            }
+            if (getComponent(other, 'portal') && entity.type === 'player') {
+                interactions.push({ type: 'portal', entity: other });
+            }
+        }
+        return interactions;
+    }
+
+    /** A trap fires unless it is a one-shot trap that already went off. */
+    function canTrapTrigger(trap) {
+        return !(trap.triggered && !trap.reusable);
+    }
+
+    // --- AI ---
+
+    function passIntent(actor, reason) {
+        return { type: 'pass', actorId: actor.id, reason, clarity: 'Full' };
+    }
+
+    /**
+     * Decides what an AI actor will do in the next enemy phase: the first rule of its behavior
+     * (config.aiBehaviors) whose conditions hold. Intents are declared a turn ahead and stored, so
+     * the player can see them coming; the enemy phase then carries them out as move/attack actions.
+     * @returns {{type: string, actorId: string, targetType?: 'tile'|'entity', targetValue?: *, cost?: number, reason?: string, clarity: string}}
+     */
+    function declareIntent(world, actor) {
+        const player = world.getPlayer();
+        if (!player || !player.hex || !actor.hex) return passIntent(actor, 'Missing core references');
+        if (!isAlive(actor)) return passIntent(actor, 'Not alive');
+
+        const behavior = getComponent(actor, 'behavior');
+        const behaviorType = (behavior && behavior.behaviorType) || 'basicMelee';
+        const behaviorConfig = (world.getConfig().aiBehaviors || {})[behaviorType];
+        if (!behaviorConfig) return passIntent(actor, 'No behavior config');
+
+        for (const rule of behaviorConfig.rules) {
+            const intent = evaluateBehaviorRule(world, actor, player, rule);
+            if (intent) return intent;
+        }
+        return passIntent(actor, 'No viable action found');
+    }
+
+    function evaluateBehaviorRule(world, actor, player, rule) {
+        const stats = getComponent(actor, 'stats');
+        const distanceToPlayer = hexDistance(actor.hex, player.hex);
+        const conditionsMet = (rule.conditions || []).every(condition => {
+            switch (condition.type) {
+                case 'inAttackRange':
+                    return distanceToPlayer <= (stats.attackRange || 1);
+                case 'inAggroRange':
+                    return distanceToPlayer <= ((getComponent(actor, 'ai') || {}).aggroRange || 5);
+                case 'canAfford':
+                    return stats.actionPoints >= (rule.cost || 0);
+                default:
+                    return true;
+            }
+        });
+        if (!conditionsMet) return null;
+
+        switch (rule.action) {
+            case 'attack':
+                return { type: 'attack', actorId: actor.id, targetType: 'entity', targetValue: player.id, cost: rule.cost, clarity: 'Full' };
+            case 'moveToTarget': {
+                // The player's own tile is blocked, so head for the closest free tile next to it,
+                // stopping early if it is further away than the actor can walk in one turn.
+                const { path } = findPathToAdjacent(world, actor, player.hex, Infinity);
+                const steps = path ? Math.min(path.length - 1, getEffectiveMovementRange(world, actor)) : 0;
+                if (steps < 1) return null;
+                const targetTile = path[steps];
+                return { type: 'move', actorId: actor.id, targetType: 'tile', targetValue: { q: targetTile.q, r: targetTile.r }, cost: rule.cost, clarity: 'Full' };
+            }
+        }
+        return null;
+    }
+
+    // --- Skills ---
+
+    /**
+     * Reads a skill field by its camelCase name. Rows from the Skills sheet arrive with lower-cased
+     * headers (apcost, targettype, ...), so those are accepted as well.
+     */
+    function getSkillField(skillConfig, key) {
+        if (!skillConfig) return undefined;
+        return skillConfig[key] ?? skillConfig[key.toLowerCase()];
+    }
+
+    /** The AP/MP price of a skill. Sheet rows use apCost/mpCost; older configs use cost: { ap, mp }. */
+    function getSkillCost(skillConfig) {
+        const cost = (skillConfig && skillConfig.cost) || {};
+        return {
+            ap: Number(getSkillField(skillConfig, 'apCost') ?? cost.ap ?? 1),
+            mp: Number(getSkillField(skillConfig, 'mpCost') ?? cost.mp ?? 0)
+        };
+    }
+
+    /** The number of turns a skill stays unavailable after use, before cooldown reduction (see getEffectiveCooldown). */
+    function getSkillCooldown(skillConfig) {
+        return Number(getSkillField(skillConfig, 'cooldown')) || 0;
+    }
+
+    /**
+     * Whether the actor may use a skill right now. The returned skillConfig is the skill at the actor's rank,
+     * and the cost what the actor pays for it now (see getCastCost). Using an active stance ends it, which
+     * is free and ignores the cooldown; toggleOff is then set (see the Stances section).
+     * @returns {{ok: boolean, reason?: string, skill?: object, skillConfig?: object, cost?: object, toggleOff?: boolean}}
+     */
+    function checkSkillUse(world, actor, skillId) {
+        const skillsData = getComponent(actor, 'skills');
+        const skill = skillsData && skillsData.skills.find(s => s.id === skillId);
+        const skillConfig = skill && getSkillConfig(world, actor, skillId, skill.rank);
+        if (!skill || !skillConfig) return fail(`Unknown skill '${skillId}'.`);
+
+        const name = skillConfig.name || skillId;
+        if (isStanceActive(actor, skillConfig)) {
+            return { ok: true, skill, skillConfig, cost: { ap: 0, mp: 0 }, toggleOff: true };
+        }
+        if (skill.cooldownTurnsRemaining > 0) {
+            return fail(`${name} is on cooldown (${skill.cooldownTurnsRemaining} turns remaining).`);
+        }
+        const useLimit = getSkillField(skillConfig, 'useLimit');
+        if (useLimit && skill.spent) return fail(`${name} can only be used once per ${useLimit === 'run' ? 'run' : 'map'}.`);
+        if (getMaxCharges(skillConfig) > 0 && getChargesLeft(skill, skillConfig) <= 0) {
+            return fail(`${name} has no charges left (next in ${skill.chargeTurnsRemaining} turns).`);
+        }
+        const stats = getComponent(actor, 'stats');
+        const cost = getCastCost(world, actor, skillConfig);
+        if (!stats || stats.actionPoints < cost.ap) return fail(`Not enough AP to use ${name}.`);
+        if (stats.manaPoints < cost.mp) return fail(`Not enough MP to use ${name}.`);
+
+        return { ok: true, skill, skillConfig, cost };
+    }
+
+    /** Damage dealt by a skill's 'damage' effect: its base amount (or the source's attack power) times its multiplier. */
+    function getEffectDamage(world, source, effect) {
+        const baseDamage = effect.baseAmount || getEffectiveStat(world, source, 'attackPower');
+        return Math.floor(baseDamage * (effect.multiplier || 1.0));
+    }
+
+    // --- Cooldowns and charges ---
+    // Besides its AP/MP cost, a skill's use can be limited three ways, which combine:
+    //   cooldown           turns it stays unavailable after each use
+    //   charges            uses it holds; spent charges come back one at a time, chargeRegenTurns turns apart
+    //   useLimit           'map' or 'run': once used, it stays unavailable until the next map, or for the rest of the run
+    // The user's cooldownReduction stat (turns, from stat_modifier effects) shortens cooldowns and charge
+    // regeneration alike, though a charge always takes at least one turn. Each known skill keeps its state as
+    // { cooldownTurnsRemaining, chargesUsed, chargeTurnsRemaining, spent }; missing fields count as 0 or false.
+
+    /** The turns the user's cooldown reduction takes off its skills' cooldowns and charge regeneration. */
+    function getCooldownReduction(world, entity) {
+        return Math.max(0, getEffectiveStat(world, entity, 'cooldownReduction'));
+    }
+
+    /** The cooldown the actor's use of a skill starts: its cooldown less the actor's cooldown reduction. */
+    function getEffectiveCooldown(world, actor, skillConfig) {
+        return Math.max(0, getSkillCooldown(skillConfig) - getCooldownReduction(world, actor));
+    }
+
+    /** The number of charges a skill holds, or 0 if it does not use charges. */
+    function getMaxCharges(skillConfig) {
+        return Math.max(0, Number(getSkillField(skillConfig, 'charges')) || 0);
+    }
+
+    /** The turns one spent charge of a skill takes to come back for the actor. */
+    function getChargeRegenTurns(world, actor, skillConfig) {
+        return Math.max(1, (Number(getSkillField(skillConfig, 'chargeRegenTurns')) || 1) - getCooldownReduction(world, actor));
+    }
+
+    function getChargesLeft(skill, skillConfig) {
+        return getMaxCharges(skillConfig) - (skill.chargesUsed || 0);
+    }
+
+    function getSkillState(skill) {
+        return {
+            cooldownTurnsRemaining: skill.cooldownTurnsRemaining || 0,
+            chargesUsed: skill.chargesUsed || 0,
+            chargeTurnsRemaining: skill.chargeTurnsRemaining || 0,
+            spent: skill.spent === true
+        };
+    }
+
+    /**
+     * A skill's state once the actor has used it: its cooldown started, a charge spent (starting that
+     * charge's regeneration if none was under way) and, for a limited skill, marked as spent.
+     * @returns {{cooldownTurnsRemaining: number, chargesUsed: number, chargeTurnsRemaining: number, spent: boolean}}
+     */
+    function getSkillStateAfterUse(world, actor, skill, skillConfig) {
+        const state = getSkillState(skill);
+        state.cooldownTurnsRemaining = getEffectiveCooldown(world, actor, skillConfig);
+        if (getMaxCharges(skillConfig) > 0) {
+            if (state.chargesUsed === 0) state.chargeTurnsRemaining = getChargeRegenTurns(world, actor, skillConfig);
+            state.chargesUsed += 1;
+        }
+        if (getSkillField(skillConfig, 'useLimit')) state.spent = true;
+        return state;
+    }
+
+    /**
+     * A skill's state at the start of its user's turn: its cooldown counts down, and so does the regeneration
+     * of its next charge, which comes back when it reaches 0 (the one after it then starts regenerating).
+     */
+    function getSkillStateAtTurnStart(world, actor, skill, skillConfig) {
+        const state = getSkillState(skill);
+        if (state.cooldownTurnsRemaining > 0) state.cooldownTurnsRemaining--;
+        if (state.chargesUsed > 0 && --state.chargeTurnsRemaining <= 0) {
+            state.chargesUsed--;
+            state.chargeTurnsRemaining = state.chargesUsed > 0 ? getChargeRegenTurns(world, actor, skillConfig) : 0;
+        }
+        return state;
+    }
+
+    /** A skill's state on arriving on a new map: one limited to a use per map can be used again. */
+    function getSkillStateOnNewMap(skill, skillConfig) {
+        const state = getSkillState(skill);
+        if (getSkillField(skillConfig, 'useLimit') === 'map') state.spent = false;
+        return state;
+    }
+
+    // --- Targeting ---
+    // A skill's targetType decides where it can be aimed. Every type but 'self' needs a tile on the map
+    // within the skill's range, plus the checks its entry in TARGET_TYPES asks for:
+    //   lineOfSight    no obstacle between the caster and the tile
+    //   explored       the tile is one the player has seen (other casters know the map)
+    //   straightLine   the tile lies along one of the six hex directions, with no obstacle on the way
+    //   occupant       'enemy': a living foe on the tile; 'enemyInCone': one in the cone towards the
+    //                  tile (see getConeHexes); 'empty': a free tile other than the caster's own
+    //   range          a fixed range that replaces the skill's own
+    // Types not listed are treated as 'hex_area'. A skill's effects then land on the area their `target` names:
+    //   self, target_hex, aoe_at_target_hex (within splashRadius of the tile), cone_at_target_hex
+
+    const TARGET_TYPES = {
+        'single-enemy': { lineOfSight: true, occupant: 'enemy' },
+        'multi-enemy-adjacent-cone': { range: 1, occupant: 'enemyInCone' },
+        'empty_hex_range': { occupant: 'empty' },
+        'directional_empty_hex': { straightLine: true, occupant: 'empty' },
+        'hex_visible': { lineOfSight: true, explored: true },
+        'hex_area': { lineOfSight: true }
+    };
+
+    /** Whether two entities are on opposite sides: the player against everything else that has stats. */
+    function isHostile(actor, entity) {
+        return !!entity && entity.id !== actor.id && isAlive(entity) && (actor.type === 'player') !== (entity.type === 'player');
+    }
+
+    /**
+     * The three hexes in front of `origin` when facing the adjacent `targetHex`: that hex and the two
+     * beside it that also border the origin. Empty if the target is not adjacent.
+     */
+    function getConeHexes(origin, targetHex) {
+        if (!origin || !targetHex || hexDistance(origin, targetHex) !== 1) return [];
+        const index = DIRECTIONS.findIndex(dir => origin.q + dir.q === targetHex.q && origin.r + dir.r === targetHex.r);
+        return [index, index + 5, index + 1].map(i => {
+            const dir = DIRECTIONS[i % 6];
+            return { q: origin.q + dir.q, r: origin.r + dir.r };
+        });
+    }
+
+    /** Whether `to` lies along a hex direction from `from` with every tile up to it on the map and clear of obstacles. */
+    function isClearStraightLine(world, from, to) {
+        const distance = hexDistance(from, to);
+        const dir = DIRECTIONS.find(d => from.q + d.q * distance === to.q && from.r + d.r * distance === to.r);
+        if (!dir || distance === 0) return false;
+        for (let step = 1; step < distance; step++) {
+            const tile = world.getTile(from.q + dir.q * step, from.r + dir.r * step);
+            if (!tile || tile.isObstacle) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Whether a skill can be aimed at `targetHex`: a target given for any skill must be on the map (a replay
+     * viewer cannot play an action aimed off it); self-targeted skills can then always be cast, and anything
+     * else must pass the checks of its targetType, and a teleport needs a free tile to land on.
+     * @returns {{ok: boolean, reason?: string}}
+     */
+    function checkSkillTarget(world, actor, skillConfig, targetHex) {
+        const name = skillConfig.name || skillConfig.id;
+        const targetType = getSkillField(skillConfig, 'targetType') || 'self';
+        const tile = targetHex && world.getTile(targetHex.q, targetHex.r);
+        if (targetHex && !tile) return fail(`${name} needs a target on the map.`);
+        if (targetType === 'self') return { ok: true };
+        const rules = TARGET_TYPES[targetType] || TARGET_TYPES.hex_area;
+        if (!tile) return fail(`${name} needs a target on the map.`);
+
+        const distance = hexDistance(actor.hex, tile);
+        if (distance > (rules.range ?? (Number(skillConfig.range) || 0))) {
+            return fail(`Target is out of range for ${name}.`);
+        }
+        if (rules.explored && actor.type === 'player' && !world.isTileExplored(tile)) {
+            return fail(`${name} needs a target you can see.`);
+        }
+        if (rules.lineOfSight && !hasLineOfSight(world, actor.hex, tile)) {
+            return fail(`Something blocks the line of sight for ${name}.`);
+        }
+        if (rules.straightLine && !isClearStraightLine(world, actor.hex, tile)) {
+            return fail(`${name} needs a clear straight line.`);
+        }
+        switch (rules.occupant) {
+            case 'enemy':
+                if (!isHostile(actor, getEntityAt(world, tile.q, tile.r))) return fail(`${name} needs an enemy target.`);
+                break;
+            case 'enemyInCone':
+                if (!getConeHexes(actor.hex, tile).some(hex => isHostile(actor, getEntityAt(world, hex.q, hex.r)))) {
+                    return fail(`There are no enemies in reach of ${name}.`);
+                }
+                break;
+            case 'empty':
+                if (distance === 0 || tile.isObstacle || isOccupied(world, tile, actor.id)) return fail(`${name} needs an empty tile.`);
+                break;
+        }
+
+        const landsOnTarget = (skillConfig.effects || []).some(effect => effect.type === 'movement' && effect.moveType === 'teleport');
+        if (landsOnTarget && !hexEquals(actor.hex, tile)) {
+            const hidden = actor.type === 'player' && !world.isTileExplored(tile);
+            if (tile.isObstacle || hidden || isOccupied(world, tile, actor.id)) {
+                return fail(`${name} cannot land there.`);
+            }
+        }
+        return { ok: true };
+    }
+
+    /** Every tile a skill can currently be aimed at, for highlighting while the player picks a target. */
+    function getSkillTargetTiles(world, actor, skillConfig) {
+        const targetType = getSkillField(skillConfig, 'targetType') || 'self';
+        const range = (TARGET_TYPES[targetType] || {}).range ?? (Number(skillConfig.range) || 0);
+        return getTilesInRange(world, actor.hex, range).filter(tile => checkSkillTarget(world, actor, skillConfig, tile).ok);
+    }
+
+    /** The hexes a skill effect covers when the skill is aimed at `targetHex`. */
+    function getEffectArea(world, actor, targetHex, effect) {
+        switch (effect.target) {
+            case 'self':
+                return [actor.hex];
+            case 'target_hex':
+            case 'self_to_target_hex':
+                return targetHex ? [targetHex] : [];
+            case 'aoe_at_target_hex':
+                return getTilesInRange(world, targetHex, effect.splashRadius || 0);
+            case 'cone_at_target_hex':
+                return getConeHexes(actor.hex, targetHex);
+            default:
+                return [];
+        }
+    }
+
+    /** The tiles any of a skill's effects would cover, for previewing a target before it is chosen. */
+    function getSkillArea(world, actor, skillConfig, targetHex) {
+        const tiles = new Map();
+        for (const effect of skillConfig.effects || []) {
+            for (const hex of getEffectArea(world, actor, targetHex, effect)) {
+                const tile = world.getTile(hex.q, hex.r);
+                if (tile) tiles.set(`${tile.q},${tile.r}`, tile);
+            }
+        }
+        return [...tiles.values()];
+    }
+
+    /**
+     * The entities a skill effect lands on: those in its area that meet its condition (see the Combos section).
+     * Damage and statuses only make sense on creatures, so entities without stats (portals, traps, campfires)
+     * are never hit.
+     */
+    function getEffectTargets(world, actor, targetHex, effect) {
+        if (effect.target === 'self_to_target_hex') return [];
+        const targets = effect.target === 'self'
+            ? [actor]
+            : getEffectArea(world, actor, targetHex, effect)
+                .map(hex => getEntityAt(world, hex.q, hex.r))
+                .filter(entity => entity && getComponent(entity, 'stats'));
+        return targets.filter(target => checkCondition(world, actor, target, effect.condition));
+    }
+
+    // --- Combos ---
+    // Skill data can depend on the state of the fight through conditions: objects whose keys must all hold.
+    //   actorStatus     the caster has this status
+    //   previousSkill   the caster's last skill this turn (skills.lastSkillId)
+    //   targetStatus    the target has this status
+    //   targetIsEnemy   the target is a foe of the caster
+    // A skill effect with a `condition` only resolves when it holds: the caster's keys are checked before the
+    // effect and the target's for each target (so effects without targets, like a teleport, use caster keys only).
+    // A skill's `costModifiers` list of { condition, apCost, mpCost } sets its price from the first entry whose
+    // condition holds, and an active status with a { type: 'skill_cost', apCost, mpCost } effect sets the price of
+    // every skill its carrier uses. Statuses can end when their carrier acts (`breaksOn`, see getStatusesBrokenBy),
+    // which is how one-shot buffs such as "your next skill costs no MP" are used up.
+
+    /** Whether the caster's keys of a condition hold. A missing condition always holds. */
+    function checkCasterCondition(world, actor, condition) {
+        if (!condition) return true;
+        if (condition.actorStatus && !hasStatus(actor, condition.actorStatus)) return false;
+        if (condition.previousSkill && (getComponent(actor, 'skills') || {}).lastSkillId !== condition.previousSkill) return false;
+        return true;
+    }
+
+    /** Whether every key of a condition holds for the caster and the given target. */
+    function checkCondition(world, actor, target, condition) {
+        if (!checkCasterCondition(world, actor, condition)) return false;
+        if (!condition) return true;
+        if (condition.targetStatus && !(target && hasStatus(target, condition.targetStatus))) return false;
+        if (condition.targetIsEnemy && !isHostile(actor, target)) return false;
+        return true;
+    }
+
+    /**
+     * What the actor pays to use a skill right now: its AP/MP cost, as set by its first matching cost
+     * modifier and then by the `skill_cost` effects of the actor's statuses.
+     * @returns {{ap: number, mp: number}}
+     */
+    function getCastCost(world, actor, skillConfig) {
+        const cost = getSkillCost(skillConfig);
+        const setCost = (modifier) => {
+            if (modifier.apCost !== undefined) cost.ap = Number(modifier.apCost) || 0;
+            if (modifier.mpCost !== undefined) cost.mp = Number(modifier.mpCost) || 0;
+        };
+        const costModifiers = getSkillField(skillConfig, 'costModifiers');
+        const modifier = Array.isArray(costModifiers) && costModifiers.find(entry => checkCasterCondition(world, actor, entry.condition));
+        if (modifier) setCost(modifier);
+
+        const statusData = getComponent(actor, 'statusEffects');
+        for (const statusId of Object.keys((statusData && statusData.activeStatuses) || {})) {
+            (statusData.activeStatuses[statusId].effects || []).filter(effect => effect.type === 'skill_cost').forEach(setCost);
+        }
+        return cost;
+    }
+
+    // --- Stances ---
+    // A skill with `toggleable` set is a stance: using it puts its `statusToApply` on the caster with no time
+    // limit, and using it again ends it. A stance lasts as long as its status does, so one broken by its
+    // status's `breaksOn`, dispelled or otherwise removed is over too. Stances sharing a `stanceGroup` exclude
+    // each other: taking one up ends the others. A stance's `upkeep` ({ ap, mp }) is paid at the start of each
+    // of its user's turns, before status ticks; a stance whose upkeep can no longer be paid drops.
+
+    /** The duration a stance's status is applied with: it never runs out on its own. */
+    const STANCE_DURATION = -1;
+
+    /** Whether a skill (config or Skill instance) is a stance. */
+    function isStanceSkill(skillConfig) {
+        return getSkillField(skillConfig, 'toggleable') === true && !!getSkillField(skillConfig, 'statusToApply');
+    }
+
+    /** Whether the entity currently holds a stance: it has the stance's status. */
+    function isStanceActive(entity, skillConfig) {
+        return isStanceSkill(skillConfig) && hasStatus(entity, getSkillField(skillConfig, 'statusToApply'));
+    }
+
+    /** The statuses of the actor's other active stances in the skill's group, which taking it up ends. */
+    function getStanceConflicts(world, actor, skillConfig) {
+        const group = getSkillField(skillConfig, 'stanceGroup');
+        const skillsData = getComponent(actor, 'skills');
+        if (!group || !skillsData) return [];
+        return skillsData.skills
+            .filter(skill => skill.id !== skillConfig.id)
+            .map(skill => getSkillConfig(world, actor, skill.id, skill.rank))
+            .filter(other => other && getSkillField(other, 'stanceGroup') === group && isStanceActive(actor, other))
+            .map(other => getSkillField(other, 'statusToApply'));
+    }
+
+    /**
+     * What the entity's active stances cost to keep at the start of its turn, in skill order. Each is paid
+     * out of what the ones before it left; one that cannot be paid is not (paid: false) and drops.
+     * @returns {{skillId: string, statusId: string, cost: {ap: number, mp: number}, paid: boolean}[]}
+     */
+    function getStanceUpkeep(world, entity) {
+        const skillsData = getComponent(entity, 'skills');
+        const stats = getComponent(entity, 'stats');
+        const upkeep = [];
+        if (!skillsData || !stats) return upkeep;
+        let ap = stats.actionPoints;
+        let mp = stats.manaPoints;
+        for (const skill of skillsData.skills) {
+            const skillConfig = getSkillConfig(world, entity, skill.id, skill.rank);
+            if (!isStanceActive(entity, skillConfig)) continue;
+            const upkeepCost = getSkillField(skillConfig, 'upkeep') || {};
+            const cost = { ap: Math.max(0, Number(upkeepCost.ap) || 0), mp: Math.max(0, Number(upkeepCost.mp) || 0) };
+            if (cost.ap === 0 && cost.mp === 0) continue;
+            const paid = ap >= cost.ap && mp >= cost.mp;
+            if (paid) {
+                ap -= cost.ap;
+                mp -= cost.mp;
+            }
+            upkeep.push({ skillId: skill.id, statusId: getSkillField(skillConfig, 'statusToApply'), cost, paid });
+        }
+        return upkeep;
+    }
+
+    // --- Skill scripts ---
+    // A `{ type: 'custom_script', scriptId }` skill effect runs the script of that name in SKILL_SCRIPTS, for
+    // skills too involved for the plain effects. Like the rest of the core, a script only decides: it returns
+    // plain effects, each with the entities it lands on, and the host resolves them as it would the skill's own.
+    // A script is given { world, actor, targetHex, target, effect, rng }: the world for map and entity queries,
+    // the entity on the target hex, the custom_script effect (for its parameters) and the session's seeded RNG.
+    // Anything random must come from that RNG, so the client and the server roll the same numbers.
+
+    const SKILL_SCRIPTS = {
+        /** Cuts up to maxTargets (3) enemies in the cone towards the target; harder while Winded from a Jump. */
+        multiSlash({ world, actor, targetHex, effect }) {
+            const targets = getConeHexes(actor.hex, targetHex)
+                .map(hex => getEntityAt(world, hex.q, hex.r))
+                .filter(entity => isHostile(actor, entity))
+                .slice(0, effect.maxTargets || 3);
+            const windedBonus = hasStatus(actor, 'winded') ? (effect.windedBonus ?? 0.5) : 0;
+            return [{ effect: { type: 'damage', multiplier: (effect.multiplier || 1.0) + windedBonus, damageType: effect.damageType }, targets }];
+        },
+
+        /** A precise strike that always crits from Stealth, or a target unaware of the actor: one not about to attack it. */
+        sneakAttack({ actor, target, effect }) {
+            if (!isHostile(actor, target)) return [];
+            const intent = (getComponent(target, 'intent') || {}).currentIntent;
+            const unaware = hasStatus(actor, 'stealthed') || !intent || intent.type !== 'attack' || intent.targetValue !== actor.id;
+            return [{ effect: { type: 'damage', multiplier: effect.multiplier || 1.5, damageType: effect.damageType, alwaysCrits: unaware }, targets: [target] }];
+        }
+    };
+
+    /**
+     * Runs a custom_script effect.
+     * @returns {?Array<{effect: object, targets: object[]}>} The effects to resolve, in order; null if no script has that ID.
+     */
+    function runSkillScript(world, actor, targetHex, effect) {
+        const script = SKILL_SCRIPTS[effect.scriptId];
+        if (!script) return null;
+        const target = targetHex ? getEntityAt(world, targetHex.q, targetHex.r) : null;
+        return script({ world, actor, targetHex, target, effect, rng: world.rng }) || [];
+    }
+
+    // --- Forced movement ---
+    // A `{ type: 'movement', moveType }` skill effect moves entities outright: no path search, no AP per step.
+    //   teleport  the caster lands on the target tile
+    //   dash      the caster runs along the line to the target tile, stopping short of the first tile it cannot enter
+    //   push      each entity the effect lands on is driven up to `distance` tiles (1 by default) away from the caster
+    //   pull      the same, towards the caster, stopping beside it
+    //   swap      the caster and the entity on the target tile trade places
+    // An entity that is stopped short by an obstacle, the edge of the map or a blocking entity collides with it:
+    // if the effect has `collisionDamage`, the entity takes that much damage (`collisionDamageType`, physical by
+    // default) unless it is the caster, and so does a creature it ran into. Wherever a move ends, traps and
+    // portals go off as they do after a walked move (see getAutoInteractions).
+
+    /** The hex direction that points most nearly along the vector `toward` (ties go to the earlier direction). */
+    function getClosestDirection(toward) {
+        const dot = (dir) => dir.q * toward.q + dir.r * toward.r + (dir.q + dir.r) * (toward.q + toward.r);
+        return DIRECTIONS.reduce((best, dir) => (dot(dir) > dot(best) ? dir : best));
+    }
+
+    /** The blocking entity on a tile, other than `ignoreId`; null if it is free. */
+    function getBlockerAt(world, tile, ignoreId) {
+        return world.getEntitiesAt(tile.q, tile.r).find(e => e.blocksMovement && e.id !== ignoreId) || null;
+    }
+
+    /**
+     * The entities a movement effect moves, in the order they move: the caster for teleport and dash, the
+     * entity on the target tile for swap, and for push and pull the effect's targets (see getEffectTargets),
+     * farthest from the caster first when pushing and nearest first when pulling, so they do not block each other.
+     */
+    function getForcedMoveTargets(world, actor, targetHex, effect) {
+        if (effect.moveType === 'teleport' || effect.moveType === 'dash') return [actor];
+        const targets = getEffectTargets(world, actor, targetHex, effect).filter(target => target.id !== actor.id);
+        if (effect.moveType === 'swap') return targets.slice(0, 1);
+        const towards = effect.moveType === 'pull' ? 1 : -1;
+        return targets.sort((a, b) => towards * (hexDistance(actor.hex, a.hex) - hexDistance(actor.hex, b.hex)));
+    }
+
+    /**
+     * Where a movement effect takes one of its targets (from getForcedMoveTargets), given where everything stands now.
+     * Each move's path runs from the entity's tile to where it ends up; a move that goes nowhere has a single tile.
+     * @returns {Array<{entity: object, path: object[], collision: ?{damage: number, damageType: string, blocker: ?object, entities: object[]}}>}
+     *   The moves to make in order (both entities for a swap), each followed by its collision damage: `blocker` is the
+     *   entity it ran into (null for an obstacle or the map's edge) and `entities` are those that take the damage.
+     */
+    function planForcedMove(world, actor, entity, targetHex, effect) {
+        const start = world.getTile(entity.hex.q, entity.hex.r);
+        const targetTile = targetHex && world.getTile(targetHex.q, targetHex.r);
+        if (!start || !isAlive(entity)) return [];
+
+        switch (effect.moveType) {
+            case 'teleport':
+                return targetTile ? [{ entity, path: [start, targetTile], collision: null }] : [];
+            case 'swap': {
+                const actorTile = world.getTile(actor.hex.q, actor.hex.r);
+                return [
+                    { entity: actor, path: [actorTile, start], collision: null },
+                    { entity, path: [start, actorTile], collision: null }
+                ];
+            }
+            case 'dash': {
+                if (!targetTile) return [];
+                const line = hexLine(start, targetTile).slice(1).map(hex => world.getTile(hex.q, hex.r));
+                return [driveAlong(world, actor, entity, start, line, effect)];
+            }
+            case 'push':
+            case 'pull': {
+                const steps = [];
+                let current = start;
+                for (let i = 0; i < (effect.distance ?? 1); i++) {
+                    if (effect.moveType === 'pull' && hexDistance(current, actor.hex) <= 1) break;
+                    const away = { q: current.q - actor.hex.q, r: current.r - actor.hex.r };
+                    const dir = getClosestDirection(effect.moveType === 'pull' ? { q: -away.q, r: -away.r } : away);
+                    current = { q: current.q + dir.q, r: current.r + dir.r };
+                    steps.push(world.getTile(current.q, current.r));
+                }
+                return [driveAlong(world, actor, entity, start, steps, effect)];
+            }
+            default:
+                return [];
+        }
+    }
+
+    /** Moves `entity` along `steps` (null for a tile off the map) until one cannot be entered, and works out the collision. */
+    function driveAlong(world, actor, entity, start, steps, effect) {
+        const path = [start];
+        for (const tile of steps) {
+            const blocker = tile && !tile.isObstacle ? getBlockerAt(world, tile, entity.id) : null;
+            if (tile && !tile.isObstacle && !blocker) {
+                path.push(tile);
+                continue;
+            }
+            const damage = Number(effect.collisionDamage) || 0;
+            if (damage <= 0) break;
+            const entities = [entity, blocker].filter(e => e && e.id !== actor.id && getComponent(e, 'stats'));
+            return { entity, path, collision: { damage, damageType: effect.collisionDamageType || 'physical', blocker, entities } };
+        }
+        return { entity, path, collision: null };
+    }
+
+    // --- Effective stats ---
+    // A stat's effective value layers every `stat_modifier` effect that applies to the entity over its base
+    // value: flat modifiers are added first, then multipliers are applied. They come from active statuses,
+    // traits (an entry's own `effects`, or those of config.traits[id]) and equipped items (stats.equipment).
+    // Reduction stats such as damageReduction are fractions of damage taken away; their multipliers each
+    // take a share of what is left, so two 50% reductions make 75% rather than 100%.
+
+    const ATTRIBUTE_NAMES = ['body', 'mind', 'instinct'];
+    const REDUCTION_STATS = ['damageReduction'];
+
+    /**
+     * Every stat modifier that applies to the entity, in a fixed order: statuses, then traits, then equipment.
+     * @returns {{stat: string, value: number, modifierType: 'flat'|'multiplier', source: string}[]}
+     */
+    function getStatModifiers(world, entity) {
+        const modifiers = [];
+        const collect = (effects, source) => {
+            for (const effect of effects || []) {
+                if (effect.type === 'stat_modifier' && effect.stat) {
+                    modifiers.push({ stat: effect.stat, value: Number(effect.value) || 0, modifierType: effect.modifierType || 'flat', source });
+                }
+            }
+        };
+        const statusData = getComponent(entity, 'statusEffects');
+        if (statusData) {
+            for (const statusId of Object.keys(statusData.activeStatuses || {})) {
+                // Every stack of a stacking status applies its modifiers once more.
+                const status = statusData.activeStatuses[statusId];
+                for (let stack = 0; stack < (status.stacks || 1); stack++) {
+                    collect(status.effects, `status:${statusId}`);
+                }
+            }
+        }
+        const stats = getComponent(entity, 'stats');
+        if (stats) {
+            const traitConfigs = world.getConfig().traits;
+            for (const trait of stats.traits || []) {
+                collect(getTraitEffects(trait, traitConfigs), `trait:${getTraitId(trait)}`);
+            }
+            for (const item of stats.equipment || []) {
+                collect(item.effects, `equipment:${item.id}`);
+            }
+        }
+        return modifiers;
+    }
+
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    /** A stat's value before modifiers. Attributes (body, mind, instinct) are read from stats.attributes. */
+    function getBaseStat(entity, stat) {
+        const stats = getComponent(entity, 'stats') || {};
+        const value = ATTRIBUTE_NAMES.indexOf(stat) !== -1 ? (stats.attributes || {})[stat] : stats[stat];
+        return Number(value) || 0;
+    }
+
+    /**
+     * A stat's value with all its modifiers applied. Whole-number stats are rounded down; reduction stats
+     * stay fractions between 0 and 1.
+     * @param {object} world
+     * @param {object} entity
+     * @param {string} stat - e.g. 'attackPower', 'defense', 'body', 'damageReduction', 'maxActionPoints'.
+     * @returns {number}
+     */
+    function getEffectiveStat(world, entity, stat) {
+        let flat = 0;
+        let multiplier = 1;
+        const isReduction = REDUCTION_STATS.indexOf(stat) !== -1;
+        for (const modifier of getStatModifiers(world, entity)) {
+            if (modifier.stat !== stat) continue;
+            if (modifier.modifierType !== 'multiplier') {
+                flat += modifier.value;
+            } else if (isReduction) {
+                multiplier *= 1 - modifier.value;
+            } else {
+                multiplier *= modifier.value;
+            }
+        }
+        const base = getBaseStat(entity, stat) + flat;
+        if (isReduction) {
+            return clamp(1 - (1 - base) * multiplier, 0, 1);
+        }
+        return Math.floor(base * multiplier);
+    }
+
+    // --- Derived stats ---
+    // The resource maximums grow with attributes, at the rates in config.player: maxLife by lifePerBodyPoint
+    // per point of body, maxManaPoints by manaPerMindPoint per point of mind, and maxActionPoints by one per
+    // instinctForAPBonus points of instinct. Each adds the part that does not come from attributes
+    // (baseMaxLife etc., fixed at creation). The stored accuracy, evasion and critChance are the entity's
+    // physical combat ratings. Hosts recompute all of these whenever an attribute may have changed.
+
+    const DERIVED_MAXIMUMS = {
+        maxLife: { resource: 'life', base: 'baseMaxLife' },
+        maxManaPoints: { resource: 'manaPoints', base: 'baseMaxManaPoints' },
+        maxActionPoints: { resource: 'actionPoints', base: 'baseMaxActionPoints' }
+    };
+
+    /** How much of each resource maximum the given attributes provide. */
+    function getAttributeShares(playerDefaults, attributes) {
+        const defaults = Object.assign({}, DEFAULT_PLAYER_STATS, playerDefaults || {});
+        return {
+            maxLife: (Number(attributes.body) || 0) * defaults.lifePerBodyPoint,
+            maxManaPoints: (Number(attributes.mind) || 0) * defaults.manaPerMindPoint,
+            maxActionPoints: Math.floor((Number(attributes.instinct) || 0) / defaults.instinctForAPBonus)
+        };
+    }
+
+    /**
+     * The stats that follow from the entity's effective attributes: its resource maximums and combat ratings.
+     * @returns {{maxLife: number, maxManaPoints: number, maxActionPoints: number, accuracy: number, evasion: number, critChance: number}}
+     */
+    function getDerivedStats(world, entity) {
+        const stats = getComponent(entity, 'stats') || {};
+        const shares = getAttributeShares(world.getConfig().player, getAttributes(world, entity));
+        const derived = {};
+        for (const stat of Object.keys(DERIVED_MAXIMUMS)) {
+            derived[stat] = Math.max(1, (stats[DERIVED_MAXIMUMS[stat].base] || 0) + shares[stat]);
+        }
+        const { accuracy, evasion, critChance } = getCombatRatings(world, entity, 'physical');
+        return Object.assign(derived, { accuracy, evasion, critChance });
+    }
+
+    /**
+     * Where a resource stands after its maximum moves from oldMax to newMax: a higher maximum adds the
+     * difference, a lower one caps it. An unchanged maximum leaves it be, so bonus AP granted above the
+     * maximum (see resource_regen's aboveMaximum) survives unrelated status changes.
+     */
+    function getResourceAfterMaxChange(current, oldMax, newMax) {
+        if (newMax > oldMax) return current + (newMax - oldMax);
+        return newMax < oldMax ? Math.min(current, newMax) : current;
+    }
+
+    // --- Progression ---
+    // config.progression.levelXp[n] is the total XP needed to reach level n + 1; its last entry is the level
+    // cap. Earning enough XP makes a level-up available, taken as a logged 'levelUp' action with one of the
+    // choices from getLevelUpChoices:
+    //   { type: 'attribute', attribute, points }   attributePointsPerLevel points into body, mind or instinct
+    //   { type: 'skill', skillId }                 a skill the entity's skill tree lets it learn
+    //   { type: 'skillRank', skillId, rank }       the next rank of a known skill; see the Skill trees section
+    // Attribute points are kept in stats.allocatedAttributes, learned skills in stats.learnedSkills and ranks
+    // on the skills themselves, which together are what a player's saved progress holds (see getProgression).
+
+    const DEFAULT_PROGRESSION = { levelXp: [0], attributePointsPerLevel: 2 };
+
+    function getProgressionConfig(config) {
+        return Object.assign({}, DEFAULT_PROGRESSION, config.progression || {});
+    }
+
+    /** The level a total amount of XP is worth, up to the level cap. */
+    function getLevelForXp(config, xp) {
+        const { levelXp } = getProgressionConfig(config);
+        let level = 1;
+        while (level < levelXp.length && xp >= levelXp[level]) level++;
+        return level;
+    }
+
+    /** How many level-ups the entity has earned but not yet taken. */
+    function getPendingLevelUps(world, entity) {
+        const stats = getComponent(entity, 'stats');
+        if (!stats) return 0;
+        return Math.max(0, getLevelForXp(world.getConfig(), stats.xp || 0) - (stats.level || 1));
+    }
+
+    /** The rewards the entity may pick from for its next level-up. */
+    function getLevelUpChoices(world, entity) {
+        const config = world.getConfig();
+        const progression = getProgressionConfig(config);
+        const choices = ATTRIBUTE_NAMES.map(attribute => ({ type: 'attribute', attribute, points: progression.attributePointsPerLevel }));
+        return choices.concat(getSkillTreeChoices(world, entity));
+    }
+
+    /**
+     * Whether the entity may take a level-up with the given choice.
+     * @param {{type: string, attribute?: string, skillId?: string}} choice
+     * @returns {{ok: boolean, reason?: string, choice?: object}} On success, the matching entry of getLevelUpChoices.
+     */
+    function checkLevelUp(world, entity, choice) {
+        if (getPendingLevelUps(world, entity) <= 0) return fail('No level-up is available.');
+        const match = choice && getLevelUpChoices(world, entity).find(option =>
+            option.type === choice.type && option.attribute === choice.attribute &&
+            option.skillId === choice.skillId && option.rank === choice.rank);
+        if (!match) return fail('That is not one of the level-up choices.');
+        return { ok: true, choice: match };
+    }
+
+    /**
+     * What a player carries from one run to the next: its level, XP, spent attribute points, learned skills
+     * and skill ranks. handleSubmitReplay saves them from a verified run and handleGetPlayerData passes them back
+     * into the player's next character.
+     */
+    function getProgression(entity) {
+        const stats = getComponent(entity, 'stats') || {};
+        const skillRanks = {};
+        for (const skill of (getComponent(entity, 'skills') || {}).skills || []) {
+            if ((skill.rank || 1) > 1) skillRanks[skill.id] = skill.rank;
+        }
+        return {
+            level: stats.level || 1,
+            xp: stats.xp || 0,
+            allocatedAttributes: Object.assign({}, stats.allocatedAttributes),
+            learnedSkills: (stats.learnedSkills || []).slice(),
+            skillRanks
+        };
+    }
+
+    // --- Skill trees ---
+    // config.skillTrees (the SkillTrees sheet, one row per archetype) holds each tree's `nodes`, keyed by skill ID:
+    //   { requiredLevel, prerequisites: [skillId], ranks: [upgrade] }
+    // A skill can be learned on a level-up to requiredLevel or later, once every prerequisite is known.
+    // `ranks` lists the upgrades past rank 1, each taken on a level-up of its own and added to those before it:
+    //   { requiredLevel, apCost, mpCost, cooldown, range, charges, damageMultiplier }
+    // Costs, cooldown, range and charges change by the amounts given; damageMultiplier is added to the multiplier of
+    // every damage effect of the skill (and of its custom_script effects, which pass it on). An entity's tree is its skills' skillTreeId (the player's archetype).
+
+    const SKILL_UPGRADE_FIELDS = ['apCost', 'mpCost', 'cooldown', 'range', 'charges'];
+
+    /** The nodes of the entity's skill tree, keyed by skill ID; empty for entities without one. */
+    function getSkillTreeNodes(world, entity) {
+        const skillsData = getComponent(entity, 'skills');
+        const tree = skillsData && skillsData.skillTreeId && (world.getConfig().skillTrees || {})[skillsData.skillTreeId];
+        return (tree && tree.nodes) || {};
+    }
+
+    /**
+     * A skill's config at a rank: its Skills sheet row with the first rank - 1 upgrades of the entity's
+     * skill tree node applied, plus its `id` and `rank`.
+     * @param {object} world
+     * @param {object} entity
+     * @param {string} skillId
+     * @param {number} [rank=1]
+     * @returns {object|null} Null if the skill is not in config.skills.
+     */
+    function getSkillConfig(world, entity, skillId, rank = 1) {
+        const baseConfig = (world.getConfig().skills || {})[skillId];
+        if (!baseConfig) return null;
+        const skillConfig = Object.assign({}, baseConfig, { id: skillId, rank });
+        const upgrades = ((getSkillTreeNodes(world, entity)[skillId] || {}).ranks || []).slice(0, rank - 1);
+        if (upgrades.length === 0) return skillConfig;
+
+        const cost = getSkillCost(baseConfig);
+        const values = { apCost: cost.ap, mpCost: cost.mp, cooldown: getSkillCooldown(baseConfig), range: Number(baseConfig.range) || 0, charges: getMaxCharges(baseConfig) };
+        let damageMultiplier = 0;
+        for (const upgrade of upgrades) {
+            SKILL_UPGRADE_FIELDS.forEach(field => { values[field] += Number(upgrade[field]) || 0; });
+            damageMultiplier += Number(upgrade.damageMultiplier) || 0;
+        }
+        SKILL_UPGRADE_FIELDS.forEach(field => { skillConfig[field] = Math.max(0, values[field]); });
+        skillConfig.effects = (baseConfig.effects || []).map(effect => effect.type === 'damage' || effect.type === 'custom_script'
+            ? Object.assign({}, effect, { multiplier: (effect.multiplier || 1.0) + damageMultiplier })
+            : effect);
+        return skillConfig;
+    }
+
+    /**
+     * The skill tree's level-up choices for the entity's next level: skills whose level requirement and
+     * prerequisites are met, and the next rank of each known skill that has one.
+     */
+    function getSkillTreeChoices(world, entity) {
+        const skillsData = getComponent(entity, 'skills');
+        const stats = getComponent(entity, 'stats');
+        if (!skillsData || !stats) return [];
+        const nextLevel = (stats.level || 1) + 1;
+        const nodes = getSkillTreeNodes(world, entity);
+        const skillConfigs = world.getConfig().skills || {};
+        const choices = [];
+        for (const skillId of Object.keys(nodes)) {
+            const node = nodes[skillId];
+            if (!skillConfigs[skillId]) continue;
+            const known = skillsData.skills.find(skill => skill.id === skillId);
+            if (!known) {
+                const prerequisitesMet = (node.prerequisites || []).every(id => skillsData.skills.some(skill => skill.id === id));
+                if (prerequisitesMet && nextLevel >= (node.requiredLevel || 1)) choices.push({ type: 'skill', skillId });
+                continue;
+            }
+            const rank = known.rank || 1;
+            const upgrade = (node.ranks || [])[rank - 1];
+            if (upgrade && nextLevel >= (upgrade.requiredLevel || 1)) choices.push({ type: 'skillRank', skillId, rank: rank + 1 });
+        }
+        return choices;
+    }
+
+    // --- Traits ---
+    // A trait's `effects` (from the Traits sheet, or config.traits[id] for a trait given by ID) may hold:
+    //   { type: 'stat_bonus', stat, value }             added to the stat once, when the entity is created.
+    //                                                   A bonus to a maximum (maxLife, maxManaPoints,
+    //                                                   maxActionPoints) goes to its part that does not
+    //                                                   come from attributes, and the entity starts full.
+    //   { type: 'stat_modifier', ... }                  applied while the trait is held; see getStatModifiers.
+    //   { type: 'damage_bonus', multiplier, condition } scales the damage the entity deals in combat while
+    //                                                   the condition (a key of TRAIT_CONDITIONS) holds.
+
+    /** Conditions a trait effect can depend on, checked against the entity's current stats. */
+    const TRAIT_CONDITIONS = {
+        fullLife: (stats) => stats.life >= stats.maxLife
+    };
+
+    function getTraitId(trait) {
+        return typeof trait === 'string' ? trait : trait.id;
+    }
+
+    function getTraitEffects(trait, traitConfigs) {
+        if (typeof trait === 'object' && trait.effects) return trait.effects;
+        return ((traitConfigs || {})[getTraitId(trait)] || {}).effects || [];
+    }
+
+    /**
+     * Adds the `stat_bonus` effects of the stats' traits to the stats, in place.
+     * @param {object} stats - A stat block from createStats.
+     * @param {object} [traitConfigs] - config.traits.
+     */
+    function applyTraitBonuses(stats, traitConfigs) {
+        for (const trait of stats.traits) {
+            for (const effect of getTraitEffects(trait, traitConfigs)) {
+                if (effect.type !== 'stat_bonus' || !effect.stat) continue;
+                const value = Number(effect.value) || 0;
+                if (ATTRIBUTE_NAMES.indexOf(effect.stat) !== -1) {
+                    stats.attributes[effect.stat] += value;
+                    continue;
+                }
+                const stat = DERIVED_MAXIMUMS[effect.stat] ? DERIVED_MAXIMUMS[effect.stat].base : effect.stat;
+                stats[stat] = (Number(stats[stat]) || 0) + value;
+            }
+        }
+    }
+
+    /**
+     * The product of the attacker's `damage_bonus` trait effects whose conditions hold right now.
+     * @returns {number} 1 if none apply.
+     */
+    function getTraitDamageMultiplier(world, attacker, attack) {
+        const stats = getComponent(attacker, 'stats');
+        if (!stats) return 1;
+        const traitConfigs = world.getConfig().traits;
+        let multiplier = 1;
+        for (const trait of stats.traits || []) {
+            for (const effect of getTraitEffects(trait, traitConfigs)) {
+                if (effect.type !== 'damage_bonus') continue;
+                if (effect.kind && effect.kind !== attack.kind) continue;
+                const condition = TRAIT_CONDITIONS[effect.condition];
+                if (effect.condition && !(condition && condition(stats))) continue;
+                multiplier *= Number(effect.multiplier) || 1;
+            }
+        }
+        return multiplier;
+    }
+
+    // --- Damage types ---
+    // Every damage type belongs to one of DAMAGE_CATEGORIES through config.damageTypes; a missing type is
+    // physical. Physical damage is rolled with the physical combat formulas, magical and elemental damage
+    // with the magical ones. Before damage is taken, the target's resistances and vulnerabilities for the
+    // type and for its category scale it (see getResistedDamage).
+
+    /**
+     * The category a damage type belongs to.
+     * @param {object} config - The game config.
+     * @param {?string} damageType - e.g. 'fire'. A category name is its own category.
+     * @returns {'physical'|'magical'|'elemental'}
+     */
+    function getDamageCategory(config, damageType) {
+        if (!damageType) return 'physical';
+        const typeConfig = (config.damageTypes || {})[damageType];
+        if (typeConfig && typeConfig.category) return typeConfig.category;
+        return DAMAGE_CATEGORIES.indexOf(damageType) !== -1 ? damageType : 'physical';
+    }
+
+    /**
+     * How much of a damage type gets through to the target: 1 minus its resistance plus its vulnerability,
+     * counting entries for both the type and its category. Resistance is capped at combatFormulas.settings.maxResistance.
+     * @returns {number} A multiplier of 0 or more.
+     */
+    function getDamageMultiplier(world, target, damageType) {
+        const config = world.getConfig();
+        const stats = getComponent(target, 'stats') || {};
+        const category = getDamageCategory(config, damageType);
+        const sum = (table) => {
+            const values = table || {};
+            return (values[damageType] || 0) + (category !== damageType ? values[category] || 0 : 0);
+        };
+        const maxResistance = ((config.combatFormulas || {}).settings || {}).maxResistance;
+        const resistance = Math.min(maxResistance === undefined ? 100 : maxResistance, sum(stats.resistances));
+        return Math.max(0, 1 - resistance / 100 + sum(stats.vulnerabilities) / 100);
+    }
+
+    /**
+     * Damage of a given type after the target's resistances, vulnerabilities and damage reduction. All damage
+     * goes through here (attacks, skills, traps, status ticks); untyped damage is physical.
+     * @returns {number}
+     */
+    function getResistedDamage(world, target, amount, damageType) {
+        const multiplier = getDamageMultiplier(world, target, damageType || 'physical') * (1 - getEffectiveStat(world, target, 'damageReduction'));
+        return Math.max(0, Math.round(Math.max(0, amount) * multiplier));
+    }
+
+    // --- Combat ---
+    // Every hit is rolled through resolveCombat() with the formulas in config.combatFormulas:
+    //   hit chance   accuracy (from instinct/body, or mind/instinct for magic, minus a penalty per hex
+    //                beyond adjacent) minus the defender's evasion (from instinct), within min/maxAccuracy
+    //   crit chance  from instinct (physical) or mind (magical), within min/maxCritChance; the defender's
+    //                resilience takes that share off the crit's bonus damage
+    //   damage       base damage plus the attacker's attribute bonus (and magicAttack for magic), times the
+    //                crit multiplier, minus the defender's defense (or magicDefense), and never below minimumDamage
+    // Resistances are not part of the roll: the host applies them when the damage is taken.
+    // The rolls come from the world's seeded RNG, always in the same order, so the server repeats them exactly.
+
+    /** Where a roll of 0 to 99.99 lands, from the next RNG value. */
+    function rollPercent(world) {
+        return (world.rng() % 10000) / 100;
+    }
+
+    function getAttributes(world, entity) {
+        return {
+            body: getEffectiveStat(world, entity, 'body'),
+            mind: getEffectiveStat(world, entity, 'mind'),
+            instinct: getEffectiveStat(world, entity, 'instinct')
+        };
+    }
+
+    /** An attack of the given damage type, rolled as physical or magical by the type's category. */
+    function createAttack(world, damageType, baseDamage, canMiss) {
+        const category = getDamageCategory(world.getConfig(), damageType);
+        return { kind: category === 'physical' ? 'physical' : 'magical', damageType, category, baseDamage, canMiss };
+    }
+
+    /**
+     * The attack a basic attack makes, of the attacker's attackDamageType (physical unless its blueprint says otherwise).
+     * @returns {{kind: 'physical'|'magical', damageType: string, category: string, baseDamage: number, canMiss: boolean}}
+     */
+    function getBasicAttack(world, attacker) {
+        const stats = getComponent(attacker, 'stats') || {};
+        return createAttack(world, stats.attackDamageType || 'physical', getAttackDamage(world, attacker), true);
+    }
+
+    /**
+     * The attack a skill's 'damage' effect makes, of the effect's damageType (physical if it has none).
+     * An effect with `canMiss: false` always hits.
+     * @returns {{kind: 'physical'|'magical', damageType: string, category: string, baseDamage: number, canMiss: boolean}}
+     */
+    function getEffectAttack(world, source, effect) {
+        const attack = createAttack(world, effect.damageType || 'physical', getEffectDamage(world, source, effect), effect.canMiss !== false);
+        attack.alwaysCrits = effect.alwaysCrits === true;
+        return attack;
+    }
+
+    /**
+     * The chances an attack hits and crits, before rolling.
+     * @returns {{hitChance: number, critChance: number}}
+     */
+    function getHitChances(world, attacker, defender, attack) {
+        const { factors, settings } = world.getConfig().combatFormulas;
+        const offense = getCombatRatings(world, attacker, attack.kind);
+        const { evasion } = getCombatRatings(world, defender, attack.kind);
+        const extraDistance = attacker.hex && defender.hex ? Math.max(0, hexDistance(attacker.hex, defender.hex) - 1) : 0;
+        const distancePenalty = extraDistance * (attack.kind === 'magical' ? factors.distanceFactorMagical : factors.distanceFactorPhysical);
+        return {
+            hitChance: clamp(offense.accuracy - distancePenalty - evasion, settings.minAccuracy, settings.maxAccuracy),
+            critChance: clamp(offense.critChance, settings.minCritChance, settings.maxCritChance)
+        };
+    }
+
+    /**
+     * An entity's accuracy and crit chance with attacks of the given kind, and its evasion, from its
+     * effective attributes and accuracy/crit/evasion bonuses. Accuracy is before the distance penalty.
+     * @param {'physical'|'magical'} kind
+     * @returns {{accuracy: number, critChance: number, evasion: number}}
+     */
+    function getCombatRatings(world, entity, kind) {
+        const { base, factors, settings } = world.getConfig().combatFormulas;
+        const a = getAttributes(world, entity);
+        let accuracy, critChance;
+        if (kind === 'magical') {
+            accuracy = base.accuracyMagical + a.mind * factors.accuracyMindFactor + a.instinct * factors.accuracyInstinctMagicFactor;
+            critChance = base.critChanceMagical + a.mind * factors.critMindFactor;
+        } else {
+            accuracy = base.accuracyPhysical + a.instinct * factors.accuracyInstinctFactor + a.body * factors.accuracyBodyFactor;
+            critChance = base.critChancePhysical + a.instinct * factors.critInstinctFactor;
+        }
+        return {
+            accuracy: accuracy + getEffectiveStat(world, entity, 'accuracyBonus'),
+            critChance: critChance + getEffectiveStat(world, entity, 'critChanceBonus'),
+            evasion: Math.min(settings.maxEvasion,
+                base.evasion + a.instinct * factors.evasionInstinctFactor + getEffectiveStat(world, entity, 'evasionBonus'))
+        };
+    }
+
+    /**
+     * Rolls an attack against a defender: whether it hits, whether it crits and how much damage gets through.
+     * Draws one RNG value for the hit (if the attack can miss) and one for the crit (if it hit).
+     * @param {object} world
+     * @param {object} attacker
+     * @param {object} defender
+     * @param {object} attack - From getBasicAttack or getEffectAttack.
+     * @returns {{hit: boolean, crit: boolean, damage: number, hitChance: number, critChance: number}}
+     */
+    function resolveCombat(world, attacker, defender, attack) {
+        const { base, factors, settings } = world.getConfig().combatFormulas;
+        const { hitChance, critChance } = getHitChances(world, attacker, defender, attack);
+        if (attack.canMiss && rollPercent(world) >= hitChance) {
+            return { hit: false, crit: false, damage: 0, hitChance, critChance };
+        }
+        // The crit is rolled even when the attack always crits, so both hosts draw the same numbers either way.
+        const crit = rollPercent(world) < critChance || attack.alwaysCrits === true;
+
+        const a = getAttributes(world, attacker);
+        const d = getAttributes(world, defender);
+        let damage, defense, resilience;
+        if (attack.kind === 'magical') {
+            damage = attack.baseDamage + getEffectiveStat(world, attacker, 'magicAttack') + a.mind * factors.mindMagDamageFactor;
+            defense = base.defenseMagical + getEffectiveStat(world, defender, 'magicDefense')
+                + d.mind * factors.defenseMindFactor + d.instinct * factors.defenseInstinctMagFactor;
+            resilience = base.resilienceMagical + d.mind * factors.resilienceMindFactor + d.instinct * factors.resilienceInstinctMagFactor;
+        } else {
+            damage = attack.baseDamage + a.body * factors.bodyPhysDamageFactor + a.instinct * factors.instinctPhysDamageFactor;
+            defense = base.defensePhysical + getEffectiveStat(world, defender, 'defense')
+                + d.body * factors.defenseBodyFactor + d.instinct * factors.defenseInstinctPhysFactor;
+            resilience = base.resiliencePhysical + d.body * factors.resilienceBodyFactor + d.instinct * factors.resilienceInstinctFactor;
+        }
+        damage *= getTraitDamageMultiplier(world, attacker, attack);
+        if (crit) {
+            const resisted = Math.min(settings.maxResilience, resilience) / 100;
+            damage *= 1 + (factors.critDamageMultiplier - 1) * (1 - resisted);
+        }
+        damage = Math.max(settings.minimumDamage, Math.floor(damage - defense));
+        return { hit: true, crit, damage, hitChance, critChance };
+    }
+
+    // --- Statuses ---
+    // A status in config.statusEffects may set, besides its effects and duration:
+    //   stacking   what applying it again does: 'refresh' (the default) restarts the duration; 'stack'
+    //              restarts it and adds a stack of intensity; 'independent' adds an instance with its own
+    //              duration. Stacks and instances are capped at `maxstacks` (default 1 for 'refresh', else 3).
+    //              Each stack or instance counts once towards stat modifiers and per-turn ticks.
+    //   tags       categories such as 'buff', 'debuff', 'poison'. Immunities and cleanse/dispel effects match
+    //              them (and the status ID itself).
+    //   breaksOn   actions of its carrier that end it: 'attack' (any attack it makes, basic or from a skill)
+    //              and 'skill' (using a skill; checked once the skill is paid for, before its effects).
+    // An entity is immune to a status if one of its tags is in its stats.immunities or in the `tags` of an
+    // `{ type: 'immunity', tags }` effect of one of its active statuses.
+
+    const DEFAULT_MAX_STACKS = 3;
+
+    function getStatusConfig(world, statusId) {
+        return (world.getConfig().statusEffects || {})[statusId] || null;
+    }
+
+    /** Whether the entity currently has the status. */
+    function hasStatus(entity, statusId) {
+        const statusData = getComponent(entity, 'statusEffects');
+        return !!(statusData && statusData.activeStatuses && statusData.activeStatuses[statusId]);
+    }
+
+    /** The status ID followed by its configured tags. */
+    function getStatusTags(world, statusId) {
+        const statusConfig = getStatusConfig(world, statusId) || {};
+        return [statusId].concat(Array.isArray(statusConfig.tags) ? statusConfig.tags : []);
+    }
+
+    function getMaxStacks(statusConfig) {
+        const stacking = statusConfig.stacking || 'refresh';
+        if (stacking === 'refresh') return 1;
+        return Math.max(1, Number(statusConfig.maxstacks) || DEFAULT_MAX_STACKS);
+    }
+
+    /**
+     * Builds the active-status record for a status effect from config.statusEffects.
+     * @returns {{id: string, effects: object[], duration: number, stacks: number, instances?: number[]}|null}
+     *   Null if the status is unknown or has no effects. `instances` holds each instance's duration for 'independent' statuses.
+     */
+    function createStatus(world, statusId, durationOverride) {
+        const statusConfig = getStatusConfig(world, statusId);
+        if (!statusConfig || !statusConfig.effects) return null;
+        const duration = durationOverride ?? statusConfig.duration;
+        const status = { id: statusId, effects: statusConfig.effects, duration, stacks: 1 };
+        if (statusConfig.stacking === 'independent') status.instances = [duration];
+        return status;
+    }
+
+    /**
+     * The record a status has after being applied (again): a new one, or the existing one refreshed, stacked
+     * or given another instance, following the status's `stacking` rule. The existing record is not changed.
+     * @param {object} world
+     * @param {?object} existing - The entity's current record for this status, if any.
+     * @param {string} statusId
+     * @param {number} [durationOverride]
+     * @returns {?object} The record to store, or null if the status is unknown.
+     */
+    function stackStatus(world, existing, statusId, durationOverride) {
+        const fresh = createStatus(world, statusId, durationOverride);
+        if (!fresh || !existing) return fresh;
+        const statusConfig = getStatusConfig(world, statusId);
+        const maxStacks = getMaxStacks(statusConfig);
+        switch (statusConfig.stacking || 'refresh') {
+            case 'stack':
+                return Object.assign({}, fresh, { stacks: Math.min(maxStacks, (existing.stacks || 1) + 1) });
+            case 'independent': {
+                // At the cap, the new instance replaces the one closest to running out (indefinite ones never do).
+                const instances = (existing.instances || [existing.duration]).slice();
+                if (instances.length >= maxStacks) {
+                    const remaining = instances.map(d => (d < 0 ? Infinity : d));
+                    instances.splice(remaining.indexOf(Math.min.apply(null, remaining)), 1);
+                }
+                instances.push(fresh.duration);
+                return Object.assign({}, fresh, { instances, stacks: instances.length, duration: getLongestDuration(instances) });
+            }
+            default:
+                return fresh;
+        }
+    }
+
+    function getLongestDuration(durations) {
+        return durations.some(d => d < 0) ? -1 : Math.max.apply(null, durations);
+    }
+
+    /**
+     * Counts a status down by one turn. Statuses (and instances) with a positive duration expire when it reaches 0;
+     * a negative duration never runs out.
+     * @param {object} status - An active-status record.
+     * @returns {?object} The updated record, or null once it has expired.
+     */
+    function tickStatus(status) {
+        if (status.instances) {
+            const instances = status.instances.filter(d => d !== 1).map(d => (d > 0 ? d - 1 : d));
+            if (instances.length === 0) return null;
+            return Object.assign({}, status, { instances, stacks: instances.length, duration: getLongestDuration(instances) });
+        }
+        if (status.duration > 0 && status.duration - 1 === 0) return null;
+        return status.duration > 0 ? Object.assign({}, status, { duration: status.duration - 1 }) : status;
+    }
+
+    /**
+     * Whether an entity shrugs off a status: one of the status's tags is among the entity's immunities.
+     * @returns {boolean}
+     */
+    function isImmuneToStatus(world, entity, statusId) {
+        const immunities = ((getComponent(entity, 'stats') || {}).immunities || []).slice();
+        const statusData = getComponent(entity, 'statusEffects');
+        if (statusData) {
+            for (const activeId of Object.keys(statusData.activeStatuses || {})) {
+                for (const effect of statusData.activeStatuses[activeId].effects || []) {
+                    if (effect.type === 'immunity') immunities.push.apply(immunities, effect.tags || []);
+                }
+            }
+        }
+        return getStatusTags(world, statusId).some(tag => immunities.indexOf(tag) !== -1);
+    }
+
+    /**
+     * The statuses a cleanse or dispel removes from an entity: those with one of the given tags, oldest first,
+     * at most `count` of them if set. A 'cleanse' effect defaults to the 'debuff' tag, a 'dispel' to 'buff'.
+     * @param {object} world
+     * @param {object} entity
+     * @param {{type?: string, tags?: string[], count?: number}} effect
+     * @returns {string[]} The status IDs to remove.
+     */
+    function getStatusesToRemove(world, entity, effect) {
+        const statusData = getComponent(entity, 'statusEffects');
+        if (!statusData) return [];
+        const tags = effect.tags || [effect.type === 'dispel' ? 'buff' : 'debuff'];
+        const matching = Object.keys(statusData.activeStatuses || {})
+            .filter(statusId => getStatusTags(world, statusId).some(tag => tags.indexOf(tag) !== -1));
+        return effect.count > 0 ? matching.slice(0, effect.count) : matching;
+    }
+
+    /** The statuses an entity loses by taking an action: 'attack' or 'skill' (see `breaksOn` above). */
+    function getStatusesBrokenBy(world, entity, action) {
+        const statusData = getComponent(entity, 'statusEffects');
+        if (!statusData) return [];
+        return Object.keys(statusData.activeStatuses || {}).filter(statusId => {
+            const statusConfig = getStatusConfig(world, statusId) || {};
+            const breaksOn = statusConfig.breaksOn || statusConfig.breakson;
+            return Array.isArray(breaksOn) && breaksOn.indexOf(action) !== -1;
+        });
+    }
+
+    // --- Status ticks ---
+    // Statuses can act every turn of the entity carrying them, at the start of its turn (the default) or at
+    // its end (`timing: 'turnEnd'`):
+    //   { type: 'damage_over_time', amount, damageType }     e.g. poison; taken through getResistedDamage
+    //   { type: 'heal_over_time', amount }
+    //   { type: 'resource_drain', resource, amount }         resource is 'actionPoints' or 'manaPoints'
+    //   { type: 'resource_regen', resource, amount }         up to the resource's cap, or past it with aboveMaximum
+    //   { type: 'stun' }                                     the entity loses its turn: all its AP, and an AI its intent
+    // A turn runs: AP refresh, start-of-turn ticks, status durations count down ... actions ... end-of-turn ticks.
+    // So an AP drain bites into the refreshed AP, and a status still ticks on the turn it runs out.
+
+    const STATUS_TICK_TYPES = {
+        damage_over_time: 'damage',
+        heal_over_time: 'heal',
+        resource_drain: 'drain',
+        resource_regen: 'regen',
+        stun: 'stun'
+    };
+
+    /**
+     * What an entity's statuses do at the start or end of its turn, in the order the statuses were applied.
+     * A status with several stacks or instances ticks for its amount times their number.
+     * @param {object} entity
+     * @param {'turnStart'|'turnEnd'} timing
+     * @returns {{statusId: string, type: 'damage'|'heal'|'drain'|'regen'|'stun', amount: number, damageType?: string, resource?: string, aboveMaximum?: boolean}[]}
+     */
+    function getStatusTicks(entity, timing) {
+        const statusData = getComponent(entity, 'statusEffects');
+        const ticks = [];
+        if (!statusData) return ticks;
+        for (const statusId of Object.keys(statusData.activeStatuses || {})) {
+            const status = statusData.activeStatuses[statusId];
+            for (const effect of status.effects || []) {
+                const type = STATUS_TICK_TYPES[effect.type];
+                if (!type || (effect.timing || 'turnStart') !== timing) continue;
+                const tick = { statusId, type, amount: Math.max(0, Number(effect.amount) || 0) * (status.stacks || 1) };
+                if (type === 'damage') tick.damageType = effect.damageType || 'physical';
+                if (type === 'drain' || type === 'regen') tick.resource = effect.resource === 'manaPoints' ? 'manaPoints' : 'actionPoints';
+                if (type === 'regen' && effect.aboveMaximum) tick.aboveMaximum = true;
+                ticks.push(tick);
+            }
+        }
+        return ticks;
+    }
+
+    /** The most a resource can be refilled to: the effective maximum for AP, maxManaPoints for MP. */
+    function getResourceCap(world, entity, resource) {
+        if (resource === 'actionPoints') return getEffectiveStat(world, entity, 'maxActionPoints');
+        return (getComponent(entity, 'stats') || {}).maxManaPoints || 0;
+    }
+
+    return {
+        DIRECTIONS,
+        SPAWN_ORDER,
+        createSeededRNG,
+        generateDeterministicUUID,
+        hexDistance,
+        hexEquals,
+        hexLine,
+        isInGrid,
+        getComponent,
+        isAlive,
+        getActionCosts,
+        getBlueprint,
+        resolveComponentArgs,
+        createStats,
+        createComponentData,
+        getKillReward,
+        getTilesInRange,
+        getEntityAt,
+        getWalkableNeighbors,
+        hasLineOfSight,
+        getVisibleTiles,
+        getEffectiveMovementRange,
+        findPath,
+        findPathToAdjacent,
+        planMove,
+        planAttack,
+        planInteraction,
+        planPlayerInput,
+        getAttackDamage,
+        getAutoInteractions,
+        canTrapTrigger,
+        declareIntent,
+        getSkillField,
+        getSkillCost,
+        getSkillCooldown,
+        getEffectiveCooldown,
+        getMaxCharges,
+        getChargesLeft,
+        getSkillStateAfterUse,
+        getSkillStateAtTurnStart,
+        getSkillStateOnNewMap,
+        checkSkillUse,
+        getConeHexes,
+        checkSkillTarget,
+        getSkillTargetTiles,
+        getSkillArea,
+        getEffectTargets,
+        runSkillScript,
+        getForcedMoveTargets,
+        planForcedMove,
+        STANCE_DURATION,
+        isStanceSkill,
+        isStanceActive,
+        getStanceConflicts,
+        getStanceUpkeep,
+        checkCasterCondition,
+        checkCondition,
+        getCastCost,
+        getEffectDamage,
+        getStatModifiers,
+        getEffectiveStat,
+        getDamageCategory,
+        getDamageMultiplier,
+        getResistedDamage,
+        getBasicAttack,
+        getEffectAttack,
+        getHitChances,
+        resolveCombat,
+        hasStatus,
+        getStatusTags,
+        createStatus,
+        stackStatus,
+        tickStatus,
+        isImmuneToStatus,
+        getStatusesToRemove,
+        getStatusesBrokenBy,
+        getTraitDamageMultiplier,
+        getLevelForXp,
+        getPendingLevelUps,
+        getLevelUpChoices,
+        checkLevelUp,
+        getProgression,
+        getSkillTreeNodes,
+        getSkillConfig,
+        getSkillTreeChoices,
+        DERIVED_MAXIMUMS,
+        getDerivedStats,
+        getResourceAfterMaxChange,
+        getStatusTicks,
+        getResourceCap
+    };
+})();
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.RulesCore = RulesCore;
+}
@@ -1,3 +1,5 @@
+import RulesCore from './rules.js';
+
 /**
  * Represents a skill instance with its static properties from the configuration
  * and its dynamic state during gameplay (e.g., cooldowns).
@@ -23,15 +25,18 @@ class Skill {
         /** @type {string} A detailed description of what the skill does. */
         this.description = skillConfig.description || "";
 
+        /** @type {number} The skill's rank in its skill tree; each rank past the first is an upgrade. */
+        this.rank = skillConfig.rank || 1;
+
         /** @type {object} The resource cost to use the skill (e.g., { ap: 2, mp: 10 }). */
-        this.cost = skillConfig.cost || { ap: 1 };
+        this.cost = RulesCore.getSkillCost(skillConfig);
 
         /** @type {number} The Action Point cost of the skill. */
-        this.apCost = this.cost.ap || 0;
-        this.mpCost = this.cost.mp || 0;
+        this.apCost = this.cost.ap;
+        this.mpCost = this.cost.mp;
         
         /** @type {string} The category of targeting for the skill. */
-        this.targetType = skillConfig.targetType || "self";
+        this.targetType = RulesCore.getSkillField(skillConfig, 'targetType') || "self";
 
         /** @type {number} The range of the skill in hexes. */
         this.range = skillConfig.range || 0;
@@ -40,13 +45,28 @@ class Skill {
         this.effects = skillConfig.effects || [];
 
         /** @type {number} The base cooldown in turns after the skill is used. */
-        this.cooldown = skillConfig.cooldown || 0;
+        this.cooldown = RulesCore.getSkillCooldown(skillConfig);
+
+        /** @type {number} The charges the skill holds, or 0 if it does not use charges. */
+        this.charges = RulesCore.getMaxCharges(skillConfig);
 
-        /** @type {boolean} Indicates if the skill is a toggleable stance. */
-        this.toggleable = skillConfig.toggleable || false;
+        /** @type {number} The base turns a spent charge takes to come back. */
+        this.chargeRegenTurns = Number(RulesCore.getSkillField(skillConfig, 'chargeRegenTurns')) || 0;
+
+        /** @type {'map'|'run'|null} Whether the skill can only be used once per map or once per run. */
+        this.useLimit = RulesCore.getSkillField(skillConfig, 'useLimit') || null;
+
+        /** @type {boolean} Indicates if the skill is a toggleable stance (see RulesCore's Stances section). */
+        this.toggleable = RulesCore.getSkillField(skillConfig, 'toggleable') === true;
         
-        /** @type {string|null} The name of the status effect this skill applies. */
-        this.statusToApply = skillConfig.statusToApply || null;
+        /** @type {string|null} The ID of the status effect a stance holds while active. */
+        this.statusToApply = RulesCore.getSkillField(skillConfig, 'statusToApply') || null;
+
+        /** @type {string|null} Stances in the same group are mutually exclusive. */
+        this.stanceGroup = RulesCore.getSkillField(skillConfig, 'stanceGroup') || null;
+
+        /** @type {{ap?: number, mp?: number}|null} What an active stance costs at the start of each turn. */
+        this.upkeep = skillConfig.upkeep || null;
         
         /** @type {boolean} Determines if a movement path is shown in the preview. Defaults to false. */
         this.allowsMovement = skillConfig.allowsMovement === true; // Only true if explicitly set to true
@@ -58,7 +78,22 @@ class Skill {
          */
         this.cooldownTurnsRemaining = 0;
 
-        /** * The current active state for toggleable skills.
+        /** * The number of charges spent and not yet regenerated.
+         * @type {number} 
+         */
+        this.chargesUsed = 0;
+
+        /** * The number of turns before the next spent charge comes back.
+         * @type {number} 
+         */
+        this.chargeTurnsRemaining = 0;
+
+        /** * Whether a skill with a use limit has been used up for this map or run.
+         * @type {boolean} 
+         */
+        this.spent = false;
+
+        /** * The current active state for toggleable skills, kept in step with the stance's status by SkillsComponent.
          * @type {boolean} 
          */
         this.isActive = false;
@@ -73,22 +108,35 @@ class Skill {
     }
 
     /**
-     * Puts the skill on its full cooldown.
+     * The number of charges ready to use, for a skill that uses charges.
+     * @returns {number}
      */
-    startCooldown() {
-        this.cooldownTurnsRemaining = this.cooldown;
+    getChargesLeft() {
+        return RulesCore.getChargesLeft(this, this);
     }
 
     /**
-     * Decrements the cooldown timer by one turn.
-     * @returns {boolean} True if the cooldown was decremented, false otherwise.
+     * Returns the runtime state that changes as the skill is used (see RulesCore's Cooldowns and charges section).
+     * @returns {{cooldownTurnsRemaining: number, chargesUsed: number, chargeTurnsRemaining: number, spent: boolean}}
      */
-    decrementCooldown() {
-        if (this.cooldownTurnsRemaining > 0) {
-            this.cooldownTurnsRemaining--;
-            return true;
-        }
-        return false;
+    getState() {
+        return {
+            cooldownTurnsRemaining: this.cooldownTurnsRemaining,
+            chargesUsed: this.chargesUsed,
+            chargeTurnsRemaining: this.chargeTurnsRemaining,
+            spent: this.spent
+        };
+    }
+
+    /**
+     * Puts back runtime state from getState() or the RulesCore skill-state rules. Missing fields count as unused.
+     * @param {object} state
+     */
+    setState(state) {
+        this.cooldownTurnsRemaining = state.cooldownTurnsRemaining || 0;
+        this.chargesUsed = state.chargesUsed || 0;
+        this.chargeTurnsRemaining = state.chargeTurnsRemaining || 0;
+        this.spent = state.spent === true;
     }
 }
 
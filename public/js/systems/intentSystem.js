@@ -25,8 +25,8 @@ class IntentSystem {
      * @private
      */
     _setupEventListeners() {
-        // When player's turn ends, enemies take their actions based on stored intents.
-        this.eventBus.subscribe('playerTurnEnded', () => this.executeStoredIntents());
+        // Enemies act on their stored intents when the Game hands over the turn (see Game.endPlayerTurn),
+        // which awaits executeStoredIntents() so the next player turn only starts once every move has played out.
         // After all enemies have acted, they declare their new intents for the next turn.
         this.eventBus.subscribe('allEnemyActionsResolved', () => this.generateAndDeclareNewIntents());
     }
@@ -67,12 +67,16 @@ class IntentSystem {
 
     /**
      * Executes actions for all enemies based on their *currently stored* intents.
+     * Enemies act one at a time: each action (and its animation) is awaited before the next enemy moves.
+     * @returns {Promise<void>} Resolves once all enemies have acted and the new intents are declared.
      */
-    executeStoredIntents() {
+    async executeStoredIntents() {
         console.log("[IntentSystem] === EXECUTING ENEMY ACTIONS ===");
         // Use the getEnemies() getter here as well for consistency and correctness.
         const enemies = this.game.gameMap.getEnemies();
         for (const enemy of enemies) {
+            // An earlier enemy may have finished the player off.
+            if (this.game.gameState.isGameOver) break;
             if (!enemy.getComponent('stats')?.isAlive()) {
                 continue;
             }
@@ -119,8 +123,8 @@ class IntentSystem {
             // e.g., actionDetails.cost = storedIntent.cost;
 
             if (storedIntent.type !== 'pass') {
-                // Publish an action event for the Game class to resolve.
-                this.eventBus.publish('entityAction', { // Assuming 'playerAction' was renamed to 'entityAction'
+                // Resolve the action through the Game directly so it can be awaited.
+                await this.game.resolveEntityAction({
                     type: storedIntent.type,
                     sourceId: enemy.id,
                     details: actionDetails
@@ -130,6 +134,8 @@ class IntentSystem {
             }
         }
         console.log("[IntentSystem] === ALL ENEMY ACTIONS PROCESSED ===");
+        // End-of-turn status ticks for the enemies run before they declare their next intents.
+        if (!this.game.gameState.isGameOver) this.eventBus.publish('enemyTurnEnded');
         // Signal that all enemies have completed their actions for this turn.
         this.eventBus.publish('allEnemyActionsResolved');
         console.log("[IntentSystem] allEnemyActionsResolved event published.");
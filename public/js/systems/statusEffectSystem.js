@@ -1,4 +1,4 @@
-import CONFIG from '../config.js';
+import RulesCore from '../rules.js';
 /**
  * Manages the lifecycle of all status effects across all entities.
  * It applies, removes, and ticks down the duration of effects.
@@ -17,14 +17,93 @@ class StatusEffectSystem {
     _setupEventListeners() {
         this.eventBus.subscribe('applyStatusEffect', (payload) => this.applyStatus(payload));
         this.eventBus.subscribe('turnStarted', (payload) => {
-            // Tick durations at the start of the relevant entity's turn segment
+            // Start-of-turn ticks, then durations count down, for the side whose turn it is.
+            // AP has already been refreshed (Game.startNewRound), so drains bite into the new AP.
             if (payload.currentTurn === 'player') {
-                this.tickDurationsForEntity(this.game.player);
+                this.startTurnForEntity(this.game.player);
             } else if (payload.currentTurn === 'enemies') {
                 // Use the getEnemies() getter which correctly filters for entities with a BehaviorComponent.
-                this.game.gameMap.getEnemies().forEach(enemy => this.tickDurationsForEntity(enemy));
+                this.game.gameMap.getEnemies().forEach(enemy => this.startTurnForEntity(enemy));
             }
         });
+        this.eventBus.subscribe('playerTurnEnded', () => {
+            this.applyTurnTicks(this.game.player, 'turnEnd');
+        });
+        this.eventBus.subscribe('enemyTurnEnded', () => {
+            this.game.gameMap.getEnemies().forEach(enemy => this.applyTurnTicks(enemy, 'turnEnd'));
+        });
+    }
+
+    /**
+     * Charges an entity's stance upkeep, runs its start-of-turn status ticks and counts its status durations down.
+     * @param {Entity} entity
+     */
+    startTurnForEntity(entity) {
+        this.payStanceUpkeep(entity);
+        this.applyTurnTicks(entity, 'turnStart');
+        this.tickDurationsForEntity(entity);
+    }
+
+    /**
+     * Pays the upkeep of the entity's active stances, dropping those it can no longer afford
+     * (see RulesCore.getStanceUpkeep).
+     * @param {Entity} entity
+     */
+    payStanceUpkeep(entity) {
+        const stats = entity?.getComponent('stats');
+        if (!stats) return;
+        for (const upkeep of RulesCore.getStanceUpkeep(this.game, entity)) {
+            const skillName = this.game.CONFIG?.skills?.[upkeep.skillId]?.name || upkeep.skillId;
+            if (upkeep.paid) {
+                stats.loseResource('actionPoints', upkeep.cost.ap);
+                stats.loseResource('manaPoints', upkeep.cost.mp);
+                continue;
+            }
+            entity.getComponent('statusEffects')?.removeStatus(upkeep.statusId);
+            this.eventBus.publish('combatLog', { message: `${entity.name} can no longer keep up ${skillName}.`, type: 'status' });
+        }
+    }
+
+    /**
+     * Applies what the entity's statuses do at the start or end of its turn: damage and healing over time,
+     * AP or MP drain and regeneration, and stuns. Stops once the entity (or the game) is over.
+     * @param {Entity} entity
+     * @param {'turnStart'|'turnEnd'} timing
+     */
+    applyTurnTicks(entity, timing) {
+        const stats = entity?.getComponent('stats');
+        if (!stats) return;
+        for (const tick of RulesCore.getStatusTicks(entity, timing)) {
+            if (!stats.isAlive() || this.game.gameState.isGameOver) break;
+            const statusName = this.game.CONFIG?.statusEffects?.[tick.statusId]?.name || tick.statusId;
+            const resourceName = tick.resource === 'manaPoints' ? 'MP' : 'AP';
+            let message;
+            switch (tick.type) {
+                case 'damage': {
+                    const damage = stats.takeDamage(tick.amount, tick.damageType);
+                    message = `${entity.name} takes ${damage} ${tick.damageType} damage from ${statusName}.`;
+                    break;
+                }
+                case 'heal':
+                    stats.heal(tick.amount);
+                    message = `${entity.name} recovers ${tick.amount} HP from ${statusName}.`;
+                    break;
+                case 'drain':
+                    stats.loseResource(tick.resource, tick.amount);
+                    message = `${statusName} drains ${tick.amount} ${resourceName} from ${entity.name}.`;
+                    break;
+                case 'regen':
+                    stats.gainResource(tick.resource, tick.amount, tick.aboveMaximum);
+                    message = `${entity.name} regains ${tick.amount} ${resourceName} from ${statusName}.`;
+                    break;
+                case 'stun':
+                    stats.loseResource('actionPoints', stats.actionPoints);
+                    entity.getComponent('intent')?.clearIntent();
+                    message = `${entity.name} is ${statusName} and loses the turn.`;
+                    break;
+            }
+            this.eventBus.publish('combatLog', { message, type: tick.type === 'damage' ? 'damage' : 'status' });
+        }
     }
 
     /**
@@ -47,22 +126,67 @@ class StatusEffectSystem {
             return;
         }
 
-        const effectConfig = CONFIG.statusEffects[effectId];
+        // Status definitions come from the server's StatusEffects sheet, merged into the game's config.
+        const effectConfig = this.game.CONFIG?.statusEffects?.[effectId];
         if (!effectConfig) {
             console.warn(`[StatusEffectSystem] Status effect config for "${effectId}" not found.`);
             return;
         }
+        if (RulesCore.isImmuneToStatus(this.game, target, effectId)) {
+            this.eventBus.publish('combatLog', { message: `${target.name} is immune to ${effectConfig.name || effectId}.`, type: 'status' });
+            this.eventBus.publish('statusEffectResisted', { entityId: targetId, statusId: effectId });
+            return;
+        }
+        // Refresh, stack or add an instance to any copy the target already has, as the status's stacking rule says.
+        const status = RulesCore.stackStatus(this.game, statusComp.activeStatuses[effectId], effectId, durationOverride);
+        if (!status) {
+            console.warn(`[StatusEffectSystem] Status effect config for "${effectId}" has no effects.`);
+            return;
+        }
 
-        // Call the correct method on the component with the correct arguments
-        statusComp.applyStatus(
-            effectConfig.id, 
-            effectConfig.effects, 
-            durationOverride ?? effectConfig.duration);
-        console.log(`[StatusEffectSystem] Applied status "${effectConfig.name}" to ${target.name}.`);
+        statusComp.applyStatus(status);
+        console.log(`[StatusEffectSystem] Applied status "${effectConfig.name || effectId}" to ${target.name}.`);
         // Optionally, publish an event that a status was applied for UI updates
         this.eventBus.publish('statusEffectApplied', { entityId: targetId, effect: effectConfig });
     }
 
+    /**
+     * Removes the statuses a cleanse or dispel effect matches (by tag) from an entity.
+     * @param {Entity} entity
+     * @param {{type: 'cleanse'|'dispel', tags?: string[], count?: number}} effect
+     * @returns {string[]} The IDs of the removed statuses.
+     */
+    removeStatusesByTag(entity, effect) {
+        const statusComp = entity?.getComponent('statusEffects');
+        if (!statusComp) return [];
+        const removed = RulesCore.getStatusesToRemove(this.game, entity, effect);
+        removed.forEach(statusId => statusComp.removeStatus(statusId));
+        if (removed.length > 0) {
+            const names = removed.map(statusId => this.game.CONFIG?.statusEffects?.[statusId]?.name || statusId);
+            const verb = effect.type === 'dispel' ? 'dispelled from' : 'cleansed from';
+            this.eventBus.publish('combatLog', { message: `${names.join(', ')} ${removed.length > 1 ? 'are' : 'is'} ${verb} ${entity.name}.`, type: 'status' });
+        }
+        return removed;
+    }
+
+    /**
+     * Removes the statuses an entity loses by taking an action (see RulesCore.getStatusesBrokenBy).
+     * @param {Entity} entity
+     * @param {'attack'|'skill'} action
+     * @returns {string[]} The IDs of the removed statuses.
+     */
+    breakStatuses(entity, action) {
+        const statusComp = entity?.getComponent('statusEffects');
+        if (!statusComp) return [];
+        const broken = RulesCore.getStatusesBrokenBy(this.game, entity, action);
+        broken.forEach(statusId => {
+            statusComp.removeStatus(statusId);
+            const statusName = this.game.CONFIG?.statusEffects?.[statusId]?.name || statusId;
+            this.eventBus.publish('combatLog', { message: `${entity.name} is no longer ${statusName}.`, type: 'status' });
+        });
+        return broken;
+    }
+
     /**
      * Ticks down the duration of status effects on a single entity.
      * @param {Entity} entity - The entity whose status effects should be ticked.
@@ -1,3 +1,4 @@
+import RulesCore from '../rules.js';
 /**
  * Renders temporary visualizations for potential player actions before they are committed.
  * This system listens for preview events and uses the SVGRenderer to draw on the map.
@@ -72,35 +73,14 @@ class TargetPreviewSystem {
     }
 
     _drawSkillRangePreview({ skillId }) {
-        const skill = this.game.player.getComponent('skills').getSkill(skillId);
+        const player = this.game.player;
+        const skill = player.getComponent('skills').getSkill(skillId);
         if (!skill) return;
 
-        // Get all tiles within the skill's raw range.
-        const potentialTiles = this.game.gameMap.getTilesInRange(this.game.player.hex, skill.range);
-        let previewTiles = [];
-
-        // Filter tiles based on the skill's specific targetType from CONFIG.js.
-        // This makes the preview system more data-driven and scalable.
-        switch (skill.targetType) {
-            case 'empty_hex_range':
-                // For skills like "Jump" that need an empty, non-obstacle tile.
-                previewTiles = potentialTiles.filter(tile => {
-                    if (tile.isObstacle) return false;
-                    const entitiesOnTile = this.game.gameMap.getEntitiesAt(tile.q, tile.r);
-                    return !entitiesOnTile.some(e => e.blocksMovement);
-                });
-                break;
-
-            case 'hex_area':
-            case 'hex_visible':
-                // For skills that can target any tile (even occupied/obstacles).
-                previewTiles = potentialTiles;
-                break;
-
-            default:
-                previewTiles = potentialTiles;
-                break;
-        }
+        // Only the tiles the skill can legally be aimed at (range, line of sight, occupancy, ...) are
+        // highlighted; the same shared check validates the cast when it resolves.
+        const skillConfig = RulesCore.getSkillConfig(this.game, player, skillId, skill.rank);
+        const previewTiles = RulesCore.getSkillTargetTiles(this.game, player, skillConfig);
         this.game.renderer.showRangePreview({ tiles: previewTiles, layout: this.game.layout, overrideClassName: 'preview-tile skill-range-preview' });
         
         if (previewTiles.length > 0) {
@@ -108,6 +88,7 @@ class TargetPreviewSystem {
                 type: 'skill',
                 tiles: new Map(previewTiles.map(t => [`${t.q},${t.r}`, t])),
                 skill: skill,
+                skillConfig: skillConfig,
             };
         }
     }
@@ -218,8 +199,9 @@ class TargetPreviewSystem {
             if (path) this.game.renderer.showPathPreview({ tiles: path, layout: this.game.layout });
         }
 
-        const splashRadius = skill?.splashRadius || 0;
-        const effectTiles = this.game.gameMap.getTilesInRange(hoveredHex, splashRadius);
+        const effectTiles = this.activePreview.skillConfig
+            ? RulesCore.getSkillArea(this.game, this.game.player, this.activePreview.skillConfig, hoveredHex)
+            : [hoveredHex];
         this.game.renderer.showEffectPreview({ tiles: effectTiles, layout: this.game.layout });
     }
 
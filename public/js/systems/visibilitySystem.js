@@ -1,4 +1,4 @@
-import { Tile } from '../tile.js';
+import RulesCore from '../rules.js';
 
 /**
  * @class VisibilitySystem
@@ -46,26 +46,13 @@ class VisibilitySystem {
             }
         });
 
-        // 2. Calculate new visibility by checking LOS for each tile in range.
-        const tilesInPartialRange = gameMap.getTilesInRange(player.hex, sightRangePartial);
-
-        for (const tile of tilesInPartialRange) {
-            // If a tile is in range, check if there's a clear line of sight to it.
-            if (gameMap.hasLineOfSight(player.hex, tile)) {
-                // If the line of sight is clear, all tiles along that line are revealed.
-                // This prevents gaps where a distant tile is visible but an intermediate one is not.
-                const line = Tile.line(player.hex, tile);
-                for (const lineTile of line) {
-                    const actualTile = gameMap.getTile(lineTile.q, lineTile.r);
-                    if (actualTile) {
-                        const distance = player.hex.distance(actualTile);
-                        if (distance <= sightRangeFull) {
-                            actualTile.visibility = 'full';
-                        } else if (actualTile.visibility === 'hidden') {
-                            actualTile.visibility = 'partial';
-                        }
-                    }
-                }
+        // 2. Reveal every tile on a clear line of sight. The same rule decides which tiles the
+        // server treats as explored, and unexplored tiles cannot be walked on.
+        for (const { tile, inFullSight } of RulesCore.getVisibleTiles(this.game, player.hex, sightRangeFull, sightRangePartial)) {
+            if (inFullSight) {
+                tile.visibility = 'full';
+            } else if (tile.visibility === 'hidden') {
+                tile.visibility = 'partial';
             }
         }
 
@@ -46,6 +46,7 @@ class OverlayManager {
     _setupEventListeners() {
         this.eventBus.subscribe('gameOver', (payload) => this._showGameOverModal(payload));
         this.eventBus.subscribe('portalChoicesRequested', (payload) => this._showChoicesModal(payload));
+        this.eventBus.subscribe('levelUpChoicesRequested', (payload) => this._showChoicesModal(payload));
         this.eventBus.subscribe('showHighScores', (payload) => this._showHighScoresModal(payload));
         // Add more listeners here as needed, e.g., for lore popups, settings menus, etc.
     }
@@ -123,6 +124,14 @@ class OverlayManager {
             this.eventBus.publish('returnToMainMenu');
         });
         
+        const downloadButton = document.createElement('button');
+        downloadButton.textContent = 'Download Replay';
+        downloadButton.title = 'Save this run as a file that can be opened in the replay viewer';
+        downloadButton.addEventListener('click', () => {
+            this.eventBus.publish('replayDownloadRequested');
+        });
+
+        buttonContainer.appendChild(downloadButton);
         buttonContainer.appendChild(returnButton);
         content.appendChild(buttonContainer);
         
@@ -20,6 +20,7 @@ class PlayerHUD {
             mpFill: document.getElementById('mp-bar-fill'), // Added
             mpText: document.getElementById('mp-bar-text'),   // Added
             apText: document.getElementById('ap-bar-text'),
+            combatStatsText: document.getElementById('combat-stats-text'),
             skillBar: document.getElementById('skill-bar'),
             tensionLevel: document.getElementById('tension-level'),
             turnIndicator: document.getElementById('turn-indicator'),
@@ -42,7 +43,7 @@ class PlayerHUD {
             // Only update if it's for the current player entity
             if (this.player && payload.entityId === this.player.id) {
                 console.log('[PlayerHUD] statsChanged event received for player:', payload);
-                this.updateResourceBars(payload.stats);
+                this.updateResourceBars(payload.stats, payload.effectiveStats);
             }
         });
         this.eventBus.subscribe('skillsChanged', (payload) => {
@@ -79,7 +80,11 @@ class PlayerHUD {
         });
     }
 
-    updateResourceBars(stats) {
+    /**
+     * @param {object} stats - The player's StatsComponent.
+     * @param {object} [effectiveStats] - Stats with status, trait and equipment modifiers applied; read from the component if omitted.
+     */
+    updateResourceBars(stats, effectiveStats = stats?.getEffectiveStats?.()) {
         if (!stats || this.disabled) return;
 
         if (this.uiElements.hpFill && this.uiElements.hpText) {
@@ -95,10 +100,42 @@ class PlayerHUD {
         }
 
         if (this.uiElements.apText) {
-            this.uiElements.apText.textContent = `${stats.actionPoints} / ${stats.maxActionPoints}`;
+            const maxActionPoints = effectiveStats ? effectiveStats.maxActionPoints : stats.maxActionPoints;
+            this.uiElements.apText.textContent = `${stats.actionPoints} / ${maxActionPoints}`;
+        }
+
+        if (this.uiElements.combatStatsText && effectiveStats) {
+            this.updateCombatStats(stats, effectiveStats);
         }
     }
 
+    /** Shows attack, defense and damage reduction, tinting values that statuses, traits or equipment changed. */
+    updateCombatStats(stats, effectiveStats) {
+        const container = this.uiElements.combatStatsText;
+        container.innerHTML = '';
+        const entries = [
+            ['ATK', 'attackPower'],
+            ['DEF', 'defense'],
+            ['M.ATK', 'magicAttack'],
+            ['M.DEF', 'magicDefense']
+        ];
+        entries.forEach(([label, stat]) => {
+            container.appendChild(this._createStatSpan(`${label} ${effectiveStats[stat]}`, effectiveStats[stat] - (stats[stat] || 0)));
+        });
+        if (effectiveStats.damageReduction > 0) {
+            container.appendChild(this._createStatSpan(`DR ${Math.round(effectiveStats.damageReduction * 100)}%`, 1));
+        }
+    }
+
+    /** @private */
+    _createStatSpan(text, change) {
+        const span = document.createElement('span');
+        span.textContent = text + ' ';
+        if (change > 0) span.className = 'buffed';
+        if (change < 0) span.className = 'debuffed';
+        return span;
+    }
+
     updateSkillBar(skills) { // skills is an array of Skill instances
         if (!this.uiElements.skillBar || this.disabled || !this.player) return;
         this.uiElements.skillBar.innerHTML = ''; 
@@ -107,12 +144,28 @@ class PlayerHUD {
 
         skills.forEach(skill => { // skill is a Skill instance
             const button = document.createElement('button');
-            button.className = 'skill-button';
+            button.className = skill.isActive ? 'skill-button active' : 'skill-button';
             button.title = `${skill.description}\nAP: ${skill.apCost || 0}, MP: ${skill.mpCost || 0}\nCD: ${skill.cooldown}`;
+            if (skill.toggleable && skill.upkeep) {
+                button.title += `\nUpkeep per turn: AP ${skill.upkeep.ap || 0}, MP ${skill.upkeep.mp || 0}`;
+            }
             
             let buttonText = skill.name;
-            if (skill.isOnCooldown()) {
-                buttonText += ` (${skill.currentCooldown})`; // Assuming Skill class has currentCooldown
+            if (skill.isActive) {
+                // An active stance is ended by clicking it again.
+                buttonText += ' (active)';
+                button.setAttribute('aria-pressed', 'true');
+            } else if (skill.isOnCooldown()) {
+                buttonText += ` (${skill.cooldownTurnsRemaining})`;
+            } else if (skill.useLimit && skill.spent) {
+                buttonText += ' (used)';
+            }
+            if (skill.charges > 0) {
+                buttonText += ` [${skill.getChargesLeft()}/${skill.charges}]`;
+                button.title += `\nCharges: ${skill.charges}, one back every ${skill.chargeRegenTurns} turns`;
+            }
+            if (skill.useLimit) {
+                button.title += `\nOnce per ${skill.useLimit}`;
             }
             button.textContent = buttonText;
             
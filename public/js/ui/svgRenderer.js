@@ -401,6 +401,11 @@ class SVGRenderer {
         };
 
         this.activeAnimations.set(entityId, animationState);
+        if (this.game.animationsEnabled === false) {
+            // Fast-forwarding (e.g. seeking through a replay): land on the final tile straight away.
+            this._finalizeAnimation(animationState);
+            return;
+        }
         this._animateMovementStep(animationState);
     }
 
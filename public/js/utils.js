@@ -1,16 +1,14 @@
+import RulesCore from './rules.js';
+
 /**
  * Generates a UUID-like string using a provided seeded pseudo-random number generator.
  * This ensures that the sequence of generated IDs is the same for a given seed,
- * which is essential for deterministic replays.
+ * which is essential for deterministic replays. Shared with the server via the rules core.
  * @param {function(): number} rng - The seeded PRNG function.
  * @returns {string} A new deterministically generated UUID.
  */
 export function generateDeterministicUUID(rng) {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        const r = (rng() % 16) | 0;
-        const v = c === 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
-    });
+    return RulesCore.generateDeterministicUUID(rng);
 }
 /**
  * Generates a standard Version 4 UUID (Universally Unique Identifier).
@@ -36,19 +34,10 @@ export function lerp(a, b, t) {
 /**
  * Creates a seeded pseudo-random number generator (PRNG) using the Mulberry32 algorithm.
  * This ensures that for the same seed, the sequence of "random" numbers will always be the same,
- * which is critical for replay validation.
+ * which is critical for replay validation. The implementation lives in the shared rules core.
  * @param {string} seed - The string to use as the seed.
  * @returns {function(): number} A function that, when called, returns the next number in the sequence.
  */
 export function createSeededRNG(seed) {
-    let h = 1779033703 ^ seed.length;
-    for (let i = 0; i < seed.length; i++) {
-        h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
-        h = h << 13 | h >>> 19;
-    }
-    return function() {
-        h = Math.imul(h ^ h >>> 16, 2246822507);
-        h = Math.imul(h ^ h >>> 13, 3266489909);
-        return (h ^= h >>> 16) >>> 0;
-    };
+    return RulesCore.createSeededRNG(seed);
 }
@@ -0,0 +1,182 @@
+/**
+ * @file appsScriptShim.js
+ * @description Local stand-ins for the Apps Script services game-engine.js relies on
+ * (SpreadsheetApp, PropertiesService, CacheService, ContentService, LockService, Utilities, Logger).
+ *
+ * Each sheet is a JSON file in the data directory named after the sheet (e.g. GameSessions.json),
+ * holding the sheet's cells as an array of rows with the header row first — the same shape
+ * Range.getValues() returns — so the backend handlers run against it unchanged.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * A sheet stored as a JSON file. Every write is flushed to disk immediately.
+ */
+class JsonSheet {
+    constructor(name, filePath) {
+        this.name = name;
+        this.filePath = filePath;
+    }
+
+    getName() { return this.name; }
+
+    /** @private */
+    _read() {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+
+    /** @private */
+    _write(rows) {
+        fs.writeFileSync(this.filePath, JSON.stringify(rows, null, 2) + '\n');
+    }
+
+    getLastRow() { return this._read().length; }
+
+    getLastColumn() { return this._read().reduce((max, row) => Math.max(max, row.length), 0); }
+
+    appendRow(values) {
+        const rows = this._read();
+        // Dates are stored the way JSON serializes them; the sheet would show them as dates.
+        rows.push(values.map(value => value instanceof Date ? value.toISOString() : value));
+        this._write(rows);
+        return this;
+    }
+
+    getDataRange() {
+        return this.getRange(1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+    }
+
+    /**
+     * @param {number} row - 1-based first row.
+     * @param {number} column - 1-based first column.
+     * @param {number} [numRows=1]
+     * @param {number} [numColumns=1]
+     */
+    getRange(row, column, numRows = 1, numColumns = 1) {
+        return new JsonRange(this, row, column, numRows, numColumns);
+    }
+}
+
+/**
+ * A rectangular block of cells in a JsonSheet. Cells outside the stored data read as ''.
+ */
+class JsonRange {
+    constructor(sheet, row, column, numRows, numColumns) {
+        this.sheet = sheet;
+        this.row = row;
+        this.column = column;
+        this.numRows = numRows;
+        this.numColumns = numColumns;
+    }
+
+    getValues() {
+        const rows = this.sheet._read();
+        const values = [];
+        for (let r = 0; r < this.numRows; r++) {
+            const sourceRow = rows[this.row - 1 + r] || [];
+            const row = [];
+            for (let c = 0; c < this.numColumns; c++) {
+                row.push(sourceRow[this.column - 1 + c] ?? '');
+            }
+            values.push(row);
+        }
+        return values;
+    }
+
+    getValue() { return this.getValues()[0][0]; }
+
+    setValues(values) {
+        const rows = this.sheet._read();
+        values.forEach((valueRow, r) => {
+            const rowIndex = this.row - 1 + r;
+            while (rows.length <= rowIndex) rows.push([]);
+            valueRow.forEach((value, c) => {
+                const colIndex = this.column - 1 + c;
+                while (rows[rowIndex].length < colIndex) rows[rowIndex].push('');
+                rows[rowIndex][colIndex] = value instanceof Date ? value.toISOString() : value;
+            });
+        });
+        this.sheet._write(rows);
+        return this;
+    }
+
+    setValue(value) { return this.setValues([[value]]); }
+}
+
+/**
+ * A spreadsheet backed by a directory of JSON sheet files.
+ */
+class JsonSpreadsheet {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+    }
+
+    getSheetByName(name) {
+        const filePath = path.join(this.dataDir, `${name}.json`);
+        // Like Apps Script, a missing sheet is null rather than an error.
+        return fs.existsSync(filePath) ? new JsonSheet(name, filePath) : null;
+    }
+}
+
+/**
+ * Creates the global objects game-engine.js expects from the Apps Script runtime.
+ * @param {object} options
+ * @param {string} options.dataDir - The directory holding the JSON sheet files.
+ * @param {boolean} [options.verbose=false] - Print Logger.log output to the console.
+ * @returns {object} The globals to install in the script's context.
+ */
+function createAppsScriptGlobals({ dataDir, verbose = false }) {
+    const spreadsheet = new JsonSpreadsheet(dataDir);
+    const cache = new Map();
+
+    return {
+        Logger: {
+            log: (message) => { if (verbose) console.log(message); }
+        },
+        SpreadsheetApp: {
+            openById: () => spreadsheet
+        },
+        PropertiesService: {
+            // Any non-empty SHEET_ID will do; there is only one local spreadsheet.
+            getScriptProperties: () => ({ getProperty: (key) => key === 'SHEET_ID' ? 'local' : null })
+        },
+        CacheService: {
+            getScriptCache: () => ({
+                get: (key) => {
+                    const entry = cache.get(key);
+                    if (!entry || entry.expiresAt < Date.now()) return null;
+                    return entry.value;
+                },
+                put: (key, value, expirationInSeconds = 600) => {
+                    cache.set(key, { value: String(value), expiresAt: Date.now() + expirationInSeconds * 1000 });
+                },
+                remove: (key) => { cache.delete(key); }
+            })
+        },
+        ContentService: {
+            MimeType: { JSON: 'application/json', TEXT: 'text/plain' },
+            createTextOutput: (content = '') => {
+                const output = {
+                    content: String(content),
+                    mimeType: 'text/plain',
+                    headers: {},
+                    getContent: () => output.content,
+                    setMimeType: (mimeType) => { output.mimeType = mimeType; return output; },
+                    setHeader: (name, value) => { output.headers[name] = value; return output; }
+                };
+                return output;
+            }
+        },
+        LockService: {
+            // Requests are handled one at a time on Node's single thread, so the lock never contends.
+            getScriptLock: () => ({ waitLock: () => {}, tryLock: () => true, releaseLock: () => {} })
+        },
+        Utilities: {
+            getUuid: () => crypto.randomUUID()
+        }
+    };
+}
+
+module.exports = { createAppsScriptGlobals, JsonSpreadsheet };
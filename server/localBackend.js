@@ -0,0 +1,161 @@
+/**
+ * @file localBackend.js
+ * @description A local stand-in for the Apps Script web app, for developing and testing offline.
+ *
+ * It runs the real backend (game-engine.js, with game-storage.js and the shared rules core and replay
+ * format) inside a Node VM, with the Apps Script services replaced by the shims in appsScriptShim.js.
+ * The spreadsheet is a directory of JSON files, one per sheet, with the same rows and columns as the
+ * Google Sheet.
+ * On first start the data directory is filled from server/seed.
+ *
+ * Usage (no dependencies to install):
+ *   node server/localBackend.js [--port 8787] [--host 127.0.0.1] [--data server/data] [--reset] [--verbose]
+ *
+ * It listens on 127.0.0.1 only, unless --host says otherwise (e.g. 0.0.0.0 to play from another device).
+ *
+ * POST /api takes the same { action, payload } bodies as doPost; GET /api is doGet's health check.
+ * Every other GET serves the game's pages and public/ (nothing else under the repository), so the
+ * game can be played from http://localhost:8787/index.html?backend=local (see apiService.js for picking the backend).
+ *
+ * Game config is cached for 10 minutes, as on Apps Script; restart the server to pick up edits
+ * to the config sheets (Archetypes, Skills, SkillTrees, Traits, StatusEffects, Maps, Players) right away.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createAppsScriptGlobals } = require('./appsScriptShim.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SEED_DIR = path.join(__dirname, 'seed');
+const SCRIPT_FILES = [
+    path.join(ROOT_DIR, 'public/js/shared/rulesCore.js'),
+    path.join(ROOT_DIR, 'public/js/shared/replayFormat.js'),
+    path.join(ROOT_DIR, 'public/js/shared/rulesConfig.js'),
+    path.join(ROOT_DIR, 'game-storage.js'),
+    path.join(ROOT_DIR, 'game-engine.js')
+];
+/** The static files the server hands out, relative to the repository root: the game's pages and public/. */
+const STATIC_PAGES = ['index.html', 'replay.html', 'divergence.html'];
+const STATIC_DIR = 'public';
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function parseArgs(argv) {
+    const options = {
+        port: Number(process.env.PORT) || 8787,
+        host: '127.0.0.1',
+        dataDir: path.join(__dirname, 'data'),
+        reset: false,
+        verbose: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port': options.port = Number(argv[++i]); break;
+            case '--host': options.host = argv[++i]; break;
+            case '--data': options.dataDir = path.resolve(argv[++i]); break;
+            case '--reset': options.reset = true; break;
+            case '--verbose': options.verbose = true; break;
+            default: throw new Error(`Unknown option '${argv[i]}'.`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Copies the seed sheets into the data directory, keeping any sheet that already exists unless `reset` is set.
+ */
+function prepareDataDir(dataDir, reset) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    for (const file of fs.readdirSync(SEED_DIR)) {
+        const target = path.join(dataDir, file);
+        if (reset || !fs.existsSync(target)) {
+            fs.copyFileSync(path.join(SEED_DIR, file), target);
+        }
+    }
+}
+
+/**
+ * Loads the backend scripts into a fresh context, the way Apps Script loads a project's files.
+ * @returns {object} The context, exposing doGet and doPost.
+ */
+function loadBackend(options) {
+    const context = vm.createContext({ console, ...createAppsScriptGlobals(options) });
+    for (const file of SCRIPT_FILES) {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+    return context;
+}
+
+function send(res, status, body, contentType) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': contentType });
+    res.end(body);
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        send(res, 400, 'Bad request', 'text/plain');
+        return;
+    }
+    const relativePath = path.normalize(urlPath === '/' ? 'index.html' : urlPath.replace(/^\/+/, ''));
+    const filePath = path.join(ROOT_DIR, relativePath);
+    // Only the game's pages and public/ are served: never the data directory, .git or the backend sources.
+    const isAllowed = STATIC_PAGES.includes(relativePath) || relativePath.startsWith(STATIC_DIR + path.sep);
+    if (!isAllowed || !filePath.startsWith(ROOT_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        send(res, 404, 'Not found', 'text/plain');
+        return;
+    }
+    send(res, 200, fs.readFileSync(filePath), MIME_TYPES[path.extname(filePath)] || 'application/octet-stream');
+}
+
+function createServer(backend) {
+    return http.createServer((req, res) => {
+        const isApi = req.url === '/api' || req.url.startsWith('/api?');
+        if (req.method === 'OPTIONS') {
+            send(res, 204, '', 'text/plain');
+        } else if (req.method === 'POST' && isApi) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const output = backend.doPost({ postData: { contents: body || '{}' } });
+                send(res, 200, output.getContent(), output.mimeType);
+            });
+        } else if (req.method === 'GET' && isApi) {
+            const output = backend.doGet({ parameter: {} });
+            send(res, 200, output.getContent(), output.mimeType);
+        } else if (req.method === 'GET') {
+            serveStatic(req, res);
+        } else {
+            send(res, 405, 'Method not allowed', 'text/plain');
+        }
+    });
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    prepareDataDir(options.dataDir, options.reset);
+    const server = createServer(loadBackend(options));
+    server.listen(options.port, options.host, () => {
+        console.log(`[LocalBackend] Serving the API at http://localhost:${options.port}/api`);
+        console.log(`[LocalBackend] Sheets are read from ${options.dataDir}`);
+        console.log(`[LocalBackend] Play at http://localhost:${options.port}/index.html?backend=local`);
+    });
+}
+
+module.exports = { loadBackend, prepareDataDir, createServer };
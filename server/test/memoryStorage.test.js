@@ -0,0 +1,47 @@
+/**
+ * @file memoryStorage.test.js
+ * @description The backend handlers running on createMemoryStorage() instead of the spreadsheet.
+ *
+ * Run with: node --test server/test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { loadBackend, prepareDataDir } = require('../localBackend.js');
+
+/** Loads the backend on a fresh copy of the seed sheets and switches it to a memory storage holding their config tables. */
+function loadOnMemoryStorage() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetherborne-test-'));
+    prepareDataDir(dataDir, true);
+    const backend = loadBackend({ dataDir });
+    vm.runInContext(`
+        const seedConfig = createSheetsStorage(SPREADSHEET).config;
+        memoryStorage = createMemoryStorage({ config: Object.fromEntries(CONFIG_TABLES.map(name => [name, seedConfig.getTable(name)])) });
+        setStorage(memoryStorage);
+        CacheService.getScriptCache().remove(GAME_CONFIG_CACHE_KEY);
+    `, backend);
+    const call = (action, payload) => JSON.parse(backend.doPost({ postData: { contents: JSON.stringify({ action, payload }) } }).getContent());
+    return { backend, dataDir, call, cleanup: () => fs.rmSync(dataDir, { recursive: true, force: true }) };
+}
+
+test('a run started, submitted and scored on the memory storage stays in memory', (t) => {
+    const { backend, dataDir, call, cleanup } = loadOnMemoryStorage();
+    t.after(cleanup);
+    const sheetScores = fs.readFileSync(path.join(dataDir, 'HighScores.json'), 'utf8');
+
+    const session = call('newGame', { mapId: 'prologue_map_1', characterData: { name: 'Memo', archetypeId: 'warrior' } });
+    assert.ok(session.sessionId, JSON.stringify(session));
+    const replayLog = [{ type: 'playerEndTurn', sourceId: session.characterData.id, details: {} }];
+    const result = call('submitReplay', { sessionId: session.sessionId, replayLog, playerName: 'Memo' });
+    assert.strictEqual(result.verified, true, result.message);
+
+    const top = call('getHighScores');
+    assert.deepStrictEqual(top.map(entry => [entry.sessionId, entry.name, entry.score]), [[session.sessionId, 'Memo', 0]]);
+    const stored = JSON.parse(vm.runInContext('JSON.stringify(memoryStorage.toJSON())', backend));
+    assert.deepStrictEqual(stored.sessions.map(record => record.status), ['COMPLETED']);
+    assert.strictEqual(stored.replays.length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(dataDir, 'HighScores.json'), 'utf8'), sheetScores);
+});
@@ -0,0 +1,41 @@
+/**
+ * @file replayRules.test.js
+ * @description Rules the client and the server's replay verification must agree on, checked on the server engine.
+ *
+ * Run with: node --test server/test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { loadBackend, prepareDataDir } = require('../localBackend.js');
+
+/** Starts a session for the seed player on a fresh copy of the seed sheets and builds its server engine. */
+function startSession() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetherborne-test-'));
+    prepareDataDir(dataDir, true);
+    const backend = loadBackend({ dataDir });
+    const call = (action, payload) => JSON.parse(backend.doPost({ postData: { contents: JSON.stringify({ action, payload }) } }).getContent());
+    const characterData = call('getPlayerData', { playerId: 'local_player_1' });
+    backend.session = call('newGame', { mapId: 'prologue_map_1', characterData });
+    backend.gameConfig = call('getGameConfig');
+    const engine = vm.runInContext('new GameEngine(session.seed, session.mapTemplate, session.characterData, gameConfig)', backend);
+    return { backend, engine, cleanup: () => fs.rmSync(dataDir, { recursive: true, force: true }) };
+}
+
+test('clicking the tile the player stands on is not a move, so a trap under it does not fire again', (t) => {
+    const { engine, cleanup } = startSession();
+    t.after(cleanup);
+    const player = engine.gameState.player;
+    const act = (type, { q, r }) => engine.applyAction({ type, sourceId: player.id, details: { targetCoords: { q, r } } });
+    const trap = [...engine.gameState.entities.values()].find(entity => entity.components.trap);
+
+    act('move', trap.hex);
+    assert.deepStrictEqual(player.hex, trap.hex);
+    const life = player.components.stats.life;
+
+    assert.throws(() => act('playerInput', trap.hex), error => error.name === 'ReplayValidationError' && /already there/.test(error.message));
+    assert.strictEqual(player.components.stats.life, life);
+});